@@ -11,10 +11,14 @@ const fs = require('fs').promises;
 const convertRoutes = require('./routes/convert');
 const ocrRoutes = require('./routes/ocr');
 const jobRoutes = require('./routes/jobs');
+const validateRoutes = require('./routes/validate');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { validateRapidAPI } = require('./middleware/auth');
+const { resultStore } = require('./services/resultStore');
+const { getPoolMetrics } = require('./services/libreOfficePool');
+const { getOcrPoolMetrics } = require('./services/tesseractPool');
 
 // Create Express app
 const app = express();
@@ -51,7 +55,9 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
-    service: 'Document Processing API'
+    service: 'Document Processing API',
+    libreoffice: getPoolMetrics(),
+    ocr: getOcrPoolMetrics()
   });
 });
 
@@ -59,6 +65,7 @@ app.get('/health', (req, res) => {
 app.use('/api/convert', convertRoutes);
 app.use('/api/ocr', ocrRoutes);
 app.use('/api/jobs', jobRoutes);
+app.use('/api/validate', validateRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -67,16 +74,29 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       convert: {
+        'POST /api/convert': 'Convert any supported format to a target format (to=pdf, csv, ...)',
+        'GET /api/convert/formats': 'List supported source to target conversions',
         'POST /api/convert/office-to-pdf': 'Convert DOCX/XLSX/PPTX to PDF',
+        'POST /api/convert/office-convert': 'Convert between Office formats (DOC to DOCX, DOCX to ODT, PPTX to PNG, ...)',
         'POST /api/convert/excel-to-csv': 'Convert Excel to CSV',
         'POST /api/convert/csv-to-excel': 'Convert CSV to Excel',
         'POST /api/convert/excel-to-json': 'Convert Excel to JSON',
         'POST /api/convert/json-to-excel': 'Convert JSON to Excel',
+        'POST /api/convert/{from}-to-{to}': 'Convert between Excel, ODS, CSV, TSV, JSON, NDJSON and XML',
         'POST /api/convert/html-to-markdown': 'Convert HTML to Markdown',
-        'POST /api/convert/markdown-to-html': 'Convert Markdown to HTML'
+        'POST /api/convert/markdown-to-html': 'Convert Markdown to HTML',
+        'POST /api/convert/batch/office-to-pdf': 'Convert multiple Office documents to PDF'
       },
       ocr: {
-        'POST /api/ocr/extract-text': 'Extract text from images using OCR'
+        'POST /api/ocr/extract-text': 'Extract text from images using OCR',
+        'POST /api/ocr/extract-to-file': 'Download OCR output as txt, json, searchable PDF, hOCR, ALTO or TSV',
+        'POST /api/ocr/extract-fields': 'Extract form fields using a saved or inline template',
+        'POST /api/ocr/extract-tables': 'Extract tables as JSON, CSV or XLSX',
+        'GET /api/ocr/templates': 'List, create, update and delete field extraction templates',
+        'POST /api/ocr/batch/extract-text': 'Extract text from multiple images'
+      },
+      validate: {
+        'POST /api/validate/tabular': 'Validate CSV/Excel/JSON rows against column rules or a JSON Schema and profile the columns'
       },
       jobs: {
         'GET /api/jobs/:jobId/status': 'Get job status',
@@ -100,11 +120,21 @@ const cleanupTempFiles = async () => {
     for (const file of files) {
       const filePath = path.join(tempDir, file);
       const stats = await fs.stat(filePath);
+      // Job results (expiring on their own TTL) and the uploads of queued
+      // jobs live in their own directories
+      if (stats.isDirectory()) {
+        continue;
+      }
       if (now - stats.mtimeMs > maxAge) {
         await fs.unlink(filePath);
         console.log(`Cleaned up old file: ${file}`);
       }
     }
+
+    const purged = await resultStore.purgeExpired();
+    if (purged > 0) {
+      console.log(`Purged ${purged} expired job result(s)`);
+    }
   } catch (error) {
     console.error('Error cleaning up temp files:', error);
   }
@@ -0,0 +1,91 @@
+const { ValidationError } = require('./errorHandler');
+const { getTenant } = require('./auth');
+const { getWebhookSecret, resolveCallbackAddress } = require('../services/webhookService');
+
+/**
+ * Check whether the client asked for asynchronous processing, either with
+ * async=true (body or query) or an RFC 7240 "Prefer: respond-async" header
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const isAsyncRequest = (req) => {
+  if (req.body.async === 'true' || req.query.async === 'true') {
+    return true;
+  }
+
+  const prefer = req.headers['prefer'] || '';
+  return prefer.split(',').some(pref => pref.trim().toLowerCase() === 'respond-async');
+};
+
+/**
+ * Read and validate the optional webhook callback of an async submission.
+ * Hosts resolving to internal addresses are refused (see resolveCallbackAddress)
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - { url, tenant, baseUrl } or null when no callbackUrl was given
+ */
+const getCallbackOptions = async (req) => {
+  const callbackUrl = req.body.callbackUrl || req.query.callbackUrl;
+  if (!callbackUrl) {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch {
+    throw new ValidationError('callbackUrl must be a valid URL');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ValidationError('callbackUrl must use http or https');
+  }
+
+  try {
+    await resolveCallbackAddress(url.toString());
+  } catch (error) {
+    throw new ValidationError(`Invalid callbackUrl: ${error.code === 'ENOTFOUND' ? `host ${url.hostname} not found` : error.message}`);
+  }
+
+  const tenant = getTenant(req);
+  if (!getWebhookSecret(tenant)) {
+    throw new ValidationError('Webhook callbacks are not configured for this account');
+  }
+
+  return {
+    url: url.toString(),
+    tenant: tenant,
+    baseUrl: process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`
+  };
+};
+
+/**
+ * Respond with 202 Accepted for a queued job
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} job - Bull job
+ */
+const sendJobAccepted = (req, res, job) => {
+  const statusUrl = `/api/jobs/${job.id}/status`;
+
+  res.status(202).set('Location', statusUrl);
+  if (/respond-async/i.test(req.headers['prefer'] || '')) {
+    res.set('Preference-Applied', 'respond-async');
+  }
+
+  res.json({
+    success: true,
+    jobId: job.id,
+    state: 'waiting',
+    type: job.data.type,
+    originalFile: job.data.file.originalname,
+    statusUrl: statusUrl,
+    downloadUrl: `/api/jobs/${job.id}/download`,
+    callbackUrl: job.data.callback ? job.data.callback.url : undefined
+  });
+};
+
+module.exports = {
+  isAsyncRequest,
+  getCallbackOptions,
+  sendJobAccepted
+};
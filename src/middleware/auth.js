@@ -26,6 +26,15 @@ const validateRapidAPI = (req, res, next) => {
   next();
 };
 
+/**
+ * Identify the tenant a request acts for (the RapidAPI user, or 'default'
+ * when requests do not come through RapidAPI)
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const getTenant = (req) => (req.rapidapi && req.rapidapi.user) || 'default';
+
 module.exports = {
-  validateRapidAPI
+  validateRapidAPI,
+  getTenant
 };
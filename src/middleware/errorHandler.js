@@ -1,6 +1,11 @@
 const errorHandler = (err, req, res, next) => {
   console.error('Error:', err);
 
+  // A streamed response has already started; let Express abort the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
   // Multer file size error
   if (err.code === 'LIMIT_FILE_SIZE') {
     return res.status(413).json({
@@ -47,6 +52,34 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // OCR template not found
+  if (err.name === 'TemplateNotFoundError') {
+    return res.status(404).json({
+      error: 'Template not found',
+      message: err.message,
+      code: 'TEMPLATE_NOT_FOUND'
+    });
+  }
+
+  // Job queue unavailable
+  if (err.name === 'QueueUnavailableError') {
+    return res.status(503).json({
+      error: 'Job queue not available',
+      message: err.message,
+      code: 'QUEUE_UNAVAILABLE'
+    });
+  }
+
+  // Conversion capacity exhausted
+  if (err.name === 'ServerBusyError') {
+    res.set('Retry-After', '30');
+    return res.status(503).json({
+      error: 'Server busy',
+      message: err.message,
+      code: 'SERVER_BUSY'
+    });
+  }
+
   // Default error
   res.status(err.status || 500).json({
     error: 'Internal server error',
@@ -80,9 +113,33 @@ class JobNotFoundError extends Error {
   }
 }
 
+class TemplateNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateNotFoundError';
+  }
+}
+
+class QueueUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueueUnavailableError';
+  }
+}
+
+class ServerBusyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ServerBusyError';
+  }
+}
+
 module.exports = {
   errorHandler,
   ValidationError,
   ConversionError,
-  JobNotFoundError
+  JobNotFoundError,
+  TemplateNotFoundError,
+  QueueUnavailableError,
+  ServerBusyError
 };
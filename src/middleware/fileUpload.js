@@ -40,10 +40,15 @@ const fileFilters = {
       'application/vnd.openxmlformats-officedocument.presentationml.presentation', // PPTX
       'application/msword', // DOC
       'application/vnd.ms-excel', // XLS
-      'application/vnd.ms-powerpoint' // PPT
+      'application/vnd.ms-powerpoint', // PPT
+      'application/vnd.oasis.opendocument.text', // ODT
+      'application/vnd.oasis.opendocument.spreadsheet', // ODS
+      'application/vnd.oasis.opendocument.presentation', // ODP
+      'application/rtf', // RTF
+      'text/rtf'
     ];
 
-    const allowedExtensions = ['.docx', '.xlsx', '.pptx', '.doc', '.xls', '.ppt'];
+    const allowedExtensions = ['.docx', '.xlsx', '.pptx', '.doc', '.xls', '.ppt', '.odt', '.ods', '.odp', '.rtf'];
     const ext = path.extname(file.originalname).toLowerCase();
 
     if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(ext)) {
@@ -80,6 +85,17 @@ const fileFilters = {
     }
   },
 
+  tsv: (req, file, cb) => {
+    const allowedTypes = ['text/tab-separated-values'];
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    if (allowedTypes.includes(file.mimetype) || ext === '.tsv' || ext === '.tab') {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('Invalid file type. Only TSV files are allowed.'));
+    }
+  },
+
   json: (req, file, cb) => {
     const allowedTypes = ['application/json'];
     const ext = path.extname(file.originalname).toLowerCase();
@@ -91,6 +107,39 @@ const fileFilters = {
     }
   },
 
+  ndjson: (req, file, cb) => {
+    const allowedTypes = ['application/x-ndjson', 'application/jsonl'];
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    if (allowedTypes.includes(file.mimetype) || ext === '.ndjson' || ext === '.jsonl') {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('Invalid file type. Only NDJSON files are allowed.'));
+    }
+  },
+
+  xml: (req, file, cb) => {
+    const allowedTypes = ['application/xml', 'text/xml'];
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    if (allowedTypes.includes(file.mimetype) || ext === '.xml') {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('Invalid file type. Only XML files are allowed.'));
+    }
+  },
+
+  ods: (req, file, cb) => {
+    const allowedTypes = ['application/vnd.oasis.opendocument.spreadsheet'];
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    if (allowedTypes.includes(file.mimetype) || ext === '.ods') {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('Invalid file type. Only ODS files are allowed.'));
+    }
+  },
+
   html: (req, file, cb) => {
     const allowedTypes = ['text/html'];
     const ext = path.extname(file.originalname).toLowerCase();
@@ -114,14 +163,14 @@ const fileFilters = {
   },
 
   image: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/tiff', 'image/bmp', 'image/webp'];
-    const allowedExtensions = ['.jpg', '.jpeg', '.png', '.tiff', '.tif', '.bmp', '.webp'];
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/tiff', 'image/bmp', 'image/webp', 'application/pdf'];
+    const allowedExtensions = ['.jpg', '.jpeg', '.png', '.tiff', '.tif', '.bmp', '.webp', '.pdf'];
     const ext = path.extname(file.originalname).toLowerCase();
 
     if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new ValidationError('Invalid file type. Only image files are allowed (JPEG, PNG, TIFF, BMP, WebP).'));
+      cb(new ValidationError('Invalid file type. Only image files or scanned PDFs are allowed (JPEG, PNG, TIFF, BMP, WebP, PDF).'));
     }
   }
 };
@@ -137,17 +186,36 @@ const createUploader = (fileType) => {
   });
 };
 
+// Maximum number of files accepted by the batch endpoints
+const maxBatchFiles = parseInt(process.env.MAX_BATCH_FILES) || 20;
+
 // Export uploaders for different use cases
 module.exports = {
   uploadOffice: createUploader('office').single('file'),
   uploadExcel: createUploader('excel').single('file'),
   uploadCsv: createUploader('csv').single('file'),
   uploadJson: createUploader('json').single('file'),
+  uploadTsv: createUploader('tsv').single('file'),
+  uploadNdjson: createUploader('ndjson').single('file'),
+  uploadXml: createUploader('xml').single('file'),
+  uploadOds: createUploader('ods').single('file'),
   uploadHtml: createUploader('html').single('file'),
   uploadMarkdown: createUploader('markdown').single('file'),
   uploadImage: createUploader('image').single('file'),
   uploadAny: createUploader(null).single('file'),
+  uploadOfficeBatch: createUploader('office').array('files', maxBatchFiles),
+  uploadImageBatch: createUploader('image').array('files', maxBatchFiles),
   
+  // Move an upload into the queued directory, which the temp file sweeper
+  // skips, so it survives until a worker picks up its job
+  holdForQueue: async (file) => {
+    const queueDir = path.join(await ensureTempDir(), 'queued');
+    await fs.mkdir(queueDir, { recursive: true });
+    const queuedPath = path.join(queueDir, file.filename);
+    await fs.rename(file.path, queuedPath);
+    return { ...file, destination: queueDir, path: queuedPath };
+  },
+
   // Cleanup uploaded file
   cleanupFile: async (filePath) => {
     try {
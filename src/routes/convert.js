@@ -1,24 +1,59 @@
 const express = require('express');
+const path = require('path');
+const { createReadStream } = require('fs');
 const router = express.Router();
-const { uploadOffice, uploadExcel, uploadCsv, uploadJson, uploadHtml, uploadMarkdown, cleanupFile } = require('../middleware/fileUpload');
-const { processOfficeConversion } = require('../services/officeConverter');
-const { processExcelToCsv, processCsvToExcel, processExcelToJson, processJsonToExcel } = require('../services/dataConverter');
+const { uploadAny, uploadOfficeBatch, uploadOffice, uploadExcel, uploadCsv, uploadTsv, uploadJson, uploadNdjson, uploadXml, uploadOds, uploadHtml, uploadMarkdown, cleanupFile } = require('../middleware/fileUpload');
+const { processOfficeConversion, batchConvertOfficeToPDF, getOfficeFileType, getOfficeTargets, parsePdfExportOptions } = require('../services/officeConverter');
+const { parseSheetOptions, parsePageOptions, processExcelToCsv, processCsvToExcel, processExcelToJson, streamExcelToJson, processJsonToExcel } = require('../services/dataConverter');
 const { processHtmlToMarkdown, processMarkdownToHtml } = require('../services/markdownConverter');
+const { FORMATS, convertFile, listConversions, resolveFormat } = require('../services/conversionGraph');
+const { parseColumnSchema } = require('../services/columnTypes');
+const { parseCellValueOptions } = require('../services/cellValues');
+const { parseStyleSpec } = require('../services/excelStyles');
+const { parseTransformSpec } = require('../services/tableTransform');
+const { normalizeEncoding, getCharset } = require('../services/textEncoding');
+const { parseTableOptions, processTableConversion, resolveTableFormat } = require('../services/tableFormats');
 const { ValidationError } = require('../middleware/errorHandler');
+const { isAsyncRequest, getCallbackOptions, sendJobAccepted } = require('../middleware/asyncJob');
+const { enqueueJob } = require('../services/jobQueue');
+const { createBatchArchive } = require('../utils/archive');
+
+/**
+ * Stream an output file written by a converter to the response
+ * @param {Object} res - Express response
+ * @param {string} filePath - Output file (removed by the caller)
+ * @returns {Promise<void>} - Resolves once the response is closed
+ */
+const sendOutputFile = (res, filePath) => new Promise((resolve, reject) => {
+  const stream = createReadStream(filePath);
+  stream.on('error', reject);
+  // Also emitted when the client goes away before the end
+  res.on('close', resolve);
+  stream.pipe(res);
+});
 
 // Office to PDF conversion
 router.post('/office-to-pdf', uploadOffice, async (req, res, next) => {
   const file = req.file;
+  let queued = false;
   
   try {
     if (!file) {
       throw new ValidationError('No file uploaded');
     }
 
+    const pdfOptions = parsePdfExportOptions({ ...req.query, ...req.body });
+
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('office-to-pdf', file, { pdfOptions }, await getCallbackOptions(req));
+      queued = true;
+      return sendJobAccepted(req, res, job);
+    }
+
     console.log(`Converting Office file: ${file.originalname} (${file.size} bytes)`);
     
     // Process the conversion
-    const result = await processOfficeConversion(file);
+    const result = await processOfficeConversion(file, { pdfOptions });
     
     // Set response headers
     res.set({
@@ -36,7 +71,59 @@ router.post('/office-to-pdf', uploadOffice, async (req, res, next) => {
     next(error);
   } finally {
     // Clean up uploaded file
-    if (file) {
+    if (file && !queued) {
+      await cleanupFile(file.path);
+    }
+  }
+});
+
+// Office format conversion (DOCX -> ODT, DOC -> DOCX, XLS -> XLSX, PPTX -> PNG, ...)
+router.post('/office-convert', uploadOffice, async (req, res, next) => {
+  const file = req.file;
+  let queued = false;
+  
+  try {
+    if (!file) {
+      throw new ValidationError('No file uploaded');
+    }
+
+    const format = (req.body.format || req.query.format || '').toLowerCase();
+    if (!format) {
+      throw new ValidationError('Target format required', {
+        supported: getOfficeTargets(getOfficeFileType(file.originalname, file.mimetype))
+      });
+    }
+    
+    const pdfOptions = format === 'pdf' ? parsePdfExportOptions({ ...req.query, ...req.body }) : undefined;
+    
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('office-convert', file, { format, pdfOptions }, await getCallbackOptions(req));
+      queued = true;
+      return sendJobAccepted(req, res, job);
+    }
+
+    console.log(`Converting Office file to ${format}: ${file.originalname} (${file.size} bytes)`);
+    
+    const result = await processOfficeConversion(file, { format, pdfOptions });
+    
+    res.set({
+      'Content-Type': result.mimeType,
+      'Content-Disposition': `attachment; filename="${result.filename}"`,
+      'Content-Length': result.size,
+      'X-Original-Filename': file.originalname,
+      'X-Converted-From': result.convertedFrom
+    });
+    
+    if (result.pageCount) {
+      res.set('X-Page-Count', result.pageCount);
+    }
+    
+    res.send(result.buffer);
+    
+  } catch (error) {
+    next(error);
+  } finally {
+    if (file && !queued) {
       await cleanupFile(file.path);
     }
   }
@@ -45,31 +132,44 @@ router.post('/office-to-pdf', uploadOffice, async (req, res, next) => {
 // Excel to CSV conversion
 router.post('/excel-to-csv', uploadExcel, async (req, res, next) => {
   const file = req.file;
+  let queued = false;
   
   try {
     if (!file) {
       throw new ValidationError('No file uploaded');
     }
 
-    const sheetName = req.body.sheetName || req.query.sheetName;
+    const input = { ...req.query, ...req.body };
+    const exportOptions = { ...parseSheetOptions(input), ...parseCellValueOptions(input) };
     const delimiter = req.body.delimiter || req.query.delimiter || ',';
+    const outputEncoding = normalizeEncoding(req.body.outputEncoding || req.query.outputEncoding, { output: true }) || 'utf-8';
+    const transform = parseTransformSpec(req.body.transform || req.query.transform);
     
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('excel-to-csv', file, { ...exportOptions, delimiter, outputEncoding, transform }, await getCallbackOptions(req));
+      queued = true;
+      return sendJobAccepted(req, res, job);
+    }
+
     console.log(`Converting Excel to CSV: ${file.originalname}`);
     
-    const result = await processExcelToCsv(file, { sheetName, delimiter });
+    const result = await processExcelToCsv(file, { ...exportOptions, delimiter, outputEncoding, transform });
     
     res.set({
-      'Content-Type': 'text/csv',
+      'Content-Type': result.archive ? 'application/zip' : `text/csv; charset=${getCharset(outputEncoding)}`,
       'Content-Disposition': `attachment; filename="${result.filename}"`,
       'X-Original-Filename': file.originalname
     });
+    if (result.archive) {
+      res.set('X-Sheet-Count', result.sheets.length);
+    }
     
     res.send(result.buffer);
     
   } catch (error) {
     next(error);
   } finally {
-    if (file) {
+    if (file && !queued) {
       await cleanupFile(file.path);
     }
   }
@@ -78,64 +178,135 @@ router.post('/excel-to-csv', uploadExcel, async (req, res, next) => {
 // CSV to Excel conversion
 router.post('/csv-to-excel', uploadCsv, async (req, res, next) => {
   const file = req.file;
+  let queued = false;
+  let outputPath = null;
   
   try {
     if (!file) {
       throw new ValidationError('No file uploaded');
     }
 
+    const encoding = normalizeEncoding(req.body.encoding || req.query.encoding);
     const delimiter = req.body.delimiter || req.query.delimiter || ',';
+    const quote = req.body.quote || req.query.quote || '"';
+    const escape = req.body.escape || req.query.escape || quote;
+    if ([delimiter, quote, escape].some(char => char.length !== 1)) {
+      throw new ValidationError('delimiter, quote and escape must be single characters');
+    }
     const hasHeaders = req.body.hasHeaders !== 'false' && req.query.hasHeaders !== 'false';
+    const inferTypes = req.body.inferTypes !== 'false' && req.query.inferTypes !== 'false';
+    const schema = parseColumnSchema(req.body.schema || req.query.schema);
+    const decimalSeparator = req.body.decimalSeparator || req.query.decimalSeparator;
+    if (decimalSeparator && !['.', ','].includes(decimalSeparator)) {
+      throw new ValidationError('Invalid decimalSeparator. Must be one of: . ,');
+    }
+    const dateOrder = req.body.dateOrder || req.query.dateOrder;
+    if (dateOrder && !['DMY', 'MDY'].includes(dateOrder)) {
+      throw new ValidationError('Invalid dateOrder. Must be one of: DMY, MDY');
+    }
+    const transform = parseTransformSpec(req.body.transform || req.query.transform);
+    const csvOptions = { encoding, delimiter, quote, escape, hasHeaders, inferTypes, schema, decimalSeparator, dateOrder, transform };
     
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('csv-to-excel', file, csvOptions, await getCallbackOptions(req));
+      queued = true;
+      return sendJobAccepted(req, res, job);
+    }
+
     console.log(`Converting CSV to Excel: ${file.originalname}`);
     
-    const result = await processCsvToExcel(file, { delimiter, hasHeaders });
+    const result = await processCsvToExcel(file, csvOptions);
+    outputPath = result.path;
     
     res.set({
       'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
       'Content-Disposition': `attachment; filename="${result.filename}"`,
-      'X-Original-Filename': file.originalname
+      'Content-Length': result.size,
+      'X-Original-Filename': file.originalname,
+      'X-Source-Encoding': result.encoding
     });
     
-    res.send(result.buffer);
+    await sendOutputFile(res, result.path);
     
   } catch (error) {
     next(error);
   } finally {
-    if (file) {
+    if (file && !queued) {
       await cleanupFile(file.path);
     }
+    await cleanupFile(outputPath);
   }
 });
 
 // Excel to JSON conversion
 router.post('/excel-to-json', uploadExcel, async (req, res, next) => {
   const file = req.file;
+  let queued = false;
   
   try {
     if (!file) {
       throw new ValidationError('No file uploaded');
     }
 
-    const sheetName = req.body.sheetName || req.query.sheetName;
+    const input = { ...req.query, ...req.body };
+    const exportOptions = { ...parseSheetOptions(input), ...parseCellValueOptions(input), ...parsePageOptions(input) };
     const hasHeaders = req.body.hasHeaders !== 'false' && req.query.hasHeaders !== 'false';
+    const stream = req.body.stream || req.query.stream;
+    if (stream && !['ndjson', 'array'].includes(stream)) {
+      throw new ValidationError('Invalid stream. Must be one of: ndjson, array');
+    }
+    if (exportOptions.sheets && (stream || exportOptions.offset !== undefined || exportOptions.limit !== undefined)) {
+      throw new ValidationError('stream, offset and limit apply to a single sheet. Use sheetName instead of sheets');
+    }
+    const transform = parseTransformSpec(req.body.transform || req.query.transform);
+    if (transform && stream) {
+      throw new ValidationError('transform cannot be combined with stream. Use offset and limit to page through the result');
+    }
+    if (stream && (exportOptions.hyperlinks === 'url' || exportOptions.mergedCells === 'fill')) {
+      throw new ValidationError('hyperlinks=url and mergedCells=fill need the whole workbook and cannot be combined with stream');
+    }
     
+    if (isAsyncRequest(req)) {
+      if (stream) {
+        throw new ValidationError('stream cannot be combined with async. Use offset and limit to page through the sheet');
+      }
+      const job = await enqueueJob('excel-to-json', file, { ...exportOptions, hasHeaders, transform }, await getCallbackOptions(req));
+      queued = true;
+      return sendJobAccepted(req, res, job);
+    }
+
+    if (stream) {
+      console.log(`Streaming Excel to JSON: ${file.originalname}`);
+      
+      // Headers go out with the first write, so an unknown sheet still gets a JSON error response
+      res.set({
+        'Content-Type': stream === 'ndjson' ? 'application/x-ndjson; charset=utf-8' : 'application/json; charset=utf-8',
+        'X-Original-Filename': file.originalname
+      });
+      
+      await streamExcelToJson(file, res, { ...exportOptions, hasHeaders, format: stream });
+      return res.end();
+    }
+
     console.log(`Converting Excel to JSON: ${file.originalname}`);
     
-    const result = await processExcelToJson(file, { sheetName, hasHeaders });
+    const result = await processExcelToJson(file, { ...exportOptions, hasHeaders, transform });
     
     res.json({
       success: true,
       originalFile: file.originalname,
       data: result.data,
       sheets: result.sheets,
-      rowCount: result.rowCount
+      rowCount: result.rowCount,
+      rowCounts: result.rowCounts,
+      totalRowCount: result.totalRowCount,
+      nextOffset: result.nextOffset
     });
     
   } catch (error) {
     next(error);
   } finally {
-    if (file) {
+    if (file && !queued) {
       await cleanupFile(file.path);
     }
   }
@@ -144,6 +315,7 @@ router.post('/excel-to-json', uploadExcel, async (req, res, next) => {
 // JSON to Excel conversion
 router.post('/json-to-excel', uploadJson, async (req, res, next) => {
   const file = req.file;
+  let queued = false;
   
   try {
     if (!file) {
@@ -151,15 +323,29 @@ router.post('/json-to-excel', uploadJson, async (req, res, next) => {
     }
 
     const sheetName = req.body.sheetName || req.query.sheetName || 'Sheet1';
-    
+    const encoding = normalizeEncoding(req.body.encoding || req.query.encoding);
+    const flatten = req.body.flatten === 'true' || req.query.flatten === 'true';
+    const explodeArrays = req.body.explodeArrays === 'true' || req.query.explodeArrays === 'true';
+    const style = parseStyleSpec(req.body.style || req.query.style);
+    const transform = parseTransformSpec(req.body.transform || req.query.transform);
+    const jsonOptions = { sheetName, encoding, flatten, explodeArrays, style, transform };
+    
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('json-to-excel', file, jsonOptions, await getCallbackOptions(req));
+      queued = true;
+      return sendJobAccepted(req, res, job);
+    }
+
     console.log(`Converting JSON to Excel: ${file.originalname}`);
     
-    const result = await processJsonToExcel(file, { sheetName });
+    const result = await processJsonToExcel(file, jsonOptions);
     
     res.set({
       'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
       'Content-Disposition': `attachment; filename="${result.filename}"`,
-      'X-Original-Filename': file.originalname
+      'X-Original-Filename': file.originalname,
+      'X-Source-Encoding': result.encoding,
+      'X-Sheet-Count': result.sheets.length
     });
     
     res.send(result.buffer);
@@ -167,29 +353,105 @@ router.post('/json-to-excel', uploadJson, async (req, res, next) => {
   } catch (error) {
     next(error);
   } finally {
-    if (file) {
+    if (file && !queued) {
       await cleanupFile(file.path);
     }
   }
 });
 
+// Tabular conversions through the shared table model (csv-to-json, excel-to-ndjson,
+// xml-to-excel, ...), for every pair without a dedicated route above
+const tableUploaders = {
+  excel: uploadExcel,
+  ods: uploadOds,
+  csv: uploadCsv,
+  tsv: uploadTsv,
+  json: uploadJson,
+  ndjson: uploadNdjson,
+  xml: uploadXml
+};
+const registeredRoutes = new Set(router.stack.filter(layer => layer.route).map(layer => layer.route.path));
+
+Object.entries(tableUploaders).forEach(([source, upload]) => {
+  Object.keys(tableUploaders).forEach((target) => {
+    const routePath = `/${source}-to-${target}`;
+    if (source === target || registeredRoutes.has(routePath)) return;
+
+    router.post(routePath, upload, async (req, res, next) => {
+      const file = req.file;
+      let queued = false;
+      
+      try {
+        if (!file) {
+          throw new ValidationError('No file uploaded');
+        }
+
+        const tableOptions = {
+          ...parseTableOptions({ ...req.query, ...req.body }),
+          from: resolveTableFormat(source),
+          to: resolveTableFormat(target)
+        };
+        
+        if (isAsyncRequest(req)) {
+          const job = await enqueueJob('table-convert', file, tableOptions, await getCallbackOptions(req));
+          queued = true;
+          return sendJobAccepted(req, res, job);
+        }
+
+        console.log(`Converting ${source} to ${target}: ${file.originalname}`);
+        
+        const result = await processTableConversion(file, tableOptions);
+        
+        res.set({
+          'Content-Type': result.mimeType,
+          'Content-Disposition': `attachment; filename="${result.filename}"`,
+          'X-Original-Filename': file.originalname,
+          'X-Table-Count': result.tables.length
+        });
+        if (result.encoding) {
+          res.set('X-Source-Encoding', result.encoding);
+        }
+        
+        res.send(result.buffer);
+        
+      } catch (error) {
+        next(error);
+      } finally {
+        if (file && !queued) {
+          await cleanupFile(file.path);
+        }
+      }
+    });
+  });
+});
+
 // HTML to Markdown conversion
 router.post('/html-to-markdown', uploadHtml, async (req, res, next) => {
   const file = req.file;
+  let queued = false;
   
   try {
     if (!file) {
       throw new ValidationError('No file uploaded');
     }
 
+    const encoding = normalizeEncoding(req.body.encoding || req.query.encoding);
+    
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('html-to-markdown', file, { encoding }, await getCallbackOptions(req));
+      queued = true;
+      return sendJobAccepted(req, res, job);
+    }
+
     console.log(`Converting HTML to Markdown: ${file.originalname}`);
     
-    const result = await processHtmlToMarkdown(file);
+    const result = await processHtmlToMarkdown(file, { encoding });
     
     res.set({
       'Content-Type': 'text/markdown',
       'Content-Disposition': `attachment; filename="${result.filename}"`,
-      'X-Original-Filename': file.originalname
+      'X-Original-Filename': file.originalname,
+      'X-Source-Encoding': result.encoding
     });
     
     res.send(result.buffer);
@@ -197,7 +459,7 @@ router.post('/html-to-markdown', uploadHtml, async (req, res, next) => {
   } catch (error) {
     next(error);
   } finally {
-    if (file) {
+    if (file && !queued) {
       await cleanupFile(file.path);
     }
   }
@@ -206,6 +468,7 @@ router.post('/html-to-markdown', uploadHtml, async (req, res, next) => {
 // Markdown to HTML conversion
 router.post('/markdown-to-html', uploadMarkdown, async (req, res, next) => {
   const file = req.file;
+  let queued = false;
   
   try {
     if (!file) {
@@ -213,15 +476,23 @@ router.post('/markdown-to-html', uploadMarkdown, async (req, res, next) => {
     }
 
     const includeStyles = req.body.includeStyles === 'true' || req.query.includeStyles === 'true';
+    const encoding = normalizeEncoding(req.body.encoding || req.query.encoding);
     
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('markdown-to-html', file, { includeStyles, encoding }, await getCallbackOptions(req));
+      queued = true;
+      return sendJobAccepted(req, res, job);
+    }
+
     console.log(`Converting Markdown to HTML: ${file.originalname}`);
     
-    const result = await processMarkdownToHtml(file, { includeStyles });
+    const result = await processMarkdownToHtml(file, { includeStyles, encoding });
     
     res.set({
       'Content-Type': 'text/html',
       'Content-Disposition': `attachment; filename="${result.filename}"`,
-      'X-Original-Filename': file.originalname
+      'X-Original-Filename': file.originalname,
+      'X-Source-Encoding': result.encoding
     });
     
     res.send(result.buffer);
@@ -229,9 +500,145 @@ router.post('/markdown-to-html', uploadMarkdown, async (req, res, next) => {
   } catch (error) {
     next(error);
   } finally {
-    if (file) {
+    if (file && !queued) {
+      await cleanupFile(file.path);
+    }
+  }
+});
+
+// Batch Office to PDF conversion
+router.post('/batch/office-to-pdf', uploadOfficeBatch, async (req, res, next) => {
+  const files = req.files || [];
+  
+  try {
+    if (files.length === 0) {
+      throw new ValidationError('No files uploaded');
+    }
+
+    const output = req.body.output || req.query.output || 'zip';
+    if (!['zip', 'json'].includes(output)) {
+      throw new ValidationError('Invalid output. Must be one of: zip, json');
+    }
+    
+    console.log(`Batch converting ${files.length} Office files to PDF`);
+    
+    const pdfOptions = parsePdfExportOptions({ ...req.query, ...req.body });
+    const results = await batchConvertOfficeToPDF(files, { pdfOptions });
+    const items = results.map(result => ({
+      file: result.file,
+      success: result.success,
+      outputName: result.success ? `${path.basename(result.file, path.extname(result.file))}.pdf` : undefined,
+      buffer: result.buffer,
+      convertedFrom: result.convertedFrom,
+      error: result.error
+    }));
+    
+    if (output === 'json') {
+      return res.json({
+        success: true,
+        total: items.length,
+        succeeded: items.filter(item => item.success).length,
+        failed: items.filter(item => !item.success).length,
+        results: items.map(({ buffer, outputName, ...item }) => (item.success ? {
+          ...item,
+          filename: outputName,
+          size: buffer.length,
+          mimeType: 'application/pdf',
+          data: buffer.toString('base64')
+        } : item))
+      });
+    }
+    
+    const archive = await createBatchArchive(items);
+    
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': 'attachment; filename="converted.zip"',
+      'Content-Length': archive.length
+    });
+    
+    res.send(archive);
+    
+  } catch (error) {
+    next(error);
+  } finally {
+    for (const file of files) {
+      await cleanupFile(file.path);
+    }
+  }
+});
+
+// List supported source -> target conversions
+router.get('/formats', (req, res) => {
+  res.json({
+    formats: FORMATS,
+    conversions: listConversions()
+  });
+});
+
+// Universal conversion: sniff the input format and convert to `to` (or the Accept header)
+router.post('/', uploadAny, async (req, res, next) => {
+  const file = req.file;
+  let queued = false;
+  let outputPath = null;
+  
+  try {
+    if (!file) {
+      throw new ValidationError('No file uploaded');
+    }
+
+    let target = req.body.to || req.query.to;
+    if (!target && req.headers.accept && !/^\s*\*\/\*\s*$/.test(req.headers.accept)) {
+      target = req.accepts(Object.values(FORMATS).map(format => format.mimeType)) || undefined;
+    }
+    if (!target) {
+      throw new ValidationError('Target format required. Pass "to" or an Accept header.');
+    }
+    if (!resolveFormat(target)) {
+      throw new ValidationError(`Unsupported target format: ${target}`, {
+        supported: Object.keys(FORMATS)
+      });
+    }
+
+    // Everything but the target and the async submission fields is a conversion option
+    const options = { ...req.query, ...req.body };
+    ['to', 'async', 'callbackUrl'].forEach((name) => {
+      delete options[name];
+    });
+    
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('convert', file, { ...options, to: target }, await getCallbackOptions(req));
+      queued = true;
+      return sendJobAccepted(req, res, job);
+    }
+
+    console.log(`Converting ${file.originalname} to ${target}`);
+    
+    const result = await convertFile(file, target, options);
+    outputPath = result.path || null;
+    
+    res.set({
+      'Content-Type': result.mimeType,
+      'Content-Disposition': `attachment; filename="${result.filename}"`,
+      'Content-Length': result.path ? result.size : result.buffer.length,
+      'X-Original-Filename': file.originalname,
+      'X-Detected-Format': result.sourceFormat,
+      'X-Conversion-Path': result.conversionPath.join(' > ')
+    });
+    
+    if (result.path) {
+      await sendOutputFile(res, result.path);
+    } else {
+      res.send(result.buffer);
+    }
+    
+  } catch (error) {
+    next(error);
+  } finally {
+    if (file && !queued) {
       await cleanupFile(file.path);
     }
+    await cleanupFile(outputPath);
   }
 });
 
@@ -1,49 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const Queue = require('bull');
 const { JobNotFoundError } = require('../middleware/errorHandler');
-
-// Initialize Redis queue (if Redis is available)
-let jobQueue = null;
-if (process.env.REDIS_URL) {
-  jobQueue = new Queue('document-processing', process.env.REDIS_URL, {
-    defaultJobOptions: {
-      attempts: parseInt(process.env.JOB_ATTEMPTS) || 3,
-      backoff: {
-        type: 'exponential',
-        delay: 2000
-      },
-      removeOnComplete: false,
-      removeOnFail: false
-    }
-  });
-
-  // Process jobs
-  jobQueue.process('convert', async (job) => {
-    const { type, file, options } = job.data;
-    console.log(`Processing job ${job.id}: ${type} conversion`);
-    
-    // TODO: Implement actual conversion processing
-    // This would call the appropriate service based on type
-    
-    // Simulate processing
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    return {
-      success: true,
-      result: `Processed ${type} conversion for ${file.originalname}`
-    };
-  });
-
-  // Log job events
-  jobQueue.on('completed', (job, result) => {
-    console.log(`Job ${job.id} completed:`, result);
-  });
-
-  jobQueue.on('failed', (job, err) => {
-    console.error(`Job ${job.id} failed:`, err);
-  });
-}
+const { jobQueue } = require('../services/jobQueue');
+const { resultStore } = require('../services/resultStore');
 
 // Get job status
 router.get('/:jobId/status', async (req, res, next) => {
@@ -74,6 +33,11 @@ router.get('/:jobId/status', async (req, res, next) => {
       finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
     };
 
+    if (job.data.callback) {
+      response.callbackUrl = job.data.callback.url;
+      response.webhookDeliveries = job.data.webhookDeliveries || [];
+    }
+
     if (state === 'completed') {
       response.result = job.returnvalue;
     } else if (state === 'failed') {
@@ -114,15 +78,44 @@ router.get('/:jobId/download', async (req, res, next) => {
       });
     }
 
-    // TODO: Retrieve actual file from storage
-    // For now, return a placeholder response
-    const result = job.returnvalue;
+    const stored = await resultStore.stat(job.id);
 
-    res.json({
-      jobId: jobId,
-      message: 'File download endpoint - to be implemented',
-      result: result
-    });
+    if (!stored) {
+      return res.status(410).json({
+        error: 'Result expired',
+        message: 'The job result is no longer available',
+        jobId: jobId
+      });
+    }
+
+    // res.attachment encodes quotes and non-ASCII names (filename*=UTF-8''...)
+    res.attachment(stored.filename);
+    const headers = {
+      'Content-Type': stored.mimeType,
+      'Accept-Ranges': 'bytes',
+      'X-Result-Expires-At': stored.expiresAt
+    };
+
+    // Serve a single byte range when requested (multiple ranges get the full file)
+    const ranges = req.range(stored.size, { combine: true });
+    let range;
+
+    if (ranges === -1) {
+      return res.status(416).set('Content-Range', `bytes */${stored.size}`).end();
+    } else if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = ranges[0];
+      res.status(206);
+      headers['Content-Range'] = `bytes ${range.start}-${range.end}/${stored.size}`;
+      headers['Content-Length'] = range.end - range.start + 1;
+    } else {
+      headers['Content-Length'] = stored.size;
+    }
+
+    res.set(headers);
+
+    const stream = await resultStore.createReadStream(job.id, range);
+    stream.on('error', next);
+    stream.pipe(res);
   } catch (error) {
     next(error);
   }
@@ -1,12 +1,47 @@
 const express = require('express');
+const path = require('path');
 const router = express.Router();
-const { uploadImage, cleanupFile } = require('../middleware/fileUpload');
-const { extractTextFromImage, processOcrToFile, getSupportedLanguages } = require('../services/ocrService');
+const { uploadImage, uploadImageBatch, cleanupFile } = require('../middleware/fileUpload');
+const { OCR_FILE_FORMATS, OCR_TABLE_FORMATS, extractTextFromImage, extractFields, extractTables, processOcrToFile, processOcrTablesToFile, batchExtractText, getSupportedLanguages } = require('../services/ocrService');
 const { ValidationError } = require('../middleware/errorHandler');
+const { getTenant } = require('../middleware/auth');
+const { isAsyncRequest, getCallbackOptions, sendJobAccepted } = require('../middleware/asyncJob');
+const { enqueueJob } = require('../services/jobQueue');
+const { createBatchArchive } = require('../utils/archive');
+const { parsePreprocessOptions } = require('../services/imagePreprocessor');
+const { validateTemplate, getTemplate, listTemplates, createTemplate, updateTemplate, deleteTemplate } = require('../services/templateStore');
+
+/**
+ * Resolve the template for a field extraction: a saved template by id, or
+ * an inline definition (JSON string in multipart forms)
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Template
+ */
+const resolveTemplate = async (req) => {
+  const templateId = req.body.templateId || req.query.templateId;
+  if (templateId) {
+    return getTemplate(templateId, getTenant(req));
+  }
+
+  if (req.body.template) {
+    let definition = req.body.template;
+    if (typeof definition === 'string') {
+      try {
+        definition = JSON.parse(definition);
+      } catch {
+        throw new ValidationError('Invalid template. Must be a JSON object');
+      }
+    }
+    return { id: null, ...validateTemplate(definition) };
+  }
+
+  throw new ValidationError('templateId or template is required');
+};
 
 // Extract text from image
 router.post('/extract-text', uploadImage, async (req, res, next) => {
   const file = req.file;
+  let queued = false;
   
   try {
     if (!file) {
@@ -15,11 +50,18 @@ router.post('/extract-text', uploadImage, async (req, res, next) => {
 
     const language = req.body.language || req.query.language || 'eng';
     const outputFormat = req.body.outputFormat || req.query.outputFormat || 'text';
+    const preprocess = parsePreprocessOptions({ ...req.query, ...req.body });
     
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('ocr-extract-text', file, { language, outputFormat, preprocess }, await getCallbackOptions(req));
+      queued = true;
+      return sendJobAccepted(req, res, job);
+    }
+
     console.log(`Extracting text from image: ${file.originalname} (Language: ${language})`);
     
     // Process OCR
-    const result = await extractTextFromImage(file, { language, outputFormat });
+    const result = await extractTextFromImage(file, { language, outputFormat, preprocess });
     
     // Return JSON response
     res.json(result);
@@ -28,7 +70,7 @@ router.post('/extract-text', uploadImage, async (req, res, next) => {
     next(error);
   } finally {
     // Clean up uploaded file
-    if (file) {
+    if (file && !queued) {
       await cleanupFile(file.path);
     }
   }
@@ -37,6 +79,7 @@ router.post('/extract-text', uploadImage, async (req, res, next) => {
 // Extract text and download as file
 router.post('/extract-to-file', uploadImage, async (req, res, next) => {
   const file = req.file;
+  let queued = false;
   
   try {
     if (!file) {
@@ -45,18 +88,29 @@ router.post('/extract-to-file', uploadImage, async (req, res, next) => {
 
     const language = req.body.language || req.query.language || 'eng';
     const format = req.body.format || req.query.format || 'txt';
+    if (!OCR_FILE_FORMATS[format]) {
+      throw new ValidationError(`Invalid format. Must be one of: ${Object.keys(OCR_FILE_FORMATS).join(', ')}`);
+    }
+    const preprocess = parsePreprocessOptions({ ...req.query, ...req.body });
     
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('ocr-extract-to-file', file, { language, format, preprocess }, await getCallbackOptions(req));
+      queued = true;
+      return sendJobAccepted(req, res, job);
+    }
+
     console.log(`Extracting text to file: ${file.originalname} (Language: ${language}, Format: ${format})`);
     
     // Process OCR and get file
-    const result = await processOcrToFile(file, { language, format });
+    const result = await processOcrToFile(file, { language, format, preprocess });
     
     // Set response headers
     res.set({
       'Content-Type': result.mimeType,
       'Content-Disposition': `attachment; filename="${result.filename}"`,
       'X-Original-Filename': file.originalname,
-      'X-OCR-Confidence': result.confidence
+      'X-OCR-Confidence': result.confidence,
+      'X-Page-Count': result.pageCount
     });
     
     // Send the file buffer
@@ -65,7 +119,199 @@ router.post('/extract-to-file', uploadImage, async (req, res, next) => {
   } catch (error) {
     next(error);
   } finally {
-    if (file) {
+    if (file && !queued) {
+      await cleanupFile(file.path);
+    }
+  }
+});
+
+// Extract form fields with a template
+router.post('/extract-fields', uploadImage, async (req, res, next) => {
+  const file = req.file;
+  let queued = false;
+  
+  try {
+    if (!file) {
+      throw new ValidationError('No image file uploaded');
+    }
+
+    const template = await resolveTemplate(req);
+    const language = req.body.language || req.query.language;
+    
+    if (isAsyncRequest(req)) {
+      // The job keeps a snapshot so later template edits don't affect it
+      const job = await enqueueJob('ocr-extract-fields', file, { template, language }, await getCallbackOptions(req));
+      queued = true;
+      return sendJobAccepted(req, res, job);
+    }
+
+    console.log(`Extracting fields from: ${file.originalname} (Template: ${template.name})`);
+    
+    const result = await extractFields(file, template, { language });
+    
+    res.json(result);
+    
+  } catch (error) {
+    next(error);
+  } finally {
+    if (file && !queued) {
+      await cleanupFile(file.path);
+    }
+  }
+});
+
+// Extract tables as JSON arrays, CSV or XLSX
+router.post('/extract-tables', uploadImage, async (req, res, next) => {
+  const file = req.file;
+  let queued = false;
+  
+  try {
+    if (!file) {
+      throw new ValidationError('No image file uploaded');
+    }
+
+    const language = req.body.language || req.query.language || 'eng';
+    const format = req.body.format || req.query.format || 'json';
+    if (!OCR_TABLE_FORMATS[format]) {
+      throw new ValidationError(`Invalid format. Must be one of: ${Object.keys(OCR_TABLE_FORMATS).join(', ')}`);
+    }
+    const delimiter = req.body.delimiter || req.query.delimiter || ',';
+    const hasHeaders = req.body.hasHeaders !== 'false' && req.query.hasHeaders !== 'false';
+    const preprocess = parsePreprocessOptions({ ...req.query, ...req.body });
+    
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('ocr-extract-tables', file, { language, format, delimiter, hasHeaders, preprocess }, await getCallbackOptions(req));
+      queued = true;
+      return sendJobAccepted(req, res, job);
+    }
+
+    console.log(`Extracting tables from: ${file.originalname} (Language: ${language}, Format: ${format})`);
+    
+    if (format === 'json') {
+      return res.json(await extractTables(file, { language, preprocess }));
+    }
+    
+    const result = await processOcrTablesToFile(file, { language, format, delimiter, hasHeaders, preprocess });
+    
+    res.set({
+      'Content-Type': result.mimeType,
+      'Content-Disposition': `attachment; filename="${result.filename}"`,
+      'X-Original-Filename': file.originalname,
+      'X-Table-Count': result.tableCount,
+      'X-Page-Count': result.pageCount
+    });
+    
+    res.send(result.buffer);
+    
+  } catch (error) {
+    next(error);
+  } finally {
+    if (file && !queued) {
+      await cleanupFile(file.path);
+    }
+  }
+});
+
+// List field extraction templates
+router.get('/templates', async (req, res, next) => {
+  try {
+    const templates = await listTemplates(getTenant(req));
+    res.json({ templates: templates, total: templates.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a template
+router.post('/templates', async (req, res, next) => {
+  try {
+    const template = await createTemplate(req.body, getTenant(req));
+    res.status(201).location(`${req.baseUrl}/templates/${template.id}`).json(template);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a template
+router.get('/templates/:templateId', async (req, res, next) => {
+  try {
+    res.json(await getTemplate(req.params.templateId, getTenant(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace a template
+router.put('/templates/:templateId', async (req, res, next) => {
+  try {
+    res.json(await updateTemplate(req.params.templateId, req.body, getTenant(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a template
+router.delete('/templates/:templateId', async (req, res, next) => {
+  try {
+    await deleteTemplate(req.params.templateId, getTenant(req));
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Batch text extraction
+router.post('/batch/extract-text', uploadImageBatch, async (req, res, next) => {
+  const files = req.files || [];
+  
+  try {
+    if (files.length === 0) {
+      throw new ValidationError('No image files uploaded');
+    }
+
+    const language = req.body.language || req.query.language || 'eng';
+    const outputFormat = req.body.outputFormat || req.query.outputFormat || 'text';
+    const output = req.body.output || req.query.output || 'json';
+    if (!['zip', 'json'].includes(output)) {
+      throw new ValidationError('Invalid output. Must be one of: zip, json');
+    }
+    const preprocess = parsePreprocessOptions({ ...req.query, ...req.body });
+    
+    console.log(`Batch extracting text from ${files.length} images (Language: ${language})`);
+    
+    const results = await batchExtractText(files, { language, outputFormat, preprocess });
+    
+    if (output === 'zip') {
+      const archive = await createBatchArchive(results.map(result => ({
+        file: result.originalFile,
+        success: result.success,
+        outputName: result.success ? `${path.basename(result.originalFile, path.extname(result.originalFile))}.txt` : undefined,
+        buffer: result.success ? Buffer.from(result.text, 'utf-8') : undefined,
+        confidence: result.confidence,
+        error: result.error
+      })));
+      
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': 'attachment; filename="ocr-results.zip"',
+        'Content-Length': archive.length
+      });
+      
+      return res.send(archive);
+    }
+    
+    res.json({
+      success: true,
+      total: results.length,
+      succeeded: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      results: results
+    });
+    
+  } catch (error) {
+    next(error);
+  } finally {
+    for (const file of files) {
       await cleanupFile(file.path);
     }
   }
@@ -77,6 +323,7 @@ router.get('/languages', (req, res) => {
   res.json({
     languages: languages,
     default: 'eng',
+    combine: 'Join languages with + to recognize mixed-language documents (e.g. eng+deu)',
     note: 'Additional language packs may require separate installation'
   });
 });
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { uploadAny, cleanupFile } = require('../middleware/fileUpload');
+const { parseTableOptions } = require('../services/tableFormats');
+const { parseValidationOptions, processTabularValidation } = require('../services/tabularValidator');
+const { ValidationError } = require('../middleware/errorHandler');
+const { isAsyncRequest, getCallbackOptions, sendJobAccepted } = require('../middleware/asyncJob');
+const { enqueueJob } = require('../services/jobQueue');
+
+// Validate a CSV, Excel or JSON file against column rules or a JSON Schema and profile its columns
+router.post('/tabular', uploadAny, async (req, res, next) => {
+  const file = req.file;
+  let queued = false;
+  
+  try {
+    if (!file) {
+      throw new ValidationError('No file uploaded');
+    }
+
+    const input = { ...req.query, ...req.body };
+    // "schema" is the JSON Schema here, not the column types of the conversion routes
+    const validationOptions = {
+      ...parseTableOptions({ ...input, schema: undefined }),
+      ...parseValidationOptions(input)
+    };
+    
+    if (isAsyncRequest(req)) {
+      const job = await enqueueJob('validate-tabular', file, validationOptions, await getCallbackOptions(req));
+      queued = true;
+      return sendJobAccepted(req, res, job);
+    }
+
+    console.log(`Validating tabular file: ${file.originalname}`);
+    
+    const result = await processTabularValidation(file, validationOptions);
+    
+    res.json({
+      success: true,
+      originalFile: file.originalname,
+      format: result.format,
+      table: result.table,
+      valid: result.valid,
+      rowCount: result.rowCount,
+      columnCount: result.columnCount,
+      errorCount: result.errorCount,
+      invalidRowCount: result.invalidRowCount,
+      columnErrors: result.columnErrors,
+      errors: result.errors,
+      truncated: result.truncated,
+      profile: result.profile
+    });
+    
+  } catch (error) {
+    next(error);
+  } finally {
+    if (file && !queued) {
+      await cleanupFile(file.path);
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const ExcelJS = require('exceljs');
+const SSF = require('ssf');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const { ValueType } = ExcelJS;
+
+const FORMULA_MODES = ['result', 'formula'];
+const HYPERLINK_MODES = ['text', 'url'];
+const MERGED_CELL_MODES = ['fill', 'blank'];
+
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate raw cell value options (form fields / query parameters)
+ * @param {Object} input - Raw request values
+ * @returns {Object} - { formulas, hyperlinks, mergedCells, formatted }
+ */
+const parseCellValueOptions = (input = {}) => {
+  const options = {};
+  const parseChoice = (name, choices) => {
+    if (!input[name]) return;
+    const value = String(input[name]).toLowerCase();
+    if (!choices.includes(value)) {
+      throw new ValidationError(`Invalid ${name}. Must be one of: ${choices.join(', ')}`);
+    }
+    options[name] = value;
+  };
+
+  parseChoice('formulas', FORMULA_MODES);
+  parseChoice('hyperlinks', HYPERLINK_MODES);
+  parseChoice('mergedCells', MERGED_CELL_MODES);
+
+  if (input.formatted !== undefined) {
+    options.formatted = input.formatted === true || input.formatted === 'true';
+  }
+
+  return options;
+};
+
+/**
+ * Read a cell as a plain value: rich text becomes text, hyperlinks their text
+ * or URL, formulas their cached result (or the formula), errors strings such
+ * as #N/A and dates ISO strings, or the text Excel displays when formatted
+ * @param {Cell} cell - ExcelJS cell
+ * @param {Object} options - Cell value options
+ * @param {string} options.formulas - result or formula (default: result)
+ * @param {string} options.hyperlinks - text or url (default: text)
+ * @param {string} options.mergedCells - fill (repeat the merged value) or blank (default: fill)
+ * @param {boolean} options.formatted - Apply the cell's number format (default: false)
+ * @returns {string|number|boolean|null} - Cell value
+ */
+const readCellValue = (cell, options = {}) => {
+  const { formulas = 'result', hyperlinks = 'text', mergedCells = 'fill', formatted = false } = options;
+
+  if (cell.type === ValueType.Merge && mergedCells === 'blank') {
+    return null;
+  }
+
+  // Merged cells report the type and value of their master cell
+  const source = cell.type === ValueType.Merge ? cell.master : cell;
+  const value = source.value;
+
+  switch (source.type) {
+    case ValueType.Null:
+      return null;
+    case ValueType.RichText:
+      return richTextToString(value);
+    case ValueType.Hyperlink:
+      return hyperlinks === 'url' ? value.hyperlink : richTextToString(value.text);
+    case ValueType.Error:
+      return value.error;
+    case ValueType.Formula:
+      if (formulas === 'formula') {
+        return `=${source.formula}`;
+      }
+      return formatValue(formulaResult(source.result), source.numFmt, formatted);
+    default:
+      return formatValue(value, source.numFmt, formatted);
+  }
+};
+
+/**
+ * Cached result of a formula cell as a plain value
+ * @param {*} result - ExcelJS formula result
+ * @returns {string|number|boolean|Date|null}
+ */
+const formulaResult = (result) => {
+  if (result === undefined || result === null) {
+    return null;
+  }
+  if (typeof result === 'object' && !(result instanceof Date)) {
+    return result.error !== undefined ? result.error : richTextToString(result);
+  }
+  return result;
+};
+
+/**
+ * Join the runs of a rich text value
+ * @param {Object|string} value - { richText: [{ text }] } or plain text
+ * @returns {string}
+ */
+const richTextToString = (value) => {
+  if (value && Array.isArray(value.richText)) {
+    return value.richText.map(run => run.text).join('');
+  }
+  return value === undefined || value === null ? '' : String(value);
+};
+
+/**
+ * Convert a number, date, boolean or string to its output form
+ * @param {*} value - Plain cell value
+ * @param {string} numFmt - Excel number format of the cell
+ * @param {boolean} formatted - Render as Excel displays it
+ * @returns {string|number|boolean|null}
+ */
+const formatValue = (value, numFmt, formatted) => {
+  if (!formatted) {
+    return value instanceof Date ? value.toISOString() : value;
+  }
+  if (value instanceof Date) {
+    const serial = value.getTime() / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+    return applyNumberFormat(numFmt || 'yyyy-mm-dd', serial, value.toISOString());
+  }
+  if (typeof value === 'number') {
+    return applyNumberFormat(numFmt || 'General', value, value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  return value;
+};
+
+/**
+ * Render a number with an Excel number format
+ * @param {string} numFmt - Excel number format
+ * @param {number} value - Number or date serial
+ * @param {*} fallback - Value returned when the format cannot be applied
+ * @returns {string|*}
+ */
+const applyNumberFormat = (numFmt, value, fallback) => {
+  try {
+    return SSF.format(numFmt, value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+module.exports = {
+  FORMULA_MODES,
+  HYPERLINK_MODES,
+  MERGED_CELL_MODES,
+  parseCellValueOptions,
+  readCellValue
+};
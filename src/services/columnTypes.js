@@ -0,0 +1,412 @@
+const Joi = require('joi');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const COLUMN_TYPES = ['string', 'integer', 'decimal', 'percent', 'currency', 'date', 'boolean'];
+
+// Currency symbols recognized in front of or behind amounts
+const CURRENCY_SYMBOLS = ['$', '€', '£', '¥', '₹'];
+
+const BOOLEAN_VALUES = {
+  true: true,
+  false: false,
+  yes: true,
+  no: false
+};
+
+// Beyond 15 significant digits Excel silently rounds, so such values stay text
+const MAX_DIGITS = 15;
+
+// Numbers in either convention: 1,234.56 or 1.234,56 (also 1 234,56)
+const NUMBER_PATTERNS = {
+  '.': /^([-+])?(\d{1,3}(?:[,']\d{3})+|\d+)(?:\.(\d+))?$/,
+  ',': /^([-+])?(\d{1,3}(?:[. \u00a0]\d{3})+|\d+)(?:,(\d+))?$/
+};
+
+const ISO_DATE = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const LOCAL_DATE = /^(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// Rows sampled to infer the column types of a table
+const TYPE_SAMPLE_ROWS = 1000;
+
+const columnSchema = Joi.alternatives().try(
+  Joi.string().valid(...COLUMN_TYPES),
+  Joi.object({
+    type: Joi.string().valid(...COLUMN_TYPES).required(),
+    // Excel number format, e.g. "#,##0.00" or "dd/mm/yyyy"
+    format: Joi.string().max(100),
+    decimalSeparator: Joi.string().valid('.', ','),
+    dateOrder: Joi.string().valid('DMY', 'MDY')
+  })
+);
+
+const schemaSchema = Joi.object().pattern(Joi.string(), columnSchema);
+
+/**
+ * Parse a column schema: column names (or 1-based column numbers) mapped to a
+ * type or to { type, format, decimalSeparator, dateOrder }
+ * @param {string|Object} input - Schema, as JSON text in form fields
+ * @returns {Object|null} - Schema with every entry as an object, or null when none was given
+ */
+const parseColumnSchema = (input) => {
+  if (input === undefined || input === null || input === '') {
+    return null;
+  }
+
+  let schema = input;
+  if (typeof schema === 'string') {
+    try {
+      schema = JSON.parse(schema);
+    } catch {
+      throw new ValidationError('Invalid schema. Must be a JSON object');
+    }
+  }
+
+  const { value, error } = schemaSchema.validate(schema, { abortEarly: false });
+  if (error) {
+    throw new ValidationError('Invalid schema', {
+      errors: error.details.map(detail => ({ path: detail.path.join('.'), message: detail.message }))
+    });
+  }
+
+  return Object.fromEntries(Object.entries(value)
+    .map(([column, spec]) => [column, typeof spec === 'string' ? { type: spec } : spec]));
+};
+
+/**
+ * Parse a number written with the given decimal separator
+ * @param {string} text - Cell text
+ * @param {string} decimalSeparator - '.' or ','
+ * @param {boolean} leadingZeros - Accept leading zeros (only when the schema asks for a number)
+ * @returns {Object|null} - { value, decimals, grouped }
+ */
+const parseNumber = (text, decimalSeparator, leadingZeros = false) => {
+  const match = NUMBER_PATTERNS[decimalSeparator].exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const [, sign = '', integerText, fraction = ''] = match;
+  const integer = integerText.replace(/\D/g, '');
+  const grouped = integer !== integerText;
+
+  // Leading zeros mark identifiers (zip codes, account numbers), not quantities
+  if (!leadingZeros && !grouped && integer.length > 1 && integer[0] === '0') {
+    return null;
+  }
+  if ((integer + fraction).replace(/^0+/, '').length > MAX_DIGITS) {
+    return null;
+  }
+
+  return {
+    value: Number(`${sign}${integer}.${fraction || '0'}`),
+    decimals: fraction.length,
+    grouped: grouped
+  };
+};
+
+/**
+ * Parse a percentage such as 12.5% to a fraction (0.125)
+ * @param {string} text - Cell text
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {Object|null} - { value, decimals }
+ */
+const parsePercent = (text, decimalSeparator) => {
+  const match = /^(.*?)\s?%$/.exec(text);
+  const number = match && parseNumber(match[1], decimalSeparator);
+  if (!number) {
+    return null;
+  }
+  // Round away floating point noise from the division
+  return { value: Number((number.value / 100).toPrecision(MAX_DIGITS)), decimals: number.decimals };
+};
+
+/**
+ * Parse an amount with a currency symbol or ISO code before or after it
+ * @param {string} text - Cell text
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {Object|null} - { value, decimals, currency, prefix }
+ */
+const parseCurrency = (text, decimalSeparator) => {
+  let sign = '';
+  let rest = text;
+  if (rest.startsWith('-')) {
+    sign = '-';
+    rest = rest.slice(1);
+  }
+
+  const symbols = CURRENCY_SYMBOLS.map(symbol => symbol.replace(/\$/, '\\$')).join('|');
+  const prefix = new RegExp(`^(${symbols}|[A-Z]{3})\\s?(.+)$`).exec(rest);
+  const suffix = new RegExp(`^(.+?)\\s?(${symbols}|[A-Z]{3})$`).exec(rest);
+
+  let currency, amount;
+  if (prefix) {
+    [, currency, amount] = prefix;
+  } else if (suffix) {
+    [, amount, currency] = suffix;
+  } else {
+    return null;
+  }
+
+  const number = parseNumber(sign + amount, decimalSeparator);
+  if (!number) {
+    return null;
+  }
+  return { value: number.value, decimals: number.decimals, currency: currency, prefix: Boolean(prefix) };
+};
+
+/**
+ * Parse an ISO (2024-03-31, 2024-03-31T14:05:00) or local (31/03/2024,
+ * 03/31/2024, 31.03.24) date. Times are kept as written; offsets are ignored
+ * because Excel dates have no time zone.
+ * @param {string} text - Cell text
+ * @param {string} dateOrder - Day/month order of local dates (DMY or MDY)
+ * @returns {Object|null} - { value: Date (UTC), hasTime, hasSeconds }
+ */
+const parseDate = (text, dateOrder) => {
+  let year, month, day, hours, minutes, seconds;
+
+  const iso = ISO_DATE.exec(text);
+  const local = !iso && LOCAL_DATE.exec(text);
+
+  if (iso) {
+    [year, month, day, hours, minutes, seconds] = iso.slice(1).map(part => part === undefined ? undefined : Number(part));
+  } else if (local) {
+    const [first, , second, last, ...time] = local.slice(1);
+    [day, month] = dateOrder === 'MDY' ? [Number(second), Number(first)] : [Number(first), Number(second)];
+    year = last.length === 2 ? 2000 + Number(last) : Number(last);
+    [hours, minutes, seconds] = time.map(part => part === undefined ? undefined : Number(part));
+  } else {
+    return null;
+  }
+
+  const value = new Date(Date.UTC(year, month - 1, day, hours || 0, minutes || 0, seconds || 0));
+
+  // Round-trip to reject impossible dates such as 31/02
+  if (value.getUTCFullYear() !== year || value.getUTCMonth() !== month - 1 || value.getUTCDate() !== day ||
+      (hours !== undefined && (hours > 23 || minutes > 59 || (seconds || 0) > 59))) {
+    return null;
+  }
+
+  return { value: value, hasTime: hours !== undefined, hasSeconds: seconds !== undefined };
+};
+
+/**
+ * Parse a cell as the given type
+ * @param {string} text - Cell text (trimmed, non-empty)
+ * @param {Object} column - { type, decimalSeparator, dateOrder, fromSchema }
+ * @returns {Object|null} - Parsed value with details, or null when the text is not of the type
+ */
+const parseValue = (text, { type, decimalSeparator = '.', dateOrder = 'DMY', fromSchema = false }) => {
+  switch (type) {
+    case 'integer': {
+      const number = parseNumber(text, decimalSeparator, fromSchema);
+      return number && number.decimals === 0 ? number : null;
+    }
+    case 'decimal':
+      return parseNumber(text, decimalSeparator, fromSchema);
+    case 'percent':
+      return parsePercent(text, decimalSeparator);
+    case 'currency':
+      return parseCurrency(text, decimalSeparator);
+    case 'date':
+      return parseDate(text, dateOrder);
+    case 'boolean': {
+      const value = BOOLEAN_VALUES[text.toLowerCase()];
+      return typeof value === 'boolean' ? { value: value } : null;
+    }
+    default:
+      return { value: text };
+  }
+};
+
+/**
+ * Excel number format for a column, derived from how its values were written
+ * @param {string} type - Column type
+ * @param {Array<Object>} parsed - Parsed sample values
+ * @returns {string|null}
+ */
+const numberFormat = (type, parsed) => {
+  const decimals = Math.min(Math.max(0, ...parsed.map(item => item.decimals || 0)), 10);
+  const fraction = decimals > 0 ? `.${'0'.repeat(decimals)}` : '';
+  const grouped = parsed.some(item => item.grouped);
+
+  switch (type) {
+    case 'integer':
+      return grouped ? '#,##0' : '0';
+    case 'decimal':
+      return `${grouped ? '#,##0' : '0'}${fraction || '.0'}`;
+    case 'percent':
+      return `0${fraction}%`;
+    case 'currency': {
+      const { currency, prefix } = parsed[0] || { currency: '', prefix: true };
+      return prefix ? `"${currency}"#,##0${fraction}` : `#,##0${fraction} "${currency}"`;
+    }
+    case 'date':
+      if (parsed.some(item => item.hasSeconds)) {
+        return 'yyyy-mm-dd hh:mm:ss';
+      }
+      return parsed.some(item => item.hasTime) ? 'yyyy-mm-dd hh:mm' : 'yyyy-mm-dd';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Pick the day/month order of local dates in a column: a first part above 12
+ * can only be a day, a second part above 12 only a day in MDY
+ * @param {Array<string>} values - Cell texts
+ * @returns {string} - DMY or MDY (DMY when nothing decides it)
+ */
+const detectDateOrder = (values) => {
+  for (const text of values) {
+    const local = LOCAL_DATE.exec(text);
+    if (local && Number(local[1]) > 12) {
+      return 'DMY';
+    }
+    if (local && Number(local[3]) > 12) {
+      return 'MDY';
+    }
+  }
+  return 'DMY';
+};
+
+/**
+ * Describe a column as the given type, if every sample value parses as it
+ * @param {Array<string>} values - Non-empty sample cell texts
+ * @param {Object} column - { type, decimalSeparator, dateOrder }
+ * @returns {Object|null} - Column description, or null when a value does not fit
+ */
+const describeAs = (values, column) => {
+  const parsed = [];
+  for (const text of values) {
+    const result = parseValue(text, column);
+    if (!result) {
+      return null;
+    }
+    parsed.push(result);
+  }
+
+  // One number format cannot label amounts in different currencies
+  if (column.type === 'currency' && new Set(parsed.map(item => item.currency)).size > 1) {
+    return null;
+  }
+
+  return { ...column, numFmt: numberFormat(column.type, parsed) };
+};
+
+/**
+ * Infer the type of each column from sample rows, honouring schema overrides
+ * @param {Array<Array<string>>} rows - Sample data rows (without the header)
+ * @param {Object} options - Inference options
+ * @param {Array<string>} options.headers - Column names, when the file has a header row
+ * @param {Object} options.schema - Schema from parseColumnSchema
+ * @param {boolean} options.inferTypes - Infer types of columns not in the schema (default: true)
+ * @param {string} options.decimalSeparator - '.', ',' or undefined to infer
+ * @param {string} options.dateOrder - DMY, MDY or undefined to infer
+ * @param {string} options.delimiter - CSV delimiter; ';' files lean towards decimal commas
+ * @returns {Array<Object>} - Per column { name, type, numFmt, decimalSeparator, dateOrder }
+ */
+const inferColumnTypes = (rows, options = {}) => {
+  const { headers = null, schema = null, inferTypes = true, delimiter = ',' } = options;
+  const columnCount = Math.max(headers ? headers.length : 0, ...rows.map(row => row.length));
+
+  // Ambiguous numbers (1,234) follow the convention that matches the delimiter
+  const preferred = options.decimalSeparator || (delimiter === ';' ? ',' : '.');
+  const separators = options.decimalSeparator ? [preferred] : [preferred, preferred === '.' ? ',' : '.'];
+
+  return Array.from({ length: columnCount }, (unused, index) => {
+    const name = headers && headers[index] ? headers[index] : `${index + 1}`;
+    const values = rows
+      .map(row => (row[index] === undefined ? '' : String(row[index]).trim()))
+      .filter(Boolean);
+    // Own entries only: a column named "constructor" must not pick up Object.prototype
+    const lookup = key => (Object.prototype.hasOwnProperty.call(schema, key) ? schema[key] : null);
+    const override = schema && (lookup(name) || lookup(`${index + 1}`));
+    const dateOrder = (override && override.dateOrder) || options.dateOrder || detectDateOrder(values);
+
+    if (override) {
+      const column = {
+        type: override.type,
+        decimalSeparator: override.decimalSeparator || preferred,
+        dateOrder: dateOrder,
+        fromSchema: true
+      };
+      // Values that do not parse are still written, as text
+      const parsed = values.map(text => parseValue(text, column)).filter(Boolean);
+      return { name, ...column, numFmt: override.format || numberFormat(override.type, parsed) };
+    }
+
+    if (inferTypes && values.length > 0) {
+      const candidates = [
+        { type: 'boolean' },
+        ...separators.flatMap(decimalSeparator => ['integer', 'decimal', 'percent', 'currency']
+          .map(type => ({ type, decimalSeparator }))),
+        { type: 'date', dateOrder }
+      ];
+      for (const candidate of candidates) {
+        const column = describeAs(values, candidate);
+        if (column) {
+          return { name, ...column };
+        }
+      }
+    }
+
+    return { name, type: 'string', numFmt: null };
+  });
+};
+
+/**
+ * Convert a cell to its column's type
+ * @param {*} value - Cell text
+ * @param {Object} column - Column from inferColumnTypes
+ * @returns {*} - Typed value, null for empty cells of typed columns, or the text when it does not parse
+ */
+const convertValue = (value, column) => {
+  if (column.type === 'string' || typeof value !== 'string') {
+    return value;
+  }
+  const text = value.trim();
+  if (!text) {
+    return null;
+  }
+  const parsed = parseValue(text, column);
+  return parsed ? parsed.value : value;
+};
+
+/**
+ * Type the text cells of a table as numbers, dates and booleans (see
+ * inferColumnTypes), recording each column's Excel number format
+ * @param {Object} table - Table of text cells
+ * @param {Object} options - { inferTypes, schema, decimalSeparator, dateOrder, delimiter }
+ * @returns {Object} - Typed table
+ */
+const applyColumnTypes = (table, options = {}) => {
+  const { inferTypes = true, schema = null, decimalSeparator, dateOrder, delimiter = ',' } = options;
+  if (!inferTypes && !schema) {
+    return table;
+  }
+
+  const sample = table.rows.slice(0, TYPE_SAMPLE_ROWS).map(row => row.map(value => (value === null ? '' : value)));
+  const columns = inferColumnTypes(sample, {
+    headers: table.headers,
+    schema,
+    inferTypes,
+    decimalSeparator,
+    dateOrder,
+    delimiter
+  });
+
+  return {
+    ...table,
+    rows: table.rows.map(row => row.map((value, index) => (value === null ? null : convertValue(value, columns[index])))),
+    numFmts: columns.map(column => column.numFmt)
+  };
+};
+
+module.exports = {
+  COLUMN_TYPES,
+  parseColumnSchema,
+  inferColumnTypes,
+  convertValue,
+  applyColumnTypes
+};
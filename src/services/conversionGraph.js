@@ -0,0 +1,356 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { processOfficeConversion, DOCUMENT_FAMILIES, getOfficeTargets } = require('./officeConverter');
+const { parseSheetOptions, processExcelToCsv, processCsvToExcel, processExcelToJson, processJsonToExcel } = require('./dataConverter');
+const { processHtmlToMarkdown, processMarkdownToHtml } = require('./markdownConverter');
+const { extractTextFromImage } = require('./ocrService');
+const { parsePreprocessOptions } = require('./imagePreprocessor');
+const { parseColumnSchema } = require('./columnTypes');
+const { parseCellValueOptions } = require('./cellValues');
+const { parseStyleSpec } = require('./excelStyles');
+const { normalizeEncoding } = require('./textEncoding');
+const { TABLE_FORMATS, parseTableOptions, processTableConversion } = require('./tableFormats');
+const { detectFormat } = require('./formatDetector');
+const { extractPdfText } = require('./pdfRasterizer');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Formats known to the conversion graph
+const FORMATS = {
+  pdf: { mimeType: 'application/pdf', extension: 'pdf' },
+  docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  xlsx: { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pptx: { mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extension: 'pptx' },
+  doc: { mimeType: 'application/msword', extension: 'doc' },
+  xls: { mimeType: 'application/vnd.ms-excel', extension: 'xls' },
+  ppt: { mimeType: 'application/vnd.ms-powerpoint', extension: 'ppt' },
+  odt: { mimeType: 'application/vnd.oasis.opendocument.text', extension: 'odt' },
+  ods: { mimeType: 'application/vnd.oasis.opendocument.spreadsheet', extension: 'ods' },
+  odp: { mimeType: 'application/vnd.oasis.opendocument.presentation', extension: 'odp' },
+  rtf: { mimeType: 'application/rtf', extension: 'rtf' },
+  csv: { mimeType: 'text/csv', extension: 'csv' },
+  tsv: { mimeType: 'text/tab-separated-values', extension: 'tsv' },
+  json: { mimeType: 'application/json', extension: 'json' },
+  ndjson: { mimeType: 'application/x-ndjson', extension: 'ndjson' },
+  xml: { mimeType: 'application/xml', extension: 'xml' },
+  html: { mimeType: 'text/html', extension: 'html' },
+  md: { mimeType: 'text/markdown', extension: 'md' },
+  txt: { mimeType: 'text/plain', extension: 'txt' },
+  png: { mimeType: 'image/png', extension: 'png' },
+  jpg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  tiff: { mimeType: 'image/tiff', extension: 'tiff' },
+  bmp: { mimeType: 'image/bmp', extension: 'bmp' },
+  webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
+// Alternative names accepted for the `to` parameter
+const FORMAT_ALIASES = {
+  jpeg: 'jpg',
+  tif: 'tiff',
+  htm: 'html',
+  markdown: 'md',
+  text: 'txt',
+  tab: 'tsv',
+  jsonl: 'ndjson'
+};
+
+const OFFICE_FORMATS = Object.values(DOCUMENT_FAMILIES).flat();
+const IMAGE_FORMATS = ['png', 'jpg', 'tiff', 'bmp', 'webp'];
+
+// Average characters per page below which a PDF counts as scanned (no text layer)
+const MIN_PDF_TEXT_PER_PAGE = 20;
+
+const officeToPdf = async (file) => (await processOfficeConversion(file)).buffer;
+
+// LibreOffice exports between Office formats (slide images are zipped, so not a graph node)
+const officeExports = OFFICE_FORMATS.flatMap(from => getOfficeTargets(from)
+  .filter(to => to !== 'pdf' && to !== 'png')
+  .map(to => ({
+    from,
+    to,
+    convert: async (file) => (await processOfficeConversion(file, { format: to })).buffer
+  })));
+
+const ocrToText = async (file, options) => {
+  const result = await extractTextFromImage(file, {
+    language: options.language || 'eng',
+    preprocess: parsePreprocessOptions(options)
+  });
+  return Buffer.from(result.text, 'utf-8');
+};
+
+// Digital PDFs (including those LibreOffice renders from Office documents)
+// carry their text; only scanned PDFs without a text layer go through OCR
+const pdfToText = async (file, options) => {
+  const { text, pages } = await extractPdfText(file.path);
+  if (text.replace(/\s/g, '').length >= MIN_PDF_TEXT_PER_PAGE * pages.length) {
+    return Buffer.from(text, 'utf-8');
+  }
+  return ocrToText(file, options);
+};
+
+// Single-hop conversions provided by the existing services. Each returns a
+// buffer, or the path of a file it wrote (csv -> xlsx streams to disk)
+const conversions = [
+  ...OFFICE_FORMATS.map(from => ({ from, to: 'pdf', convert: officeToPdf })),
+  ...officeExports,
+  { from: 'html', to: 'pdf', convert: officeToPdf },
+  {
+    from: 'xlsx',
+    to: 'csv',
+    convert: async (file, options) => (await processExcelToCsv(file, {
+      ...parseSheetOptions({ sheetName: options.sheetName, range: options.range, headerRow: options.headerRow }),
+      ...parseCellValueOptions(options),
+      delimiter: options.delimiter || ',',
+      outputEncoding: normalizeEncoding(options.outputEncoding, { output: true })
+    })).buffer
+  },
+  {
+    from: 'xlsx',
+    to: 'json',
+    convert: async (file, options) => {
+      const result = await processExcelToJson(file, {
+        ...parseSheetOptions({ sheetName: options.sheetName, range: options.range, headerRow: options.headerRow }),
+        ...parseCellValueOptions(options),
+        hasHeaders: options.hasHeaders !== 'false'
+      });
+      return Buffer.from(JSON.stringify(result.data, null, 2), 'utf-8');
+    }
+  },
+  {
+    from: 'csv',
+    to: 'xlsx',
+    convert: async (file, options) => (await processCsvToExcel(file, {
+      encoding: normalizeEncoding(options.encoding),
+      delimiter: options.delimiter || ',',
+      quote: options.quote || '"',
+      escape: options.escape || options.quote || '"',
+      hasHeaders: options.hasHeaders !== 'false',
+      inferTypes: options.inferTypes !== 'false',
+      schema: parseColumnSchema(options.schema),
+      decimalSeparator: options.decimalSeparator,
+      dateOrder: options.dateOrder
+    })).path
+  },
+  {
+    from: 'json',
+    to: 'xlsx',
+    convert: async (file, options) => (await processJsonToExcel(file, {
+      sheetName: options.sheetName || 'Sheet1',
+      encoding: normalizeEncoding(options.encoding),
+      flatten: options.flatten === 'true',
+      explodeArrays: options.explodeArrays === 'true',
+      style: parseStyleSpec(options.style)
+    })).buffer
+  },
+  {
+    from: 'html',
+    to: 'md',
+    convert: async (file, options) => (await processHtmlToMarkdown(file, {
+      encoding: normalizeEncoding(options.encoding)
+    })).buffer
+  },
+  {
+    from: 'md',
+    to: 'html',
+    convert: async (file, options) => (await processMarkdownToHtml(file, {
+      includeStyles: options.includeStyles === 'true',
+      encoding: normalizeEncoding(options.encoding)
+    })).buffer
+  },
+  ...IMAGE_FORMATS.map(from => ({ from, to: 'txt', convert: ocrToText })),
+  { from: 'pdf', to: 'txt', convert: pdfToText }
+];
+
+// Conversions between tabular formats through the table model, for the pairs
+// not covered above (spreadsheet to spreadsheet goes through LibreOffice)
+Object.keys(TABLE_FORMATS).forEach((from) => {
+  Object.keys(TABLE_FORMATS).forEach((to) => {
+    const spreadsheets = !TABLE_FORMATS[from].text && !TABLE_FORMATS[to].text;
+    if (from === to || spreadsheets || conversions.some(edge => edge.from === from && edge.to === to)) return;
+
+    conversions.push({
+      from,
+      to,
+      convert: async (file, options) => {
+        const result = await processTableConversion(file, {
+          ...parseTableOptions({ ...options, sheets: undefined }),
+          from,
+          to
+        });
+        if (result.archive) {
+          throw new ValidationError(`Input holds ${result.tables.length} tables, which a single ${to} file cannot hold`, {
+            tables: result.tables
+          });
+        }
+        return result.buffer;
+      }
+    });
+  });
+});
+
+/**
+ * Normalize a requested target (format id, alias, extension or MIME type)
+ * @param {string} value - Requested target
+ * @returns {string|null} - Format id or null if unknown
+ */
+const resolveFormat = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const normalized = value.trim().toLowerCase().replace(/^\./, '');
+  if (FORMATS[normalized]) {
+    return normalized;
+  }
+  if (FORMAT_ALIASES[normalized]) {
+    return FORMAT_ALIASES[normalized];
+  }
+
+  const byMime = Object.keys(FORMATS).find(format => FORMATS[format].mimeType === normalized);
+  return byMime || null;
+};
+
+/**
+ * Find the shortest chain of conversions between two formats (breadth-first)
+ * @param {string} from - Source format
+ * @param {string} to - Target format
+ * @returns {Array<Object>|null} - Conversion steps, or null when unreachable
+ */
+const findConversionPath = (from, to) => {
+  if (from === to) {
+    return null;
+  }
+
+  const queue = [[from, []]];
+  const visited = new Set([from]);
+
+  while (queue.length > 0) {
+    const [format, steps] = queue.shift();
+
+    for (const edge of conversions.filter(conversion => conversion.from === format)) {
+      if (visited.has(edge.to)) {
+        continue;
+      }
+
+      const nextSteps = [...steps, edge];
+      if (edge.to === to) {
+        return nextSteps;
+      }
+
+      visited.add(edge.to);
+      queue.push([edge.to, nextSteps]);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * List every reachable source -> target pair
+ * @returns {Array<Object>} - { from, to, path }
+ */
+const listConversions = () => {
+  const pairs = [];
+
+  for (const from of Object.keys(FORMATS)) {
+    for (const to of Object.keys(FORMATS)) {
+      const steps = findConversionPath(from, to);
+      if (steps) {
+        pairs.push({ from, to, path: [from, ...steps.map(step => step.to)] });
+      }
+    }
+  }
+
+  return pairs;
+};
+
+/**
+ * Convert a file to the target format, sniffing its real format first and
+ * chaining conversions through intermediate formats where needed
+ * @param {Object} file - Multer file object
+ * @param {string} target - Target format (id, alias or MIME type)
+ * @param {Object} options - Options passed to every conversion step
+ * @returns {Promise<Object>} - Conversion result, the output as buffer or at path (to be removed by the caller)
+ */
+const convertFile = async (file, target, options = {}) => {
+  const targetFormat = resolveFormat(target);
+  if (!targetFormat) {
+    throw new ValidationError(`Unsupported target format: ${target}`, {
+      supported: Object.keys(FORMATS)
+    });
+  }
+
+  const sourceFormat = await detectFormat(file.path, file.originalname);
+  const steps = findConversionPath(sourceFormat, targetFormat);
+  if (!steps) {
+    throw new ValidationError(`No conversion available from ${sourceFormat} to ${targetFormat}`, {
+      from: sourceFormat,
+      to: targetFormat
+    });
+  }
+
+  const tempDir = process.env.TEMP_DIR || '/tmp/document-processing';
+  const baseName = path.basename(file.originalname, path.extname(file.originalname));
+  const intermediates = [];
+
+  // Present the upload under its detected format rather than what the client claimed
+  let current = {
+    ...file,
+    originalname: `${baseName}.${FORMATS[sourceFormat].extension}`,
+    mimetype: FORMATS[sourceFormat].mimeType
+  };
+  let output;
+
+  try {
+    for (const [index, step] of steps.entries()) {
+      console.log(`Converting ${file.originalname}: ${step.from} -> ${step.to}`);
+      // Only the upload can be in another encoding; intermediates are always UTF-8
+      output = await step.convert(current, index === 0 ? options : { ...options, encoding: undefined });
+
+      // Hand the output to the next step as if it had been uploaded
+      if (index < steps.length - 1) {
+        const { extension, mimeType } = FORMATS[step.to];
+        let filePath = output;
+        if (Buffer.isBuffer(output)) {
+          filePath = path.join(tempDir, `${uuidv4()}-${Date.now()}.${extension}`);
+          await fs.writeFile(filePath, output);
+        }
+        intermediates.push(filePath);
+
+        current = {
+          path: filePath,
+          filename: path.basename(filePath),
+          originalname: `${baseName}.${extension}`,
+          mimetype: mimeType,
+          size: Buffer.isBuffer(output) ? output.length : (await fs.stat(filePath)).size
+        };
+      }
+    }
+  } finally {
+    for (const filePath of intermediates) {
+      await fs.unlink(filePath).catch(() => {});
+    }
+  }
+
+  const { extension, mimeType } = FORMATS[targetFormat];
+
+  return {
+    success: true,
+    filename: `${path.basename(file.filename, path.extname(file.filename))}.${extension}`,
+    ...(Buffer.isBuffer(output) ? { buffer: output } : { path: output, size: (await fs.stat(output)).size }),
+    mimeType: mimeType,
+    sourceFormat: sourceFormat,
+    targetFormat: targetFormat,
+    conversionPath: [sourceFormat, ...steps.map(step => step.to)],
+    originalName: file.originalname
+  };
+};
+
+module.exports = {
+  FORMATS,
+  convertFile,
+  findConversionPath,
+  listConversions,
+  resolveFormat
+};
@@ -1,207 +1,596 @@
 const ExcelJS = require('exceljs');
 const csv = require('csv-parser');
-const { parse } = require('json2csv');
 const fs = require('fs').promises;
 const { createReadStream } = require('fs');
 const path = require('path');
-const { ConversionError } = require('../middleware/errorHandler');
+const { pipeline } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const { ConversionError, ValidationError } = require('../middleware/errorHandler');
+const { inferColumnTypes, convertValue } = require('./columnTypes');
+const { readCellValue } = require('./cellValues');
+const { buildJsonSheets } = require('./jsonSheets');
+const { getSheetStyle, applySheetStyle } = require('./excelStyles');
+const { createTable, summarizeTables } = require('./tableModel');
+const { ROW_STEPS, applyTransform } = require('./tableTransform');
+const { detectFileEncoding, createDecodeStream, readTextFile, encodeText } = require('./textEncoding');
+const { createZipBuffer, createUniqueNamer } = require('../utils/archive');
+
+// Rows per worksheet allowed by the XLSX format
+const MAX_EXCEL_ROWS = 1048576;
+
+// Rows read before streamed worksheets are given their column widths
+const WIDTH_SAMPLE_ROWS = 1000;
+
+// Longest CSV record accepted; stops an unterminated quote from buffering the whole file
+const MAX_CSV_ROW_BYTES = parseInt(process.env.CSV_MAX_ROW_BYTES) || 10 * 1024 * 1024;
+
+const HEADER_FILL = {
+  type: 'pattern',
+  pattern: 'solid',
+  fgColor: { argb: 'FFE0E0E0' }
+};
+
+// A1-style cell range such as A1:F200 (a single cell is also accepted)
+const RANGE_PATTERN = /^([A-Z]{1,3})([1-9]\d*)(?::([A-Z]{1,3})([1-9]\d*))?$/;
+
+/**
+ * Validate raw sheet selection options (form fields / query parameters)
+ * @param {Object} input - Raw request values
+ * @returns {Object} - { sheetName, sheets, range, headerRow }
+ */
+const parseSheetOptions = (input = {}) => {
+  const options = {};
+
+  if (input.sheets) {
+    if (input.sheetName) {
+      throw new ValidationError('Use either sheetName or sheets, not both');
+    }
+    if (String(input.sheets).trim().toLowerCase() === 'all') {
+      options.sheets = 'all';
+    } else {
+      // A JSON array allows sheet names containing commas
+      let names = input.sheets;
+      if (typeof names === 'string' && names.trim().startsWith('[')) {
+        try {
+          names = JSON.parse(names);
+        } catch (error) {
+          throw new ValidationError('Invalid sheets. Use "all", a comma-separated list or a JSON array of sheet names');
+        }
+      }
+      names = (Array.isArray(names) ? names : String(names).split(','))
+        .map(name => String(name).trim())
+        .filter(Boolean);
+      if (names.length === 0) {
+        throw new ValidationError('Invalid sheets. Use "all", a comma-separated list or a JSON array of sheet names');
+      }
+      options.sheets = names;
+    }
+  } else if (input.sheetName) {
+    options.sheetName = input.sheetName;
+  }
+
+  if (input.range) {
+    const range = String(input.range).replace(/\$|\s+/g, '').toUpperCase();
+    if (!RANGE_PATTERN.test(range)) {
+      throw new ValidationError('Invalid range. Use an A1-style range such as "A1:F200"');
+    }
+    options.range = range;
+  }
+
+  if (input.headerRow !== undefined && input.headerRow !== '') {
+    const headerRow = parseInt(input.headerRow);
+    if (isNaN(headerRow) || headerRow < 1 || String(headerRow) !== String(input.headerRow).trim()) {
+      throw new ValidationError('Invalid headerRow. Must be a row number of 1 or more');
+    }
+    options.headerRow = headerRow;
+  }
+
+  return options;
+};
+
+/**
+ * Validate raw pagination options (form fields / query parameters)
+ * @param {Object} input - Raw request values
+ * @returns {Object} - { offset, limit }
+ */
+const parsePageOptions = (input = {}) => {
+  const options = {};
+
+  if (input.offset !== undefined && input.offset !== '') {
+    const offset = parseInt(input.offset);
+    if (isNaN(offset) || offset < 0 || String(offset) !== String(input.offset).trim()) {
+      throw new ValidationError('Invalid offset. Must be a row count of 0 or more');
+    }
+    options.offset = offset;
+  }
+
+  if (input.limit !== undefined && input.limit !== '') {
+    const limit = parseInt(input.limit);
+    if (isNaN(limit) || limit < 1 || String(limit) !== String(input.limit).trim()) {
+      throw new ValidationError('Invalid limit. Must be a row count of 1 or more');
+    }
+    options.limit = limit;
+  }
+
+  return options;
+};
 
 /**
- * Convert Excel to CSV
+ * Convert Excel to CSV; several sheets produce a ZIP with one CSV per sheet
  * @param {Object} file - Multer file object
  * @param {Object} options - Conversion options
+ * @param {string} options.sheetName - Sheet to convert (default: the first)
+ * @param {string|Array<string>} options.sheets - 'all' or a list of sheet names, one CSV each
+ * @param {string} options.range - A1-style range to export, e.g. A1:F200 (default: the whole sheet)
+ * @param {number} options.headerRow - Row holding the headers; rows above it are skipped
+ * @param {string} options.formulas - result or formula; hyperlinks, mergedCells and formatted as in readCellValue
+ * @param {string} options.outputEncoding - CSV encoding, or utf-8-bom for Excel (default: utf-8)
+ * @param {Array<Object>} options.transform - Steps run over each sheet, its first row naming the columns (see parseTransformSpec)
  * @returns {Promise<Object>} - Conversion result
  */
 const processExcelToCsv = async (file, options = {}) => {
-  const { sheetName, delimiter = ',' } = options;
+  const { delimiter = ',', outputEncoding = 'utf-8' } = options;
   
   try {
     const workbook = new ExcelJS.Workbook();
     await workbook.xlsx.readFile(file.path);
     
-    // Get the worksheet
-    let worksheet;
-    if (sheetName) {
-      worksheet = workbook.getWorksheet(sheetName);
-      if (!worksheet) {
-        throw new ConversionError(`Sheet "${sheetName}" not found`);
-      }
-    } else {
-      worksheet = workbook.worksheets[0];
-      if (!worksheet) {
-        throw new ConversionError('No worksheets found in Excel file');
-      }
-    }
+    const worksheets = selectWorksheets(workbook, options);
+    const baseName = path.basename(file.filename, path.extname(file.filename));
     
-    // Convert worksheet to CSV
-    const csvData = [];
-    worksheet.eachRow((row, rowNumber) => {
-      const rowData = [];
-      row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
-        let value = cell.value;
-        // Handle different cell types
-        if (value instanceof Date) {
-          value = value.toISOString();
-        } else if (typeof value === 'object' && value !== null) {
-          value = JSON.stringify(value);
-        }
-        // Escape values containing delimiter or quotes
-        if (value && value.toString().includes(delimiter) || value.toString().includes('"')) {
-          value = `"${value.toString().replace(/"/g, '""')}"`;
-        }
-        rowData.push(value || '');
-      });
-      csvData.push(rowData.join(delimiter));
+    // Convert each worksheet to CSV
+    const csvFiles = worksheets.map((worksheet) => {
+      const rows = transformSheetRows(worksheet.name, readSheetRows(worksheet, options), options.transform);
+      return { sheet: worksheet.name, buffer: encodeText(rowsToCsv(rows, delimiter), outputEncoding) };
     });
     
-    const csvContent = csvData.join('\n');
-    const outputFilename = `${path.basename(file.filename, path.extname(file.filename))}.csv`;
+    if (!options.sheets) {
+      return {
+        success: true,
+        filename: `${baseName}.csv`,
+        buffer: csvFiles[0].buffer,
+        originalName: file.originalname
+      };
+    }
+    
+    const uniqueName = createUniqueNamer();
+    const buffer = await createZipBuffer(csvFiles.map(csvFile => ({
+      name: uniqueName(`${csvFile.sheet.replace(/[\\/:*?"<>|]/g, '_')}.csv`),
+      buffer: csvFile.buffer
+    })));
     
     return {
       success: true,
-      filename: outputFilename,
-      buffer: Buffer.from(csvContent, 'utf-8'),
+      filename: `${baseName}.zip`,
+      buffer,
+      archive: true,
+      sheets: csvFiles.map(csvFile => csvFile.sheet),
       originalName: file.originalname
     };
   } catch (error) {
     console.error('Excel to CSV conversion error:', error);
+    if (error instanceof ValidationError) {
+      throw error;
+    }
     throw new ConversionError(`Failed to convert Excel to CSV: ${error.message}`);
   }
 };
 
 /**
- * Convert CSV to Excel
+ * Convert CSV to Excel, streaming both the parse and the workbook (into a
+ * temp file) so large files are never held in memory as a whole
  * @param {Object} file - Multer file object
  * @param {Object} options - Conversion options
- * @returns {Promise<Object>} - Conversion result
+ * @param {string} options.encoding - Source encoding (default: detected)
+ * @param {string} options.delimiter - Field delimiter (default: ,)
+ * @param {string} options.quote - Quote character (default: ")
+ * @param {string} options.escape - Character escaping a quote inside quoted fields (default: the quote)
+ * @param {boolean} options.hasHeaders - Style the first row as a header (default: true)
+ * @param {boolean} options.inferTypes - Write numbers, dates and booleans as typed cells (default: true)
+ * @param {Object} options.schema - Column types that override inference (see parseColumnSchema)
+ * @param {string} options.decimalSeparator - '.' or ',' (default: inferred per column)
+ * @param {string} options.dateOrder - DMY or MDY for local dates (default: inferred per column)
+ * @param {Array<Object>} options.transform - Steps run over the typed rows (see parseTransformSpec); sort, groupBy and dedupe hold every row in memory
+ * @returns {Promise<Object>} - Conversion result, the workbook at path (to be removed by the caller)
  */
 const processCsvToExcel = async (file, options = {}) => {
-  const { delimiter = ',', hasHeaders = true } = options;
+  const { encoding, delimiter = ',', quote = '"', escape = quote, hasHeaders = true, inferTypes = true, schema = null, decimalSeparator, dateOrder, transform = null } = options;
+  const tempDir = process.env.TEMP_DIR || '/tmp/document-processing';
+  const outputPath = path.join(tempDir, `${uuidv4()}-${Date.now()}.xlsx`);
   
   try {
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Sheet1');
+    const sourceEncoding = encoding || await detectFileEncoding(file.path);
     
-    // Read CSV file
-    const csvContent = await fs.readFile(file.path, 'utf-8');
-    const rows = csvContent.split('\n').filter(row => row.trim());
+    await fs.mkdir(tempDir, { recursive: true });
+    // Written straight to disk with inline strings, so memory stays flat
+    // however large the workbook (a shared string table grows with the file)
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: outputPath, useStyles: true, useSharedStrings: false });
     
-    // Parse CSV rows
-    let headers = [];
-    rows.forEach((row, index) => {
-      const values = parseCSVRow(row, delimiter);
-      
-      if (index === 0 && hasHeaders) {
-        headers = values;
-        worksheet.addRow(values);
-        // Style headers
-        worksheet.getRow(1).font = { bold: true };
-        worksheet.getRow(1).fill = {
-          type: 'pattern',
-          pattern: 'solid',
-          fgColor: { argb: 'FFE0E0E0' }
-        };
+    const parser = pipeline(
+      createReadStream(file.path),
+      createDecodeStream(sourceEncoding),
+      csv({ headers: false, separator: delimiter, quote: quote, escape: escape, maxRowBytes: MAX_CSV_ROW_BYTES }),
+      () => {}
+    );
+    
+    let worksheet = null;
+    let sheetCount = 0;
+    let sheetRows = 0;
+    let headers = null;
+    let numFmts = [];
+    let columns = [];
+    let sourceHeaders = null;
+    let outputHeaders = null;
+    let sample = [];
+    let batch = [];
+    
+    // Sorting, grouping and deduplication need every row before anything is
+    // written; the other steps transform the rows batch by batch
+    const heldRows = transform && !transform.every(step => ROW_STEPS.includes(step.op)) ? [] : null;
+    
+    const startWorksheet = (widths) => {
+      if (worksheet) {
+        worksheet.commit();
+      }
+      sheetCount++;
+      worksheet = workbook.addWorksheet(`Sheet${sheetCount}`);
+      worksheet.columns = widths.map((width, index) => ({
+        width: width,
+        style: numFmts[index] ? { numFmt: numFmts[index] } : {}
+      }));
+      sheetRows = 0;
+      if (headers) {
+        addCsvRow(headers);
+      }
+    };
+    
+    const addCsvRow = (values) => {
+      // Continue on a new worksheet (repeating the header) past Excel's row limit
+      if (sheetRows === MAX_EXCEL_ROWS) {
+        startWorksheet(worksheet.columns.map(column => column.width));
+      }
+      const row = worksheet.addRow(values);
+      if (headers && sheetRows === 0) {
+        row.font = { bold: true };
+        row.fill = HEADER_FILL;
+      }
+      row.commit();
+      sheetRows++;
+    };
+    
+    // Types are inferred from the sample, then applied to every data row
+    const convertRow = values => values.map((value, index) => (columns[index] ? convertValue(value, columns[index]) : value));
+    
+    // Transform steps see the typed rows as a table (unnamed columns are column_N)
+    const transformRows = (rows) => {
+      if (!transform) {
+        return { headers: sourceHeaders, rows, numFmts: columns.map(column => column.numFmt) };
+      }
+      const table = applyTransform({
+        ...createTable('Sheet1', sourceHeaders || [], rows),
+        numFmts: columns.map(column => column.numFmt)
+      }, transform);
+      outputHeaders = table.headers;
+      return { headers: hasHeaders ? table.headers : null, rows: table.rows, numFmts: table.numFmts || [] };
+    };
+    
+    // Column widths have to be known before the first row is written, so
+    // they are fitted to the first rows written
+    const writeRows = (rows) => {
+      const result = transformRows(rows);
+      if (!worksheet) {
+        headers = result.headers;
+        numFmts = result.numFmts;
+        const widthSample = result.rows.slice(0, WIDTH_SAMPLE_ROWS);
+        startWorksheet(sampleColumnWidths(headers ? [headers, ...widthSample] : widthSample));
+      }
+      result.rows.forEach(values => addCsvRow(values));
+    };
+    
+    const flushBatch = () => {
+      if (heldRows) {
+        batch.forEach(values => heldRows.push(values));
       } else {
-        worksheet.addRow(values);
+        writeRows(batch);
       }
-    });
+      batch = [];
+    };
     
-    // Auto-fit columns
-    worksheet.columns.forEach((column, index) => {
-      let maxLength = 0;
-      column.eachCell({ includeEmpty: true }, (cell) => {
-        const columnLength = cell.value ? cell.value.toString().length : 10;
-        if (columnLength > maxLength) {
-          maxLength = columnLength;
-        }
+    const flushSample = () => {
+      const dataRows = hasHeaders ? sample.slice(1) : sample;
+      sourceHeaders = hasHeaders && sample.length > 0 ? sample[0] : null;
+      columns = inferColumnTypes(dataRows, {
+        headers: sourceHeaders,
+        schema,
+        inferTypes,
+        decimalSeparator,
+        dateOrder,
+        delimiter
       });
-      column.width = maxLength < 10 ? 10 : maxLength > 50 ? 50 : maxLength + 2;
-    });
+      batch = dataRows.map(convertRow);
+      flushBatch();
+      sample = null;
+    };
+    
+    for await (const record of parser) {
+      const values = Object.values(record);
+      // Blank lines produce no cells
+      if (values.length === 0) {
+        continue;
+      }
+      if (sample) {
+        sample.push(values);
+        if (sample.length === WIDTH_SAMPLE_ROWS) {
+          flushSample();
+        }
+      } else {
+        batch.push(convertRow(values));
+        if (batch.length === WIDTH_SAMPLE_ROWS) {
+          flushBatch();
+        }
+      }
+    }
+    if (sample) {
+      flushSample();
+    }
+    flushBatch();
+    if (heldRows) {
+      writeRows(heldRows);
+    }
+    
+    await workbook.commit();
     
-    // Generate Excel buffer
-    const buffer = await workbook.xlsx.writeBuffer();
     const outputFilename = `${path.basename(file.filename, path.extname(file.filename))}.xlsx`;
     
     return {
       success: true,
       filename: outputFilename,
-      buffer: buffer,
-      originalName: file.originalname
+      path: outputPath,
+      size: (await fs.stat(outputPath)).size,
+      originalName: file.originalname,
+      encoding: sourceEncoding,
+      columns: transform
+        ? (outputHeaders || []).map((name, index) => ({ name, numFmt: numFmts[index] || undefined }))
+        : columns.map(({ name, type, numFmt }) => ({ name, type, numFmt }))
     };
   } catch (error) {
+    await fs.unlink(outputPath).catch(() => {});
     console.error('CSV to Excel conversion error:', error);
+    if (error instanceof ValidationError) {
+      throw error;
+    }
     throw new ConversionError(`Failed to convert CSV to Excel: ${error.message}`);
   }
 };
 
 /**
- * Convert Excel to JSON
+ * Convert Excel to JSON; several sheets produce an object keyed by sheet name
  * @param {Object} file - Multer file object
  * @param {Object} options - Conversion options
+ * @param {string} options.sheetName - Sheet to convert (default: the first)
+ * @param {string|Array<string>} options.sheets - 'all' or a list of sheet names
+ * @param {string} options.range - A1-style range to export, e.g. A1:F200 (default: the whole sheet)
+ * @param {number} options.headerRow - Row holding the headers; rows above it are skipped
+ * @param {string} options.formulas - result or formula; hyperlinks, mergedCells and formatted as in readCellValue
+ * @param {number} options.offset - Data rows of a single sheet to skip (default: 0)
+ * @param {number} options.limit - Maximum number of data rows of a single sheet to return (default: all)
+ * @param {Array<Object>} options.transform - Steps run over each sheet before paging (see parseTransformSpec)
+ * A page (offset or limit) is read as a stream unless it needs the whole workbook (see canPageFromStream)
  * @returns {Promise<Object>} - Conversion result
  */
 const processExcelToJson = async (file, options = {}) => {
-  const { sheetName, hasHeaders = true } = options;
+  const { hasHeaders = true, offset = 0, limit = Infinity } = options;
   
   try {
+    if (canPageFromStream(options)) {
+      const data = [];
+      const page = await readSheetPage(file, { ...options, countRows: true }, (item) => {
+        data.push(item);
+      });
+      return {
+        success: true,
+        data,
+        sheets: page.sheets,
+        rowCount: data.length,
+        totalRowCount: page.totalRowCount,
+        nextOffset: page.hasMore ? offset + data.length : null,
+        originalName: file.originalname
+      };
+    }
+    
     const workbook = new ExcelJS.Workbook();
     await workbook.xlsx.readFile(file.path);
     
-    // Get the worksheet
-    let worksheet;
-    if (sheetName) {
-      worksheet = workbook.getWorksheet(sheetName);
-      if (!worksheet) {
-        throw new ConversionError(`Sheet "${sheetName}" not found`);
-      }
-    } else {
-      worksheet = workbook.worksheets[0];
-      if (!worksheet) {
-        throw new ConversionError('No worksheets found in Excel file');
-      }
-    }
+    const worksheets = selectWorksheets(workbook, options);
     
-    const jsonData = [];
-    let headers = [];
-    
-    worksheet.eachRow((row, rowNumber) => {
-      const rowData = [];
-      row.eachCell({ includeEmpty: true }, (cell) => {
-        let value = cell.value;
-        // Handle different cell types
-        if (value instanceof Date) {
-          value = value.toISOString();
-        } else if (typeof value === 'object' && value !== null && value.result) {
-          value = value.result;
+    const sheetData = worksheets.map((worksheet) => {
+      if (options.transform) {
+        // Without headers the columns are named column_0, column_1, ...
+        const rows = readSheetRows(worksheet, options);
+        const headerRow = hasHeaders && rows.length > 0 ? rows.shift() : [];
+        const table = applyTransform(createTable(worksheet.name, headerRow, rows), options.transform);
+        return {
+          sheet: worksheet.name,
+          data: hasHeaders ? table.rows.map(row => rowToObject(table.headers, row)) : table.rows
+        };
+      }
+      
+      const jsonData = [];
+      let headers = [];
+      
+      readSheetRows(worksheet, options).forEach((rowData, index) => {
+        if (index === 0 && hasHeaders) {
+          headers = rowData;
+        } else if (hasHeaders) {
+          jsonData.push(rowToObject(headers, rowData));
+        } else {
+          jsonData.push(rowData);
         }
-        rowData.push(value);
       });
       
-      if (rowNumber === 1 && hasHeaders) {
-        headers = rowData;
-      } else if (hasHeaders) {
-        const obj = {};
-        headers.forEach((header, index) => {
-          obj[header || `column_${index}`] = rowData[index] || null;
-        });
-        jsonData.push(obj);
-      } else {
-        jsonData.push(rowData);
-      }
+      return { sheet: worksheet.name, data: jsonData };
     });
     
     // Get all sheet names
     const sheets = workbook.worksheets.map(ws => ws.name);
     
+    if (!options.sheets) {
+      const totalRowCount = sheetData[0].data.length;
+      const data = sheetData[0].data.slice(offset, offset + limit);
+      return {
+        success: true,
+        data,
+        sheets: sheets,
+        rowCount: data.length,
+        totalRowCount,
+        nextOffset: offset + data.length < totalRowCount ? offset + data.length : null,
+        originalName: file.originalname
+      };
+    }
+    
+    const data = {};
+    const rowCounts = {};
+    sheetData.forEach(({ sheet, data: rows }) => {
+      data[sheet] = rows;
+      rowCounts[sheet] = rows.length;
+    });
+    
     return {
       success: true,
-      data: jsonData,
+      data,
       sheets: sheets,
-      rowCount: jsonData.length,
+      rowCount: sheetData.reduce((total, { data: rows }) => total + rows.length, 0),
+      rowCounts,
       originalName: file.originalname
     };
   } catch (error) {
     console.error('Excel to JSON conversion error:', error);
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    throw new ConversionError(`Failed to convert Excel to JSON: ${error.message}`);
+  }
+};
+
+/**
+ * Whether a page of a single sheet can be read as a stream: streaming cannot
+ * resolve hyperlink targets or fill merged cells, so asking for either loads
+ * the workbook, as do transforms, which need every row
+ * @param {Object} options - Options of processExcelToJson
+ * @returns {boolean}
+ */
+const canPageFromStream = ({ sheets, offset, limit, transform, hyperlinks, mergedCells }) =>
+  !sheets && !transform && (offset !== undefined || limit !== undefined) &&
+  hyperlinks !== 'url' && mergedCells !== 'fill';
+
+/**
+ * Read the data rows of one worksheet as a stream, without loading the
+ * workbook into memory, handing each row of the requested page to a callback.
+ * Hyperlinks and merged cells follow the rows in the sheet XML, so they cannot
+ * be resolved: hyperlinks give their text and merged cells their master cell only
+ * @param {Object} file - Multer file object
+ * @param {Object} options - Sheet, range, header row and cell value options as for streamExcelToJson
+ * @param {boolean} options.countRows - Read to the end of the sheet to count its rows (default: false)
+ * @param {Function} onRow - async (item) => false to stop reading; item is a row object, or an array without headers
+ * @returns {Promise<Object>} - { sheet, sheets, rowCount, totalRowCount, hasMore }; totalRowCount only with countRows
+ */
+const readSheetPage = async (file, options, onRow) => {
+  const { sheetName, hasHeaders = true, offset = 0, limit = Infinity, countRows = false } = options;
+  const bounds = getRowBounds(options);
+  const input = createReadStream(file.path);
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(input, {
+    worksheets: 'emit',
+    sharedStrings: 'cache',
+    styles: 'cache',
+    hyperlinks: 'ignore',
+    entries: 'ignore'
+  });
+  
+  try {
+    for await (const worksheetReader of reader) {
+      // Worksheets arrive in file order; the first sheet is the first in the workbook
+      const sheets = reader.model && reader.model.sheets ? reader.model.sheets.map(sheet => sheet.name) : [];
+      const targetName = sheetName || sheets[0] || worksheetReader.name;
+      if (worksheetReader.name !== targetName) continue;
+      
+      let headers = null;
+      let seen = 0;
+      let rowCount = 0;
+      
+      for await (const row of worksheetReader) {
+        if (row.number > bounds.bottom) break;
+        if (row.number < bounds.firstRow || !row.hasValues) continue;
+        
+        if (hasHeaders && !headers) {
+          headers = readRowValues(row, bounds, options);
+          continue;
+        }
+        seen++;
+        // Rows outside the page are only counted
+        if (seen <= offset || rowCount === limit) {
+          if (rowCount === limit && !countRows) break;
+          continue;
+        }
+        
+        const rowData = readRowValues(row, bounds, options);
+        if (await onRow(hasHeaders ? rowToObject(headers, rowData) : rowData) === false) break;
+        rowCount++;
+      }
+      
+      return {
+        sheet: worksheetReader.name,
+        sheets,
+        rowCount,
+        totalRowCount: countRows ? seen : undefined,
+        hasMore: seen > offset + rowCount
+      };
+    }
+    
+    throw new ConversionError(sheetName ? `Sheet "${sheetName}" not found` : 'No worksheets found in Excel file');
+  } finally {
+    input.destroy();
+  }
+};
+
+/**
+ * Stream the rows of one worksheet as NDJSON or a JSON array without loading
+ * the workbook into memory. Reading stops once the requested page is written
+ * @param {Object} file - Multer file object
+ * @param {Writable} output - Stream receiving the JSON, e.g. the response
+ * @param {Object} options - Conversion options
+ * @param {string} options.format - ndjson (one row per line) or array (default: ndjson)
+ * @param {string} options.sheetName - Sheet to convert (default: the first)
+ * @param {string} options.range - A1-style range to export, e.g. A1:F200 (default: the whole sheet)
+ * @param {number} options.headerRow - Row holding the headers; rows above it are skipped
+ * @param {boolean} options.hasHeaders - First row holds the keys of the row objects (default: true)
+ * @param {string} options.formulas - result or formula; formatted as in readCellValue
+ * @param {number} options.offset - Data rows to skip (default: 0)
+ * @param {number} options.limit - Maximum number of data rows to write (default: all)
+ * @returns {Promise<Object>} - { sheet, rowCount, hasMore }
+ */
+const streamExcelToJson = async (file, output, options = {}) => {
+  const { format = 'ndjson' } = options;
+  let started = false;
+  
+  try {
+    const { sheet, rowCount, hasMore } = await readSheetPage(file, options, async (item) => {
+      if (output.destroyed) return false;
+      const json = JSON.stringify(item);
+      if (format === 'array') {
+        await writeChunk(output, `${started ? ',\n' : '[\n'}${json}`);
+      } else {
+        await writeChunk(output, `${json}\n`);
+      }
+      started = true;
+    });
+    
+    if (format === 'array') {
+      await writeChunk(output, started ? '\n]\n' : '[]\n');
+    }
+    
+    return { sheet, rowCount, hasMore };
+  } catch (error) {
+    console.error('Excel to JSON streaming error:', error);
     throw new ConversionError(`Failed to convert Excel to JSON: ${error.message}`);
   }
 };
@@ -210,14 +599,20 @@ const processExcelToJson = async (file, options = {}) => {
  * Convert JSON to Excel
  * @param {Object} file - Multer file object
  * @param {Object} options - Conversion options
+ * @param {string} options.encoding - Source encoding (default: detected)
+ * @param {string} options.sheetName - Sheet name for an array or a single object (default: Sheet1)
+ * @param {boolean} options.flatten - Spread nested objects over dotted columns (default: false)
+ * @param {boolean} options.explodeArrays - Move arrays of objects to linked child sheets (default: false)
+ * @param {Object} options.style - Column formats and widths, freeze panes, autofilter and conditional formatting (see parseStyleSpec)
+ * @param {Array<Object>} options.transform - Steps run over each sheet (see parseTransformSpec)
  * @returns {Promise<Object>} - Conversion result
  */
 const processJsonToExcel = async (file, options = {}) => {
-  const { sheetName = 'Sheet1' } = options;
+  const { sheetName = 'Sheet1', encoding, flatten = false, explodeArrays = false, style, transform } = options;
   
   try {
     // Read and parse JSON file
-    const jsonContent = await fs.readFile(file.path, 'utf-8');
+    const { text: jsonContent, encoding: sourceEncoding } = await readTextFile(file.path, encoding);
     let jsonData;
     
     try {
@@ -226,73 +621,24 @@ const processJsonToExcel = async (file, options = {}) => {
       throw new ConversionError('Invalid JSON format');
     }
     
-    // Ensure data is an array
-    if (!Array.isArray(jsonData)) {
-      if (typeof jsonData === 'object') {
-        jsonData = [jsonData];
-      } else {
-        throw new ConversionError('JSON data must be an array or object');
-      }
-    }
-    
-    if (jsonData.length === 0) {
-      throw new ConversionError('JSON data is empty');
-    }
-    
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet(sheetName);
-    
-    // Extract headers from first object
-    const firstItem = jsonData[0];
-    const headers = Object.keys(firstItem);
-    
-    // Add headers
-    worksheet.addRow(headers);
-    worksheet.getRow(1).font = { bold: true };
-    worksheet.getRow(1).fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FFE0E0E0' }
-    };
-    
-    // Add data rows
-    jsonData.forEach(item => {
-      const row = headers.map(header => {
-        const value = item[header];
-        // Convert objects/arrays to string
-        if (typeof value === 'object' && value !== null) {
-          return JSON.stringify(value);
-        }
-        return value;
-      });
-      worksheet.addRow(row);
-    });
-    
-    // Auto-fit columns
-    worksheet.columns.forEach((column, index) => {
-      let maxLength = headers[index] ? headers[index].length : 10;
-      column.eachCell({ includeEmpty: true }, (cell) => {
-        const columnLength = cell.value ? cell.value.toString().length : 10;
-        if (columnLength > maxLength) {
-          maxLength = columnLength;
-        }
-      });
-      column.width = maxLength < 10 ? 10 : maxLength > 50 ? 50 : maxLength + 2;
-    });
+    const sheets = buildJsonSheets(jsonData, { sheetName, flatten, explodeArrays })
+      .map(sheet => applyTransform(sheet, transform));
     
     // Generate Excel buffer
-    const buffer = await workbook.xlsx.writeBuffer();
+    const buffer = await buildExcelBuffer(sheets.map(({ name, headers, rows }) => ({ name, rows: [headers, ...rows] })), { style });
     const outputFilename = `${path.basename(file.filename, path.extname(file.filename))}.xlsx`;
     
     return {
       success: true,
       filename: outputFilename,
       buffer: buffer,
-      originalName: file.originalname
+      sheets: summarizeTables(sheets),
+      originalName: file.originalname,
+      encoding: sourceEncoding
     };
   } catch (error) {
     console.error('JSON to Excel conversion error:', error);
-    if (error instanceof ConversionError) {
+    if (error instanceof ConversionError || error instanceof ValidationError) {
       throw error;
     }
     throw new ConversionError(`Failed to convert JSON to Excel: ${error.message}`);
@@ -300,42 +646,323 @@ const processJsonToExcel = async (file, options = {}) => {
 };
 
 /**
- * Parse a CSV row considering quotes and delimiters
- * @param {string} row - CSV row string
+ * Build an Excel workbook from rows of cell values, one worksheet per sheet
+ * @param {Array<Object>} sheets - [{ name, rows, hasHeaders, numFmts }], numFmts holding a number format per column
+ * @param {Object} options - { style } (see parseStyleSpec; applied to sheets with headers)
+ * @returns {Promise<Buffer>} - XLSX buffer
+ */
+const buildExcelBuffer = async (sheets, options = {}) => {
+  const workbook = new ExcelJS.Workbook();
+
+  sheets.forEach(({ name, rows, hasHeaders = true, numFmts = [] }) => {
+    const worksheet = workbook.addWorksheet(name);
+    rows.forEach(row => worksheet.addRow(row));
+    numFmts.forEach((numFmt, index) => {
+      if (!numFmt) return;
+      worksheet.getColumn(index + 1).eachCell((cell, rowNumber) => {
+        if (rowNumber > 1 || !hasHeaders) {
+          cell.numFmt = numFmt;
+        }
+      });
+    });
+    if (hasHeaders && rows.length > 0) {
+      styleHeaderRow(worksheet);
+    }
+    autoFitColumns(worksheet);
+    if (hasHeaders && rows.length > 0) {
+      applySheetStyle(worksheet, rows[0], rows.length - 1, getSheetStyle(options.style, name));
+    }
+  });
+
+  return workbook.xlsx.writeBuffer();
+};
+
+/**
+ * Read worksheets as tables (see createTable)
+ * @param {Workbook} workbook - Loaded ExcelJS workbook
+ * @param {Object} options - Sheet selection and cell value options as for processExcelToJson, plus hasHeaders
+ * @returns {Array<Object>} - Tables
+ */
+const readWorkbookTables = (workbook, options = {}) => {
+  const { hasHeaders = true } = options;
+
+  return selectWorksheets(workbook, options).map((worksheet) => {
+    const rows = readSheetRows(worksheet, options);
+    const headerRow = hasHeaders && rows.length > 0 ? rows.shift() : [];
+    return createTable(worksheet.name, headerRow, rows);
+  });
+};
+
+/**
+ * Read a CSV file into a table (see createTable), holding every row in memory
+ * @param {Object} file - Multer file object
+ * @param {Object} options - Read options
+ * @param {string} options.encoding - Source encoding (default: detected)
+ * @param {string} options.delimiter - Field delimiter (default: ,)
+ * @param {string} options.quote - Quote character (default: ")
+ * @param {string} options.escape - Character escaping a quote inside quoted fields (default: the quote)
+ * @param {boolean} options.hasHeaders - First row holds the column names (default: true)
+ * @param {string} options.sheetName - Table name (default: Sheet1)
+ * @returns {Promise<Object>} - { table, encoding }
+ */
+const readCsvTable = async (file, options = {}) => {
+  const { encoding, delimiter = ',', quote = '"', escape = quote, hasHeaders = true, sheetName = 'Sheet1' } = options;
+  const sourceEncoding = encoding || await detectFileEncoding(file.path);
+
+  const parser = pipeline(
+    createReadStream(file.path),
+    createDecodeStream(sourceEncoding),
+    csv({ headers: false, separator: delimiter, quote: quote, escape: escape, maxRowBytes: MAX_CSV_ROW_BYTES }),
+    () => {}
+  );
+
+  const rows = [];
+  for await (const record of parser) {
+    const values = Object.values(record);
+    // Blank lines produce no cells
+    if (values.length > 0) {
+      rows.push(values);
+    }
+  }
+
+  const headerRow = hasHeaders && rows.length > 0 ? rows.shift() : [];
+  return { table: createTable(sheetName, headerRow, rows), encoding: sourceEncoding };
+};
+
+/**
+ * Serialize rows of cell values as CSV (or TSV with a tab delimiter); every
+ * CSV the service writes goes through here
+ * @param {Array<Array>} rows - Rows of cell values
  * @param {string} delimiter - CSV delimiter
- * @returns {Array} - Parsed values
+ * @returns {string} - CSV content
  */
-function parseCSVRow(row, delimiter) {
-  const values = [];
-  let current = '';
-  let inQuotes = false;
-  
-  for (let i = 0; i < row.length; i++) {
-    const char = row[i];
-    const nextChar = row[i + 1];
-    
-    if (char === '"') {
-      if (inQuotes && nextChar === '"') {
-        current += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (char === delimiter && !inQuotes) {
-      values.push(current);
-      current = '';
-    } else {
-      current += char;
+const rowsToCsv = (rows, delimiter = ',') => rows
+  .map(row => row.map((value) => {
+    if (value === null || value === undefined) {
+      return '';
     }
+    const text = value instanceof Date ? value.toISOString() : value.toString();
+    // Quote values containing the delimiter, quotes or line breaks
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(delimiter))
+  .join('\n');
+
+/**
+ * Pick the worksheets to export: the sheets listed (or all of them), the
+ * named sheet, or the first sheet
+ * @param {Workbook} workbook - ExcelJS workbook
+ * @param {Object} options - { sheetName, sheets }
+ * @returns {Array<Worksheet>} - Worksheets in export order
+ */
+const selectWorksheets = (workbook, { sheetName, sheets } = {}) => {
+  if (sheets === 'all') {
+    if (workbook.worksheets.length === 0) {
+      throw new ConversionError('No worksheets found in Excel file');
+    }
+    return workbook.worksheets;
+  }
+
+  const names = sheets || (sheetName ? [sheetName] : null);
+  if (!names) {
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      throw new ConversionError('No worksheets found in Excel file');
+    }
+    return [worksheet];
+  }
+
+  return names.map((name) => {
+    const worksheet = workbook.getWorksheet(name);
+    if (!worksheet) {
+      throw new ConversionError(`Sheet "${name}" not found`);
+    }
+    return worksheet;
+  });
+};
+
+/**
+ * Read the cell values of a worksheet's non-empty rows, limited to a range
+ * and starting at the header row
+ * @param {Worksheet} worksheet - ExcelJS worksheet
+ * @param {Object} options - { range, headerRow } plus cell value options (see readCellValue)
+ * @returns {Array<Array>} - Rows of plain cell values
+ */
+const readSheetRows = (worksheet, options = {}) => {
+  const bounds = getRowBounds(options);
+  const rows = [];
+
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber < bounds.firstRow || rowNumber > bounds.bottom) return;
+    rows.push(readRowValues(row, bounds, options));
+  });
+
+  return rows;
+};
+
+/**
+ * Rows and columns to export, from the range and header row options
+ * @param {Object} options - { range, headerRow }
+ * @returns {Object} - { firstRow, bottom, left, right } (right is null for all columns)
+ */
+const getRowBounds = ({ range, headerRow } = {}) => {
+  const bounds = range ? parseCellRange(range) : { top: 1, left: 1, bottom: Infinity, right: null };
+  return {
+    firstRow: Math.max(bounds.top, headerRow || 1),
+    bottom: bounds.bottom,
+    left: bounds.left,
+    right: bounds.right
+  };
+};
+
+/**
+ * Read the cell values of a row within the column bounds
+ * @param {Row} row - ExcelJS row
+ * @param {Object} bounds - Bounds from getRowBounds
+ * @param {Object} options - Cell value options (see readCellValue)
+ * @returns {Array} - Plain cell values
+ */
+const readRowValues = (row, bounds, options) => {
+  const values = [];
+  const lastColumn = bounds.right || row.cellCount;
+  for (let column = bounds.left; column <= lastColumn; column++) {
+    values.push(readCellValue(row.getCell(column), options));
   }
-  
-  values.push(current);
   return values;
-}
+};
+
+/**
+ * Run transform steps over the rows of a sheet, the first row naming the columns
+ * @param {string} name - Sheet name
+ * @param {Array<Array>} rows - Rows of cell values
+ * @param {Array<Object>|null} transform - Steps from parseTransformSpec
+ * @returns {Array<Array>} - Header row and data rows
+ */
+const transformSheetRows = (name, rows, transform) => {
+  if (!transform) {
+    return rows;
+  }
+  const table = applyTransform(createTable(name, rows[0] || [], rows.slice(1)), transform);
+  return [table.headers, ...table.rows];
+};
+
+/**
+ * Key the values of a data row by the header row (empty cells become null)
+ * @param {Array} headers - Header row values
+ * @param {Array} rowData - Data row values
+ * @returns {Object}
+ */
+const rowToObject = (headers, rowData) => {
+  const obj = {};
+  headers.forEach((header, index) => {
+    const value = rowData[index];
+    obj[header || `column_${index}`] = value === undefined || value === '' ? null : value;
+  });
+  return obj;
+};
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ * @param {Writable} output - Output stream
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+const writeChunk = (output, chunk) => {
+  // Nothing to do once the client has gone away
+  if (output.destroyed || output.write(chunk)) {
+    return Promise.resolve();
+  }
+  // A closed stream never drains
+  return new Promise((resolve) => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.once('drain', done);
+    output.once('close', done);
+  });
+};
+
+/**
+ * Parse an A1-style range into row and column bounds
+ * @param {string} range - Range such as A1:F200 (validated by parseSheetOptions)
+ * @returns {Object} - { top, left, bottom, right }
+ */
+const parseCellRange = (range) => {
+  const [, startColumn, startRow, endColumn = startColumn, endRow = startRow] = RANGE_PATTERN.exec(range);
+  const columnNumber = letters => [...letters].reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0);
+  const columns = [columnNumber(startColumn), columnNumber(endColumn)];
+  const rows = [parseInt(startRow), parseInt(endRow)];
+
+  return {
+    top: Math.min(...rows),
+    bottom: Math.max(...rows),
+    left: Math.min(...columns),
+    right: Math.max(...columns)
+  };
+};
+
+/**
+ * Style the first row of a worksheet as a header
+ * @param {Worksheet} worksheet - ExcelJS worksheet
+ */
+const styleHeaderRow = (worksheet) => {
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).fill = HEADER_FILL;
+};
+
+/**
+ * Size each column to its longest value (between 10 and 50 characters)
+ * @param {Worksheet} worksheet - ExcelJS worksheet
+ */
+const autoFitColumns = (worksheet) => {
+  worksheet.columns.forEach((column) => {
+    let maxLength = 0;
+    column.eachCell({ includeEmpty: true }, (cell) => {
+      const columnLength = cell.value ? cell.value.toString().length : 10;
+      if (columnLength > maxLength) {
+        maxLength = columnLength;
+      }
+    });
+    column.width = columnWidth(maxLength);
+  });
+};
+
+/**
+ * Column widths fitted to sampled rows, by the same rule as autoFitColumns
+ * @param {Array<Array>} rows - Rows of cell values
+ * @returns {Array<number>} - Width per column
+ */
+const sampleColumnWidths = (rows) => {
+  const maxLengths = [];
+  rows.forEach((row) => {
+    row.forEach((value, index) => {
+      const columnLength = value ? value.toString().length : 10;
+      maxLengths[index] = Math.max(maxLengths[index] || 0, columnLength);
+    });
+  });
+  return Array.from(maxLengths, maxLength => columnWidth(maxLength || 0));
+};
+
+/**
+ * Width for a column whose longest value has maxLength characters
+ * @param {number} maxLength - Longest value length
+ * @returns {number} - Width between 10 and 50
+ */
+const columnWidth = (maxLength) => {
+  return maxLength < 10 ? 10 : maxLength > 50 ? 50 : maxLength + 2;
+};
 
 module.exports = {
+  parseSheetOptions,
+  parsePageOptions,
   processExcelToCsv,
   processCsvToExcel,
   processExcelToJson,
-  processJsonToExcel
+  streamExcelToJson,
+  processJsonToExcel,
+  buildExcelBuffer,
+  readWorkbookTables,
+  readCsvTable,
+  rowsToCsv
 };
@@ -0,0 +1,214 @@
+const Joi = require('joi');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const CELL_IS_OPERATORS = ['equal', 'notEqual', 'greaterThan', 'greaterThanOrEqual', 'lessThan', 'lessThanOrEqual', 'between', 'notBetween'];
+
+// RRGGBB or AARRGGBB, with or without a leading #
+const color = Joi.string().pattern(/^#?([0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/);
+
+const ruleSchema = Joi.object({
+  column: Joi.string().required(),
+  type: Joi.string().valid('cellIs', 'containsText', 'colorScale', 'dataBar').required(),
+  operator: Joi.when('type', {
+    is: 'cellIs',
+    then: Joi.string().valid(...CELL_IS_OPERATORS).required(),
+    otherwise: Joi.forbidden()
+  }),
+  value: Joi.when('type', {
+    is: 'cellIs',
+    then: Joi.alternatives().try(Joi.number(), Joi.string()).required(),
+    otherwise: Joi.forbidden()
+  }),
+  // Upper bound of between / notBetween
+  value2: Joi.when('operator', {
+    is: Joi.string().valid('between', 'notBetween').required(),
+    then: Joi.alternatives().try(Joi.number(), Joi.string()).required(),
+    otherwise: Joi.forbidden()
+  }),
+  text: Joi.when('type', { is: 'containsText', then: Joi.string().required(), otherwise: Joi.forbidden() }),
+  fill: color,
+  font: color,
+  // colorScale: low, (mid,) high colors; dataBar: bar color
+  colors: Joi.when('type', { is: 'colorScale', then: Joi.array().items(color).min(2).max(3).required(), otherwise: Joi.forbidden() }),
+  color: Joi.when('type', { is: 'dataBar', then: color.required(), otherwise: Joi.forbidden() })
+});
+
+const sheetStyleSchema = Joi.object({
+  columns: Joi.object().pattern(Joi.string(), Joi.object({
+    // Excel number format, e.g. "#,##0.00" or "yyyy-mm-dd"
+    format: Joi.string().max(100),
+    width: Joi.number().min(1).max(255)
+  })),
+  freeze: Joi.object({
+    rows: Joi.number().integer().min(0).default(0),
+    columns: Joi.number().integer().min(0).default(0)
+  }),
+  autoFilter: Joi.boolean(),
+  conditionalFormatting: Joi.array().items(ruleSchema)
+});
+
+const styleSchema = sheetStyleSchema.keys({
+  // Per-sheet settings, merged over the settings above
+  sheets: Joi.object().pattern(Joi.string(), sheetStyleSchema)
+});
+
+/**
+ * Parse and validate a worksheet style spec
+ * @param {string|Object} input - Style spec as JSON or object
+ * @returns {Object|null} - Validated style spec
+ */
+const parseStyleSpec = (input) => {
+  if (input === undefined || input === null || input === '') {
+    return null;
+  }
+
+  let style = input;
+  if (typeof style === 'string') {
+    try {
+      style = JSON.parse(style);
+    } catch {
+      throw new ValidationError('Invalid style. Must be a JSON object');
+    }
+  }
+
+  const { value, error } = styleSchema.validate(style, { abortEarly: false });
+  if (error) {
+    throw new ValidationError('Invalid style', {
+      errors: error.details.map(detail => ({ path: detail.path.join('.'), message: detail.message }))
+    });
+  }
+
+  return value;
+};
+
+/**
+ * Style spec for one sheet: the top-level settings with the sheet's own
+ * settings merged over them
+ * @param {Object} style - Validated style spec
+ * @param {string} sheetName - Worksheet name
+ * @returns {Object} - Sheet style
+ */
+const getSheetStyle = (style, sheetName) => {
+  const { sheets = {}, ...base } = style || {};
+  const own = sheets[sheetName] || {};
+  return {
+    ...base,
+    ...own,
+    columns: { ...base.columns, ...own.columns }
+  };
+};
+
+/**
+ * Apply column formats and widths, freeze panes, an autofilter and
+ * conditional formatting to a worksheet holding a header row and data rows
+ * @param {Worksheet} worksheet - ExcelJS worksheet
+ * @param {Array<string>} headers - Column names of the header row
+ * @param {number} rowCount - Number of data rows
+ * @param {Object} sheetStyle - Sheet style (see getSheetStyle)
+ */
+const applySheetStyle = (worksheet, headers, rowCount, sheetStyle = {}) => {
+  const { columns = {}, freeze, autoFilter, conditionalFormatting = [] } = sheetStyle;
+
+  headers.forEach((header, index) => {
+    const column = columns[header];
+    if (!column) return;
+    if (column.format) {
+      // Leave the header row unformatted
+      worksheet.getColumn(index + 1).eachCell((cell, rowNumber) => {
+        if (rowNumber > 1) {
+          cell.numFmt = column.format;
+        }
+      });
+    }
+    if (column.width) {
+      worksheet.getColumn(index + 1).width = column.width;
+    }
+  });
+
+  if (freeze && (freeze.rows > 0 || freeze.columns > 0)) {
+    worksheet.views = [{ state: 'frozen', xSplit: freeze.columns, ySplit: freeze.rows }];
+  }
+
+  if (autoFilter && headers.length > 0) {
+    worksheet.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: rowCount + 1, column: headers.length }
+    };
+  }
+
+  conditionalFormatting.forEach((rule) => {
+    const index = headers.indexOf(rule.column);
+    if (index === -1 || rowCount === 0) return;
+    const letter = worksheet.getColumn(index + 1).letter;
+    worksheet.addConditionalFormatting({
+      ref: `${letter}2:${letter}${rowCount + 1}`,
+      rules: [buildRule(rule)]
+    });
+  });
+};
+
+/**
+ * Translate a conditional formatting rule of the style spec to ExcelJS
+ * @param {Object} rule - Validated rule
+ * @returns {Object} - ExcelJS conditional formatting rule
+ */
+const buildRule = (rule) => {
+  const style = {};
+  if (rule.fill) {
+    style.fill = { type: 'pattern', pattern: 'solid', bgColor: { argb: toArgb(rule.fill) } };
+  }
+  if (rule.font) {
+    style.font = { color: { argb: toArgb(rule.font) } };
+  }
+
+  switch (rule.type) {
+    case 'cellIs':
+      return {
+        type: 'cellIs',
+        operator: rule.operator,
+        formulae: [rule.value, rule.value2].filter(value => value !== undefined).map(toFormula),
+        style
+      };
+    case 'containsText':
+      return { type: 'containsText', operator: 'containsText', text: rule.text, style };
+    case 'colorScale':
+      return {
+        type: 'colorScale',
+        cfvo: rule.colors.length === 3
+          ? [{ type: 'min' }, { type: 'percentile', value: 50 }, { type: 'max' }]
+          : [{ type: 'min' }, { type: 'max' }],
+        color: rule.colors.map(value => ({ argb: toArgb(value) }))
+      };
+    default:
+      return {
+        type: 'dataBar',
+        cfvo: [{ type: 'min' }, { type: 'max' }],
+        color: { argb: toArgb(rule.color) }
+      };
+  }
+};
+
+/**
+ * Formula operand for a comparison value (strings are quoted)
+ * @param {number|string} value - Comparison value
+ * @returns {string}
+ */
+const toFormula = (value) => {
+  return typeof value === 'number' ? String(value) : `"${value.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Normalize a color to ExcelJS ARGB (opaque unless an alpha is given)
+ * @param {string} value - RRGGBB or AARRGGBB, optionally with #
+ * @returns {string}
+ */
+const toArgb = (value) => {
+  const hex = value.replace(/^#/, '').toUpperCase();
+  return hex.length === 6 ? `FF${hex}` : hex;
+};
+
+module.exports = {
+  parseStyleSpec,
+  getSheetStyle,
+  applySheetStyle
+};
@@ -0,0 +1,413 @@
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Operators by token, longest first so that <= wins over <
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', ','];
+
+const COMPARISONS = ['==', '!=', '<', '<=', '>', '>='];
+
+const LITERALS = { true: true, false: false, null: null };
+
+/**
+ * Functions callable in expressions: [minimum arguments, maximum arguments, implementation]
+ */
+const FUNCTIONS = {
+  lower: [1, 1, value => (value === null ? null : toText(value).toLowerCase())],
+  upper: [1, 1, value => (value === null ? null : toText(value).toUpperCase())],
+  trim: [1, 1, value => (value === null ? null : toText(value).trim())],
+  length: [1, 1, value => (value === null ? 0 : toText(value).length)],
+  substring: [2, 3, (value, start, length) => {
+    if (value === null) return null;
+    const from = toNumber(start) || 0;
+    return length === undefined ? toText(value).slice(from) : toText(value).slice(from, from + (toNumber(length) || 0));
+  }],
+  concat: [1, Infinity, (...values) => values.map(value => (value === null ? '' : toText(value))).join('')],
+  contains: [2, 2, (value, part) => value !== null && part !== null && toText(value).includes(toText(part))],
+  startsWith: [2, 2, (value, part) => value !== null && part !== null && toText(value).startsWith(toText(part))],
+  endsWith: [2, 2, (value, part) => value !== null && part !== null && toText(value).endsWith(toText(part))],
+  isEmpty: [1, 1, value => value === null],
+  coalesce: [1, Infinity, (...values) => values.find(value => value !== null) ?? null],
+  number: [1, 1, value => toNumber(value)],
+  text: [1, 1, value => (value === null ? null : toText(value))],
+  abs: [1, 1, value => mapNumber(value, Math.abs)],
+  floor: [1, 1, value => mapNumber(value, Math.floor)],
+  ceil: [1, 1, value => mapNumber(value, Math.ceil)],
+  round: [1, 2, (value, digits) => mapNumber(value, (number) => {
+    const factor = 10 ** (toNumber(digits) || 0);
+    return Math.round(number * factor) / factor;
+  })]
+};
+
+/**
+ * Compile a row expression such as `amount * 1.2`, `status == 'open' && total > 100`
+ * or `concat(upper([first name]), ' ', last)`. Columns are referenced by name
+ * (letters, digits, _ and .) or in square brackets; strings use single or
+ * double quotes
+ * @param {string} text - Expression
+ * @returns {Object} - { columns: column names used, evaluate: (getValue) => value }
+ */
+const compileExpression = (text) => {
+  const tokens = tokenize(text);
+  let position = 0;
+  const columns = new Set();
+
+  const fail = (message) => {
+    throw new ValidationError(`Invalid expression "${text}": ${message}`);
+  };
+  const peek = () => tokens[position];
+  const accept = (value) => {
+    const token = tokens[position];
+    if (token && token.type === 'operator' && token.value === value) {
+      position++;
+      return true;
+    }
+    return false;
+  };
+  const expect = (value) => {
+    if (!accept(value)) {
+      fail(`expected "${value}"${peek() ? ` at "${peek().value}"` : ' at the end'}`);
+    }
+  };
+
+  // Precedence climbing, from loosest to tightest binding
+  const parseBinary = (operators, parseOperand) => () => {
+    let node = parseOperand();
+    let token = peek();
+    while (token && token.type === 'operator' && operators.includes(token.value)) {
+      position++;
+      node = { type: 'binary', operator: token.value, left: node, right: parseOperand() };
+      token = peek();
+    }
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      fail('unexpected end');
+    }
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'column') {
+      columns.add(token.value);
+      return { type: 'column', name: token.value };
+    }
+    if (token.type === 'name') {
+      if (Object.prototype.hasOwnProperty.call(LITERALS, token.value)) {
+        return { type: 'literal', value: LITERALS[token.value] };
+      }
+      if (accept('(')) {
+        // Own properties only, so names such as constructor are unknown functions
+        const definition = Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+        if (!definition) {
+          fail(`unknown function ${token.value}()`);
+        }
+        const args = [];
+        if (!accept(')')) {
+          do {
+            args.push(parseOr());
+          } while (accept(','));
+          expect(')');
+        }
+        if (args.length < definition[0] || args.length > definition[1]) {
+          fail(`wrong number of arguments for ${token.value}()`);
+        }
+        return { type: 'call', name: token.value, args };
+      }
+      columns.add(token.value);
+      return { type: 'column', name: token.value };
+    }
+    if (token.value === '(') {
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+    return fail(`unexpected "${token.value}"`);
+  };
+
+  const parseUnary = () => {
+    if (accept('!')) {
+      return { type: 'unary', operator: '!', operand: parseUnary() };
+    }
+    if (accept('-')) {
+      return { type: 'unary', operator: '-', operand: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parseMultiplicative = parseBinary(['*', '/', '%'], parseUnary);
+  const parseAdditive = parseBinary(['+', '-'], parseMultiplicative);
+  const parseComparison = () => {
+    const node = parseAdditive();
+    const token = peek();
+    if (token && token.type === 'operator' && COMPARISONS.includes(token.value)) {
+      position++;
+      return { type: 'binary', operator: token.value, left: node, right: parseAdditive() };
+    }
+    return node;
+  };
+  const parseAnd = parseBinary(['&&'], parseComparison);
+  const parseOr = parseBinary(['||'], parseAnd);
+
+  if (tokens.length === 0) {
+    fail('empty expression');
+  }
+  const tree = parseOr();
+  if (position < tokens.length) {
+    fail(`unexpected "${tokens[position].value}"`);
+  }
+
+  return {
+    columns: [...columns],
+    evaluate: getValue => evaluateNode(tree, getValue)
+  };
+};
+
+/**
+ * Whether a value counts as true in a filter: not null, false, 0 or ''
+ * @param {*} value - Expression result
+ * @returns {boolean}
+ */
+const isTruthy = value => value !== null && value !== undefined && value !== false && value !== 0 && value !== '';
+
+/**
+ * Order two values: numbers numerically, anything else as text (numeric
+ * parts compared as numbers); nulls sort last
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === null || right === null) {
+    return (left === null ? 1 : 0) - (right === null ? 1 : 0);
+  }
+  if (typeof left === 'number' && typeof right === 'number') {
+    return left - right;
+  }
+  return toText(left).localeCompare(toText(right), undefined, { numeric: true });
+};
+
+/**
+ * Split an expression into tokens
+ * @param {string} text - Expression
+ * @returns {Array<Object>} - { type: number|string|column|name|operator, value }
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  let index = 0;
+  const fail = (message) => {
+    throw new ValidationError(`Invalid expression "${text}": ${message}`);
+  };
+
+  while (index < text.length) {
+    const rest = text.slice(index);
+    const char = text[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    const number = /^\d+(?:\.\d+)?(?:[eE][-+]?\d+)?/.exec(rest);
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]) });
+      index += number[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let end = index + 1;
+      while (end < text.length && text[end] !== char) {
+        // A backslash escapes the next character
+        if (text[end] === '\\' && end + 1 < text.length) {
+          end++;
+        }
+        value += text[end];
+        end++;
+      }
+      if (end >= text.length) {
+        fail('unterminated string');
+      }
+      tokens.push({ type: 'string', value });
+      index = end + 1;
+      continue;
+    }
+
+    if (char === '[') {
+      const end = text.indexOf(']', index);
+      if (end === -1) {
+        fail('unterminated [column]');
+      }
+      tokens.push({ type: 'column', value: text.slice(index + 1, end) });
+      index = end + 1;
+      continue;
+    }
+
+    const name = /^[A-Za-z_][\w.]*/.exec(rest);
+    if (name) {
+      tokens.push({ type: 'name', value: name[0] });
+      index += name[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(candidate => rest.startsWith(candidate));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator });
+      index += operator.length;
+      continue;
+    }
+
+    fail(`unexpected "${char}"`);
+  }
+
+  return tokens;
+};
+
+/**
+ * Evaluate a parsed expression for one row
+ * @param {Object} node - Expression tree node
+ * @param {Function} getValue - (column name) => cell value
+ * @returns {*}
+ */
+const evaluateNode = (node, getValue) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'column':
+      return normalize(getValue(node.name));
+    case 'call':
+      return FUNCTIONS[node.name][2](...node.args.map(arg => evaluateNode(arg, getValue)));
+    case 'unary': {
+      const value = evaluateNode(node.operand, getValue);
+      return node.operator === '!' ? !isTruthy(value) : mapNumber(value, number => -number);
+    }
+    default:
+      break;
+  }
+
+  // Logical operators only evaluate the right side when needed
+  if (node.operator === '&&') {
+    return isTruthy(evaluateNode(node.left, getValue)) && isTruthy(evaluateNode(node.right, getValue));
+  }
+  if (node.operator === '||') {
+    return isTruthy(evaluateNode(node.left, getValue)) || isTruthy(evaluateNode(node.right, getValue));
+  }
+
+  const left = evaluateNode(node.left, getValue);
+  const right = evaluateNode(node.right, getValue);
+
+  if (COMPARISONS.includes(node.operator)) {
+    return compare(node.operator, left, right);
+  }
+  if (node.operator === '+' && (typeof left === 'string' || typeof right === 'string') &&
+      (toNumber(left) === null || toNumber(right) === null)) {
+    return `${left === null ? '' : left}${right === null ? '' : right}`;
+  }
+
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a === null || b === null) {
+    return null;
+  }
+  switch (node.operator) {
+    case '+':
+      return a + b;
+    case '-':
+      return a - b;
+    case '*':
+      return a * b;
+    case '/':
+      return b === 0 ? null : a / b;
+    default:
+      return b === 0 ? null : a % b;
+  }
+};
+
+/**
+ * Apply a comparison operator; empty values only equal each other
+ * @param {string} operator - ==, !=, <, <=, > or >=
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {boolean}
+ */
+const compare = (operator, left, right) => {
+  if (left === null || right === null) {
+    const equal = left === right;
+    return operator === '==' ? equal : operator === '!=' ? !equal : false;
+  }
+
+  // A number compares numerically with text holding a number
+  const a = typeof right === 'number' && toNumber(left) !== null ? toNumber(left) : left;
+  const b = typeof left === 'number' && toNumber(right) !== null ? toNumber(right) : right;
+  const order = typeof a === 'number' && typeof b === 'number'
+    ? a - b
+    : toText(a) < toText(b) ? -1 : toText(a) > toText(b) ? 1 : 0;
+
+  switch (operator) {
+    case '==':
+      return order === 0;
+    case '!=':
+      return order !== 0;
+    case '<':
+      return order < 0;
+    case '<=':
+      return order <= 0;
+    case '>':
+      return order > 0;
+    default:
+      return order >= 0;
+  }
+};
+
+/**
+ * Cell value as seen by expressions: dates as ISO text, empty as null
+ * @param {*} value - Cell value
+ * @returns {*}
+ */
+const normalize = (value) => {
+  if (value === undefined || value === '') return null;
+  return value instanceof Date ? value.toISOString() : value;
+};
+
+/**
+ * Number from a number, boolean or numeric text
+ * @param {*} value - Value
+ * @returns {number|null}
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' && value.trim() !== '' && isFinite(Number(value))) return Number(value);
+  return null;
+};
+
+/**
+ * Apply a numeric function, passing non-numbers through as null
+ * @param {*} value - Value
+ * @param {Function} fn - (number) => number
+ * @returns {number|null}
+ */
+const mapNumber = (value, fn) => {
+  const number = toNumber(value);
+  return number === null ? null : fn(number);
+};
+
+/**
+ * Text of a value
+ * @param {*} value - Value
+ * @returns {string}
+ */
+const toText = (value) => {
+  return value instanceof Date ? value.toISOString() : String(value);
+};
+
+module.exports = {
+  compileExpression,
+  isTruthy,
+  compareValues,
+  toNumber,
+  toText
+};
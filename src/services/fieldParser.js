@@ -0,0 +1,162 @@
+const { MAX_INPUT_LENGTH, compilePattern } = require('../utils/regex');
+
+// Currency symbols and codes recognized in currency fields
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  'CHF': 'CHF'
+};
+
+/**
+ * Parse a number written with either decimal convention (1,234.56 or 1.234,56)
+ * @param {string} text - Raw text
+ * @returns {number|null}
+ */
+const parseNumber = (text) => {
+  let cleaned = text.replace(/[^\d.,\-]/g, '');
+  const lastComma = cleaned.lastIndexOf(',');
+  const lastDot = cleaned.lastIndexOf('.');
+
+  if (lastComma > -1 && lastDot > -1) {
+    // Whichever separator comes last is the decimal point
+    cleaned = lastComma > lastDot
+      ? cleaned.replace(/\./g, '').replace(',', '.')
+      : cleaned.replace(/,/g, '');
+  } else if (lastComma > -1) {
+    // A lone comma followed by exactly two digits is a decimal comma
+    cleaned = /,\d{2}$/.test(cleaned) && cleaned.split(',').length === 2
+      ? cleaned.replace(',', '.')
+      : cleaned.replace(/,/g, '');
+  }
+
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) {
+    return null;
+  }
+  return parseFloat(cleaned);
+};
+
+/**
+ * Parse a date to YYYY-MM-DD
+ * @param {string} text - Raw text
+ * @param {string} order - Day/month order for numeric dates (DMY or MDY)
+ * @returns {string|null}
+ */
+const parseDate = (text, order) => {
+  let year, month, day;
+
+  const iso = /(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(text);
+  const numeric = /(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/.exec(text);
+
+  if (iso) {
+    [year, month, day] = iso.slice(1).map(Number);
+  } else if (numeric) {
+    const [first, second, last] = numeric.slice(1).map(Number);
+    [day, month] = order === 'MDY' ? [second, first] : [first, second];
+    year = last < 100 ? 2000 + last : last;
+  } else {
+    return null;
+  }
+
+  // Round-trip through Date to reject impossible dates such as 31/02
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Detect the currency of an amount
+ * @param {string} text - Raw text
+ * @returns {string|null} - ISO 4217 code
+ */
+const parseCurrency = (text) => {
+  const code = /\b([A-Z]{3})\b/.exec(text);
+  if (code) {
+    return code[1];
+  }
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(candidate => text.includes(candidate));
+  return symbol ? CURRENCY_SYMBOLS[symbol] : null;
+};
+
+/**
+ * Turn the recognized text of a template field into a typed value
+ * @param {Object} field - Template field ({ type, pattern, dateOrder, required })
+ * @param {string} rawText - Text recognized in the field's rectangle
+ * @returns {Object} - { value, text, valid, error, currency }
+ */
+const parseFieldValue = (field, rawText) => {
+  const text = rawText.replace(/\s+/g, ' ').trim();
+  const result = { value: null, text: text, valid: true };
+
+  if (!text) {
+    if (field.required) {
+      result.valid = false;
+      result.error = 'Required field is empty';
+    }
+    return result;
+  }
+
+  // A capture group in the pattern selects the part of the text to keep
+  let candidate = text;
+  if (field.pattern) {
+    if (text.length > MAX_INPUT_LENGTH) {
+      result.valid = false;
+      result.error = `Text longer than ${MAX_INPUT_LENGTH} characters cannot be matched against the pattern`;
+      return result;
+    }
+    const match = compilePattern(field.pattern).exec(text);
+    if (!match) {
+      result.valid = false;
+      result.error = 'Text does not match pattern';
+      return result;
+    }
+    candidate = match[1] !== undefined ? match[1] : match[0];
+  }
+
+  switch (field.type) {
+    case 'number':
+    case 'integer':
+    case 'currency':
+      result.value = parseNumber(candidate);
+      if (field.type === 'currency') {
+        result.currency = parseCurrency(candidate);
+      }
+      if (result.value === null) {
+        result.error = 'Not a number';
+      } else if (field.type === 'integer' && !Number.isInteger(result.value)) {
+        result.value = null;
+        result.error = 'Not an integer';
+      }
+      break;
+
+    case 'date':
+      result.value = parseDate(candidate, field.dateOrder);
+      if (result.value === null) {
+        result.error = 'Not a date';
+      }
+      break;
+
+    case 'email': {
+      const email = /[^\s@]+@[^\s@]+\.[^\s@]+/.exec(candidate);
+      result.value = email ? email[0].toLowerCase() : null;
+      if (!email) {
+        result.error = 'Not an email address';
+      }
+      break;
+    }
+
+    default:
+      result.value = candidate;
+  }
+
+  result.valid = !result.error;
+  return result;
+};
+
+module.exports = {
+  parseFieldValue
+};
@@ -0,0 +1,325 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { detectEncoding, decodeText } = require('./textEncoding');
+
+// Bytes read from each end of the file when sniffing
+const SNIFF_BYTES = 64 * 1024;
+
+// Binary signatures checked against the start of the file
+const signatures = [
+  { format: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46] }, // %PDF
+  { format: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { format: 'jpg', bytes: [0xff, 0xd8, 0xff] },
+  { format: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { format: 'tiff', bytes: [0x49, 0x49, 0x2a, 0x00] }, // little-endian
+  { format: 'tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] }, // big-endian
+  { format: 'rtf', bytes: [0x7b, 0x5c, 0x72, 0x74, 0x66] } // {\rtf
+];
+
+// OLE2 compound document sector numbers above this are markers (end of chain, free, ...)
+const MAX_OLE_SECTOR = 0xfffffffa;
+const OLE_END_OF_CHAIN = 0xfffffffe;
+const OLE_STREAM = 2;
+const MAX_OLE_DIRECTORY_SECTORS = 1024;
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+
+/**
+ * Read the first and last bytes of a file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} - { head, tail, size }
+ */
+const readEnds = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const head = Buffer.alloc(Math.min(size, SNIFF_BYTES));
+    await handle.read(head, 0, head.length, 0);
+
+    const tailLength = Math.min(Math.max(size - head.length, 0), SNIFF_BYTES);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, size - tailLength);
+
+    return { head, tail, size };
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Identify a ZIP container (OOXML or OpenDocument) from its entry names
+ * @param {Buffer} head - Start of the file
+ * @param {Buffer} tail - End of the file (holds the central directory)
+ * @returns {string} - Format id
+ */
+const detectZipFormat = (head, tail) => {
+  // OpenDocument stores an uncompressed "mimetype" entry first
+  const odfMime = head.toString('latin1', 30, 38) === 'mimetype' ? head.toString('latin1', 38, 100) : '';
+  if (odfMime.startsWith('application/vnd.oasis.opendocument.text')) return 'odt';
+  if (odfMime.startsWith('application/vnd.oasis.opendocument.spreadsheet')) return 'ods';
+  if (odfMime.startsWith('application/vnd.oasis.opendocument.presentation')) return 'odp';
+
+  const names = head.toString('latin1') + tail.toString('latin1');
+  if (names.includes('word/')) return 'docx';
+  if (names.includes('xl/')) return 'xlsx';
+  if (names.includes('ppt/')) return 'pptx';
+
+  return 'zip';
+};
+
+/**
+ * Identify a legacy OLE2 compound document (DOC, XLS, PPT) from the names of
+ * its top-level streams. Word and PowerPoint files can embed workbooks, so
+ * their streams are checked first
+ * @param {Array<string>} names - Stream names (see readOleStreamNames)
+ * @param {string} ext - Extension hint from the original filename
+ * @returns {string} - Format id
+ */
+const detectOleFormat = (names, ext) => {
+  if (names.includes('WordDocument')) return 'doc';
+  if (names.includes('PowerPoint Document')) return 'ppt';
+  if (names.includes('Workbook') || names.includes('Book')) return 'xls';
+
+  return ['doc', 'xls', 'ppt'].includes(ext) ? ext : 'doc';
+};
+
+/**
+ * Read the names of the streams in the root storage of an OLE2 compound
+ * document by following its directory chain through the FAT
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Array<string>>} - Stream names; empty when the directory cannot be read
+ */
+const readOleStreamNames = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const header = Buffer.alloc(512);
+    await handle.read(header, 0, header.length, 0);
+
+    const sectorSize = 2 ** header.readUInt16LE(0x1e);
+    if (sectorSize !== 512 && sectorSize !== 4096) {
+      return [];
+    }
+    const entriesPerSector = sectorSize / 4;
+
+    const readSector = async (sector) => {
+      const offset = (sector + 1) * sectorSize;
+      if (offset + sectorSize > size) {
+        throw new Error(`Sector ${sector} is outside the file`);
+      }
+      const buffer = Buffer.alloc(sectorSize);
+      await handle.read(buffer, 0, sectorSize, offset);
+      return buffer;
+    };
+
+    // FAT sector locations: 109 in the header, the rest in the DIFAT chain
+    const fatSectors = [];
+    for (let index = 0; index < 109; index++) {
+      fatSectors.push(header.readUInt32LE(0x4c + index * 4));
+    }
+    let difatSector = header.readUInt32LE(0x44);
+    for (let count = header.readUInt32LE(0x48); count > 0 && difatSector <= MAX_OLE_SECTOR; count--) {
+      const difat = await readSector(difatSector);
+      for (let index = 0; index < entriesPerSector - 1; index++) {
+        fatSectors.push(difat.readUInt32LE(index * 4));
+      }
+      difatSector = difat.readUInt32LE(sectorSize - 4);
+    }
+
+    const fatCache = new Map();
+    const nextSector = async (sector) => {
+      const fatSector = fatSectors[Math.floor(sector / entriesPerSector)];
+      if (fatSector === undefined || fatSector > MAX_OLE_SECTOR) {
+        return OLE_END_OF_CHAIN;
+      }
+      if (!fatCache.has(fatSector)) {
+        fatCache.set(fatSector, await readSector(fatSector));
+      }
+      return fatCache.get(fatSector).readUInt32LE((sector % entriesPerSector) * 4);
+    };
+
+    // Directory entries are 128 bytes; a damaged chain must not loop forever
+    const entries = [];
+    const visitedSectors = new Set();
+    let sector = header.readUInt32LE(0x30);
+    while (sector <= MAX_OLE_SECTOR && !visitedSectors.has(sector) && visitedSectors.size < MAX_OLE_DIRECTORY_SECTORS) {
+      visitedSectors.add(sector);
+      const data = await readSector(sector);
+      for (let offset = 0; offset < sectorSize; offset += 128) {
+        entries.push(data.subarray(offset, offset + 128));
+      }
+      sector = await nextSector(sector);
+    }
+    if (entries.length === 0) {
+      return [];
+    }
+
+    // The root's children form a tree linked through left and right siblings
+    const names = [];
+    const visitedEntries = new Set();
+    const pending = [entries[0].readUInt32LE(0x4c)];
+    while (pending.length > 0) {
+      const id = pending.pop();
+      if (id >= entries.length || visitedEntries.has(id)) continue;
+      visitedEntries.add(id);
+
+      const entry = entries[id];
+      const nameLength = entry.readUInt16LE(0x40);
+      if (entry[0x42] === OLE_STREAM && nameLength >= 2 && nameLength <= 64) {
+        names.push(entry.toString('utf16le', 0, nameLength - 2));
+      }
+      pending.push(entry.readUInt32LE(0x44), entry.readUInt32LE(0x48));
+    }
+
+    return names;
+  } catch (error) {
+    // A damaged directory leaves the decision to the extension
+    return [];
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Check whether a buffer looks like text (no NUL bytes, mostly printable)
+ * @param {Buffer} buffer - Sample
+ * @returns {boolean}
+ */
+const looksLikeText = (buffer) => {
+  if (buffer.length === 0) return true;
+  let control = 0;
+  for (const byte of buffer) {
+    if (byte === 0) return false;
+    if (byte < 0x09 || (byte > 0x0d && byte < 0x20)) control++;
+  }
+  return control / buffer.length < 0.05;
+};
+
+/**
+ * Check whether text holds one JSON object per line (at least two lines)
+ * @param {string} text - Text sample
+ * @param {boolean} complete - Whether the sample is the entire file
+ * @returns {boolean}
+ */
+const isNdjson = (text, complete) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  // The last line of a partial sample may be cut short
+  const checked = complete ? lines : lines.slice(0, -1);
+  if (checked.length < 2) {
+    return false;
+  }
+
+  return checked.slice(0, 10).every((line) => {
+    try {
+      const value = JSON.parse(line);
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    } catch {
+      return false;
+    }
+  });
+};
+
+/**
+ * Guess the format of a text sample
+ * @param {string} text - Text sample
+ * @param {string} ext - Extension hint from the original filename
+ * @param {boolean} complete - Whether the sample is the entire file
+ * @returns {string} - Format id
+ */
+const detectTextFormat = (text, ext, complete) => {
+  const trimmed = text.replace(/^\uFEFF/, '').trimStart();
+  const lower = trimmed.slice(0, 1024).toLowerCase();
+
+  if (lower.startsWith('<!doctype html') || lower.startsWith('<html') || (lower.startsWith('<?xml') && lower.includes('<html'))) {
+    return 'html';
+  }
+  if (lower.startsWith('<?xml')) {
+    return 'xml';
+  }
+  if (trimmed.startsWith('{') && isNdjson(trimmed, complete)) {
+    return 'ndjson';
+  }
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    if (!complete) {
+      return 'json';
+    }
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch {
+      // Not valid JSON, fall through to the remaining heuristics
+    }
+  }
+
+  if (['md', 'markdown'].includes(ext)) return 'md';
+  if (['htm', 'html'].includes(ext)) return 'html';
+  if (ext === 'xml' && trimmed.startsWith('<')) return 'xml';
+  if (ext === 'csv') return 'csv';
+  if (['tsv', 'tab'].includes(ext)) return 'tsv';
+
+  // Consistent delimiter counts across the first lines suggest TSV or CSV
+  const lines = trimmed.split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+  if (lines.length >= 2) {
+    for (const [format, delimiter] of [['tsv', /\t/g], ['csv', /,/g]]) {
+      const counts = lines.map(line => (line.match(delimiter) || []).length);
+      if (counts[0] > 0 && counts.every(count => count === counts[0])) {
+        return format;
+      }
+    }
+  }
+
+  if (/<(p|div|h[1-6]|body|table)[\s>]/i.test(lower)) return 'html';
+  if (/^(#{1,6}\s|[-*]\s|\d+\.\s|>\s|```)/m.test(trimmed)) return 'md';
+
+  return 'txt';
+};
+
+/**
+ * Detect a file's format from its content (magic bytes), using the
+ * original filename only to break ties the content cannot settle
+ * @param {string} filePath - Path to the file
+ * @param {string} originalname - Original filename (hint only)
+ * @returns {Promise<string>} - Format id (e.g. 'docx', 'pdf', 'csv')
+ */
+const detectFormat = async (filePath, originalname = '') => {
+  const ext = path.extname(originalname).slice(1).toLowerCase();
+  const { head, tail, size } = await readEnds(filePath);
+
+  const match = signatures.find(signature => startsWith(head, signature.bytes));
+  if (match) {
+    return match.format;
+  }
+
+  // "BM" alone is too weak, so also require a known DIB header size
+  if (startsWith(head, [0x42, 0x4d]) && head.length >= 18 && [12, 40, 52, 56, 108, 124].includes(head.readUInt32LE(14))) {
+    return 'bmp';
+  }
+  if (startsWith(head, [0x52, 0x49, 0x46, 0x46]) && head.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) {
+    return detectZipFormat(head, tail);
+  }
+  if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return detectOleFormat(await readOleStreamNames(filePath), ext);
+  }
+
+  // UTF-16 text is full of zero bytes, so decode it before judging
+  const { encoding } = detectEncoding(head, head.length === size);
+  if (encoding.startsWith('utf-16')) {
+    const text = decodeText(head, encoding);
+    if (looksLikeText(Buffer.from(text, 'utf-8'))) {
+      return detectTextFormat(text, ext, head.length === size);
+    }
+  }
+
+  if (looksLikeText(head)) {
+    return detectTextFormat(decodeText(head, encoding), ext, head.length === size);
+  }
+
+  return 'bin';
+};
+
+module.exports = {
+  detectFormat
+};
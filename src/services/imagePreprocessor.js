@@ -0,0 +1,293 @@
+const sharp = require('sharp');
+const { ValidationError } = require('../middleware/errorHandler');
+const { recognize } = require('./tesseractPool');
+
+// Steps in the order they are applied, whatever order they were requested in
+const PREPROCESS_STEPS = ['autorotate', 'deskew', 'upscale', 'grayscale', 'contrast', 'denoise', 'binarize'];
+
+const TARGET_DPI = 300;
+const MAX_UPSCALE = 4;
+
+// Upscaled images stay within these bounds, whatever their resolution
+const MAX_UPSCALED_SIDE = 8000;
+const MAX_UPSCALED_PIXELS = 32000000;
+
+// Resolutions written by default by cameras and screen tools, which say
+// nothing about the scan
+const PLACEHOLDER_DPIS = [72, 96];
+const MAX_SKEW_DEGREES = 15;
+
+// Long side of the reduced copies used for skew and orientation analysis
+const ANALYSIS_SIZE = 1000;
+const ORIENTATION_SIZE = 1500;
+
+/**
+ * Parse preprocessing options from request parameters
+ * @param {Object} input - Request parameters (preprocess, crop)
+ * @returns {Object|null} - { steps, crop } or null when nothing was requested
+ */
+const parsePreprocessOptions = (input = {}) => {
+  const requested = String(input.preprocess || '')
+    .split(',')
+    .map(step => step.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = requested.filter(step => !PREPROCESS_STEPS.includes(step));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Invalid preprocess step: ${unknown.join(', ')}. Must be one of: ${PREPROCESS_STEPS.join(', ')}`);
+  }
+
+  let crop = null;
+  if (input.crop) {
+    const values = String(input.crop).split(',').map(value => Number(value.trim()));
+    if (values.length !== 4 || !values.every(value => Number.isInteger(value) && value >= 0) || values[2] === 0 || values[3] === 0) {
+      throw new ValidationError('Invalid crop. Use "left,top,width,height" in pixels');
+    }
+    const [left, top, width, height] = values;
+    crop = { left, top, width, height };
+  }
+
+  if (requested.length === 0 && !crop) {
+    return null;
+  }
+
+  return {
+    steps: PREPROCESS_STEPS.filter(step => requested.includes(step)),
+    crop: crop
+  };
+};
+
+/**
+ * Re-encode a pipeline stage losslessly for the next step
+ * @param {Sharp} image - sharp pipeline
+ * @returns {Promise<Buffer>}
+ */
+const toPng = image => image.png({ compressionLevel: 1 }).toBuffer();
+
+/**
+ * Compute an Otsu threshold from 8-bit grayscale pixels
+ * @param {Buffer} pixels - Grayscale pixel values
+ * @returns {number} - Threshold (0-255)
+ */
+const otsuThreshold = (pixels) => {
+  const histogram = new Array(256).fill(0);
+  for (const value of pixels) {
+    histogram[value]++;
+  }
+
+  const total = pixels.length;
+  const sum = histogram.reduce((acc, count, value) => acc + count * value, 0);
+  let backgroundSum = 0;
+  let backgroundCount = 0;
+  let bestVariance = -1;
+  let threshold = 128;
+
+  for (let value = 0; value < 256; value++) {
+    backgroundCount += histogram[value];
+    if (backgroundCount === 0) continue;
+    const foregroundCount = total - backgroundCount;
+    if (foregroundCount === 0) break;
+
+    backgroundSum += value * histogram[value];
+    const backgroundMean = backgroundSum / backgroundCount;
+    const foregroundMean = (sum - backgroundSum) / foregroundCount;
+    const variance = backgroundCount * foregroundCount * (backgroundMean - foregroundMean) ** 2;
+
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = value;
+    }
+  }
+
+  return threshold;
+};
+
+/**
+ * Estimate the skew of text lines with a projection profile: the angle at
+ * which dark pixels pack into the fewest, densest rows wins
+ * @param {Buffer} image - Image
+ * @returns {Promise<number>} - Skew in degrees (positive is clockwise)
+ */
+const detectSkew = async (image) => {
+  const { data, info } = await sharp(image)
+    .grayscale()
+    .resize({ width: ANALYSIS_SIZE, height: ANALYSIS_SIZE, fit: 'inside', withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const threshold = otsuThreshold(data);
+  const points = [];
+  for (let index = 0; index < data.length; index++) {
+    if (data[index] <= threshold) {
+      points.push(index % info.width, Math.floor(index / info.width));
+    }
+  }
+
+  // Blank or mostly-dark images have no text lines to measure
+  const darkPixels = points.length / 2;
+  if (darkPixels === 0 || darkPixels > data.length / 2) {
+    return 0;
+  }
+
+  const score = (degrees) => {
+    const radians = degrees * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const rows = new Map();
+    for (let index = 0; index < points.length; index += 2) {
+      const row = Math.round(points[index + 1] * cos - points[index] * sin);
+      rows.set(row, (rows.get(row) || 0) + 1);
+    }
+    let total = 0;
+    for (const count of rows.values()) {
+      total += count * count;
+    }
+    return total;
+  };
+
+  const search = (from, to, step) => {
+    let best = { angle: 0, score: -1 };
+    for (let angle = from; angle <= to + 1e-9; angle += step) {
+      const current = score(angle);
+      if (current > best.score) {
+        best = { angle, score: current };
+      }
+    }
+    return best.angle;
+  };
+
+  // Coarse pass, then refine around the best coarse angle
+  const coarse = search(-MAX_SKEW_DEGREES, MAX_SKEW_DEGREES, 0.5);
+  return Math.round(search(coarse - 0.5, coarse + 0.5, 0.1) * 10) / 10;
+};
+
+/**
+ * Detect page orientation by recognizing a reduced copy at each right angle
+ * and keeping the one Tesseract is most confident about
+ * @param {Buffer} image - Image
+ * @param {string} language - OCR language(s)
+ * @returns {Promise<Object>} - { angle, confidence }
+ */
+const detectOrientation = async (image, language) => {
+  const sample = await toPng(sharp(image)
+    .grayscale()
+    .resize({ width: ORIENTATION_SIZE, height: ORIENTATION_SIZE, fit: 'inside', withoutEnlargement: true }));
+
+  let best = { angle: 0, confidence: -1 };
+  for (const angle of [0, 90, 180, 270]) {
+    const rotated = angle === 0 ? sample : await toPng(sharp(sample).rotate(angle));
+    const { data } = await recognize(language, rotated, {}, { text: true, blocks: false, hocr: false, tsv: false });
+    if (data.confidence > best.confidence) {
+      best = { angle, confidence: data.confidence };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Run the requested preprocessing steps on a page image
+ * @param {string|Buffer} input - Image path or buffer
+ * @param {Object} options - Options from parsePreprocessOptions
+ * @param {string} language - OCR language(s), used for orientation detection
+ * @returns {Promise<Object>} - { image: Buffer, applied: [{ step, ... }] }
+ */
+const preprocessImage = async (input, { steps = [], crop = null } = {}, language = 'eng') => {
+  const applied = [];
+  const { density } = await sharp(input).metadata();
+  let dpi = density;
+
+  // Apply EXIF orientation first so crop boxes match the image as displayed
+  let image = await toPng(sharp(input).rotate());
+
+  if (crop) {
+    const { width, height } = await sharp(image).metadata();
+    if (crop.left >= width || crop.top >= height) {
+      throw new ValidationError(`Crop region lies outside the ${width}x${height} image`);
+    }
+    const region = {
+      left: crop.left,
+      top: crop.top,
+      width: Math.min(crop.width, width - crop.left),
+      height: Math.min(crop.height, height - crop.top)
+    };
+    image = await toPng(sharp(image).extract(region));
+    applied.push({ step: 'crop', ...region });
+  }
+
+  if (steps.includes('autorotate')) {
+    const { angle, confidence } = await detectOrientation(image, language);
+    if (angle !== 0) {
+      image = await toPng(sharp(image).rotate(angle));
+    }
+    applied.push({ step: 'autorotate', angle, confidence });
+  }
+
+  if (steps.includes('deskew')) {
+    const angle = await detectSkew(image);
+    if (Math.abs(angle) >= 0.1) {
+      image = await toPng(sharp(image).rotate(-angle, { background: '#ffffff' }));
+    }
+    applied.push({ step: 'deskew', angle });
+  }
+
+  if (steps.includes('upscale')) {
+    const { width, height } = await sharp(image).metadata();
+
+    // Without a meaningful resolution, treat small images as low-DPI scans
+    let factor = 1;
+    if (dpi && !PLACEHOLDER_DPIS.includes(dpi)) {
+      factor = Math.min(TARGET_DPI / dpi, MAX_UPSCALE);
+    } else if (Math.min(width, height) < 1000) {
+      factor = 2;
+    }
+    const limit = Math.min(MAX_UPSCALED_SIDE / Math.max(width, height), Math.sqrt(MAX_UPSCALED_PIXELS / (width * height)));
+    factor = Math.max(1, Math.min(factor, limit));
+
+    if (factor > 1) {
+      image = await toPng(sharp(image).resize({
+        width: Math.round(width * factor),
+        height: Math.round(height * factor),
+        kernel: 'lanczos3'
+      }));
+      dpi = dpi ? Math.round(dpi * factor) : undefined;
+    }
+    applied.push({ step: 'upscale', factor: Math.round(factor * 100) / 100, dpi: dpi || null });
+  }
+
+  if (steps.includes('grayscale')) {
+    image = await toPng(sharp(image).grayscale());
+    applied.push({ step: 'grayscale' });
+  }
+
+  if (steps.includes('contrast')) {
+    image = await toPng(sharp(image).normalise({ lower: 1, upper: 99 }));
+    applied.push({ step: 'contrast' });
+  }
+
+  if (steps.includes('denoise')) {
+    image = await toPng(sharp(image).median(3));
+    applied.push({ step: 'denoise' });
+  }
+
+  if (steps.includes('binarize')) {
+    const { data } = await sharp(image).grayscale().raw().toBuffer({ resolveWithObject: true });
+    const threshold = otsuThreshold(data);
+    // sharp whitens pixels at or above its threshold; Otsu's background starts above it
+    image = await toPng(sharp(image).threshold(threshold + 1));
+    applied.push({ step: 'binarize', threshold });
+  }
+
+  // Keep the resolution so searchable PDFs come out at the right page size
+  if (dpi) {
+    image = await sharp(image).withMetadata({ density: dpi }).png().toBuffer();
+  }
+
+  return { image, applied };
+};
+
+module.exports = {
+  PREPROCESS_STEPS,
+  parsePreprocessOptions,
+  preprocessImage
+};
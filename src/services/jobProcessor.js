@@ -0,0 +1,241 @@
+const path = require('path');
+const { processOfficeConversion } = require('./officeConverter');
+const { processExcelToCsv, processCsvToExcel, processExcelToJson, processJsonToExcel } = require('./dataConverter');
+const { processHtmlToMarkdown, processMarkdownToHtml } = require('./markdownConverter');
+const { extractTextFromImage, extractFields, processOcrToFile, processOcrTablesToFile } = require('./ocrService');
+const { convertFile } = require('./conversionGraph');
+const { processTableConversion } = require('./tableFormats');
+const { processTabularValidation } = require('./tabularValidator');
+const { resultStore } = require('./resultStore');
+const { openSecrets } = require('./jobSecrets');
+const { cleanupFile } = require('../middleware/fileUpload');
+const { getCharset } = require('./textEncoding');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Wrap a JSON-producing conversion so it can be stored like any other output
+ * @param {Object} file - Multer file object
+ * @param {string} suffix - Suffix appended to the output filename
+ * @param {Object} payload - JSON payload
+ * @returns {Object} - Job output
+ */
+const jsonOutput = (file, suffix, payload) => ({
+  filename: `${path.basename(file.filename, path.extname(file.filename))}${suffix}.json`,
+  buffer: Buffer.from(JSON.stringify(payload, null, 2), 'utf-8'),
+  mimeType: 'application/json'
+});
+
+/**
+ * Report per-page (or per-field) progress within the 10-80% band reserved for conversion
+ * @param {Object} job - Bull job
+ * @returns {Function} - (done, total) => Promise
+ */
+const pageProgress = (job) => (done, total) => job.progress(10 + Math.round((done / total) * 70));
+
+// Conversion handlers keyed by job type (matching the route names), returning
+// { filename, buffer or path of an output file, mimeType, metadata }
+const jobHandlers = {
+  'convert': async (file, options) => {
+    const { to, ...conversionOptions } = options;
+    const result = await convertFile(file, to, conversionOptions);
+    return {
+      filename: result.filename,
+      buffer: result.buffer,
+      path: result.path,
+      mimeType: result.mimeType,
+      metadata: { sourceFormat: result.sourceFormat, conversionPath: result.conversionPath }
+    };
+  },
+
+  'office-to-pdf': async (file, options) => {
+    const result = await processOfficeConversion(file, options);
+    return {
+      filename: result.filename,
+      buffer: result.buffer,
+      mimeType: 'application/pdf',
+      metadata: { convertedFrom: result.convertedFrom }
+    };
+  },
+
+  'office-convert': async (file, options) => {
+    const result = await processOfficeConversion(file, options);
+    return {
+      filename: result.filename,
+      buffer: result.buffer,
+      mimeType: result.mimeType,
+      metadata: { convertedFrom: result.convertedFrom, format: result.format, pageCount: result.pageCount }
+    };
+  },
+
+  'excel-to-csv': async (file, options) => {
+    const result = await processExcelToCsv(file, options);
+    return {
+      filename: result.filename,
+      buffer: result.buffer,
+      mimeType: result.archive ? 'application/zip' : `text/csv; charset=${getCharset(options.outputEncoding || 'utf-8')}`,
+      metadata: { sheets: result.sheets }
+    };
+  },
+
+  'csv-to-excel': async (file, options) => {
+    const result = await processCsvToExcel(file, options);
+    return {
+      filename: result.filename,
+      path: result.path,
+      mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      metadata: { columns: result.columns }
+    };
+  },
+
+  'excel-to-json': async (file, options) => {
+    const result = await processExcelToJson(file, options);
+    return {
+      ...jsonOutput(file, '', {
+        success: true,
+        originalFile: file.originalname,
+        data: result.data,
+        sheets: result.sheets,
+        rowCount: result.rowCount,
+        rowCounts: result.rowCounts,
+        totalRowCount: result.totalRowCount,
+        nextOffset: result.nextOffset
+      }),
+      metadata: { sheets: result.sheets, rowCount: result.rowCount, nextOffset: result.nextOffset }
+    };
+  },
+
+  'json-to-excel': async (file, options) => {
+    const result = await processJsonToExcel(file, options);
+    return {
+      filename: result.filename,
+      buffer: result.buffer,
+      mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      metadata: { sheets: result.sheets }
+    };
+  },
+
+  'table-convert': async (file, options) => {
+    const result = await processTableConversion(file, options);
+    return {
+      filename: result.filename,
+      buffer: result.buffer,
+      mimeType: result.mimeType,
+      metadata: { tables: result.tables }
+    };
+  },
+
+  'validate-tabular': async (file, options) => {
+    const result = await processTabularValidation(file, options);
+    return {
+      ...jsonOutput(file, '_validation', result),
+      metadata: { valid: result.valid, errorCount: result.errorCount }
+    };
+  },
+
+  'html-to-markdown': async (file, options) => {
+    const result = await processHtmlToMarkdown(file, options);
+    return { filename: result.filename, buffer: result.buffer, mimeType: 'text/markdown' };
+  },
+
+  'markdown-to-html': async (file, options) => {
+    const result = await processMarkdownToHtml(file, options);
+    return { filename: result.filename, buffer: result.buffer, mimeType: 'text/html' };
+  },
+
+  'ocr-extract-text': async (file, options, job) => {
+    const result = await extractTextFromImage(file, { ...options, onProgress: pageProgress(job) });
+    return {
+      ...jsonOutput(file, '_ocr', result),
+      metadata: { confidence: result.confidence, language: result.language, pageCount: result.pageCount }
+    };
+  },
+
+  'ocr-extract-fields': async (file, options, job) => {
+    const result = await extractFields(file, options.template, { language: options.language, onProgress: pageProgress(job) });
+    return {
+      ...jsonOutput(file, '_fields', result),
+      metadata: { template: result.template, valid: result.valid, confidence: result.confidence }
+    };
+  },
+
+  'ocr-extract-to-file': async (file, options, job) => {
+    const result = await processOcrToFile(file, { ...options, onProgress: pageProgress(job) });
+    return {
+      filename: result.filename,
+      buffer: result.buffer,
+      mimeType: result.mimeType,
+      metadata: { confidence: result.confidence, pageCount: result.pageCount }
+    };
+  },
+
+  'ocr-extract-tables': async (file, options, job) => {
+    const result = await processOcrTablesToFile(file, { ...options, onProgress: pageProgress(job) });
+    return {
+      filename: result.filename,
+      buffer: result.buffer,
+      mimeType: result.mimeType,
+      metadata: { tableCount: result.tableCount, pageCount: result.pageCount }
+    };
+  }
+};
+
+/**
+ * Run a queued conversion job
+ * @param {Object} job - Bull job with { type, file, options } data
+ * @returns {Promise<Object>} - Result metadata stored as the job return value
+ */
+const processConversionJob = async (job) => {
+  const { type, file } = job.data;
+  const options = openSecrets(job.data.options || {});
+  const handler = jobHandlers[type];
+
+  if (!handler) {
+    throw new ValidationError(`Unsupported job type: ${type}`);
+  }
+
+  console.log(`Processing job ${job.id}: ${type} conversion`);
+  await job.progress(10);
+
+  const output = await handler(file, options, job);
+  await job.progress(80);
+
+  // Keep the output so it can be downloaded once the job completes; streaming
+  // converters hand over a file instead of a buffer
+  let stored;
+  try {
+    stored = await resultStore.put(job.id, output.path ? { path: output.path } : output.buffer, {
+      filename: output.filename,
+      mimeType: output.mimeType
+    });
+  } finally {
+    if (output.path) {
+      await cleanupFile(output.path);
+    }
+  }
+
+  // The upload is no longer needed once the output has been written
+  await cleanupFile(file.path);
+  await job.progress(100);
+
+  return {
+    success: true,
+    type: type,
+    filename: output.filename,
+    mimeType: output.mimeType,
+    size: stored.size,
+    originalFile: file.originalname,
+    expiresAt: stored.expiresAt,
+    metadata: output.metadata || {}
+  };
+};
+
+/**
+ * Get the list of supported job types
+ * @returns {Array<string>} - Job types
+ */
+const getSupportedJobTypes = () => Object.keys(jobHandlers);
+
+module.exports = {
+  processConversionJob,
+  getSupportedJobTypes
+};
@@ -0,0 +1,95 @@
+const Queue = require('bull');
+const { processConversionJob } = require('./jobProcessor');
+const { initWebhooks, scheduleWebhook } = require('./webhookService');
+const { sealSecrets, stripSecrets } = require('./jobSecrets');
+const { cleanupFile, holdForQueue } = require('../middleware/fileUpload');
+const { QueueUnavailableError } = require('../middleware/errorHandler');
+
+// Initialize Redis queue (if Redis is available)
+let jobQueue = null;
+if (process.env.REDIS_URL) {
+  jobQueue = new Queue('document-processing', process.env.REDIS_URL, {
+    defaultJobOptions: {
+      attempts: parseInt(process.env.JOB_ATTEMPTS) || 3,
+      backoff: {
+        type: 'exponential',
+        delay: 2000
+      },
+      removeOnComplete: false,
+      removeOnFail: false
+    }
+  });
+
+  // Finished jobs stay in Redis; their secrets, even encrypted, need not
+  const forgetSecrets = (job) => job.update({ ...job.data, options: stripSecrets(job.data.options) });
+
+  // Process jobs
+  jobQueue.process('convert', processConversionJob);
+  initWebhooks(jobQueue);
+
+  // Log job events. Event listeners are not awaited, so their errors are
+  // logged here instead of becoming unhandled rejections
+  jobQueue.on('completed', async (job, result) => {
+    console.log(`Job ${job.id} completed:`, result);
+    try {
+      await forgetSecrets(job);
+      await scheduleWebhook(job, 'job.completed');
+    } catch (error) {
+      console.error(`Failed to finish completed job ${job.id}:`, error);
+    }
+  });
+
+  jobQueue.on('failed', async (job, err) => {
+    console.error(`Job ${job.id} failed:`, err);
+
+    // Drop the upload and notify the caller once no retries are left
+    try {
+      if (job.attemptsMade >= (job.opts.attempts || 1)) {
+        if (job.data.file) {
+          await cleanupFile(job.data.file.path);
+        }
+        await forgetSecrets(job);
+        await scheduleWebhook(job, 'job.failed');
+      }
+    } catch (error) {
+      console.error(`Failed to finish failed job ${job.id}:`, error);
+    }
+  });
+}
+
+/**
+ * Queue an uploaded file for asynchronous conversion
+ * @param {string} type - Job type (see jobProcessor)
+ * @param {Object} file - Multer file object
+ * @param {Object} options - Conversion options
+ * @param {Object} [callback] - Webhook settings ({ url, tenant, baseUrl })
+ * @returns {Promise<Object>} - Bull job
+ */
+const enqueueJob = async (type, file, options = {}, callback = null) => {
+  if (!jobQueue) {
+    throw new QueueUnavailableError('Async processing requires Redis connection');
+  }
+
+  // Uploads of waiting jobs must outlive the temp file sweeper
+  const queuedFile = await holdForQueue(file);
+  const data = { type, file: queuedFile, options: sealSecrets(options) };
+  if (callback) {
+    data.callback = callback;
+  }
+
+  let job;
+  try {
+    job = await jobQueue.add('convert', data);
+  } catch (error) {
+    await cleanupFile(queuedFile.path);
+    throw error;
+  }
+  console.log(`Queued job ${job.id}: ${type} conversion for ${file.originalname}`);
+
+  return job;
+};
+
+module.exports = {
+  jobQueue,
+  enqueueJob
+};
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const { ConversionError } = require('../middleware/errorHandler');
+
+// Job options that must not be readable in Redis
+const SECRET_OPTIONS = ['password'];
+
+// Without JOB_SECRET_KEY a per-process key is used, so secrets only survive
+// as long as the process that queued them
+const processKey = crypto.randomBytes(32);
+
+const getKey = () => (process.env.JOB_SECRET_KEY
+  ? crypto.createHash('sha256').update(process.env.JOB_SECRET_KEY).digest()
+  : processKey);
+
+const encrypt = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(value, 'utf-8'), cipher.final()]);
+  return { sealed: [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.') };
+};
+
+const decrypt = ({ sealed }) => {
+  try {
+    const [iv, tag, encrypted] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf-8');
+  } catch (error) {
+    throw new ConversionError('Cannot decrypt job secrets (JOB_SECRET_KEY changed or the job was queued by another process)');
+  }
+};
+
+// Only string values (or sealed ones) are secrets; a "password" key holding an
+// object is user data, e.g. a column of a validation schema
+const isSecret = (name, value) => SECRET_OPTIONS.includes(name) &&
+  (typeof value === 'string' || (value !== null && typeof value === 'object' && typeof value.sealed === 'string'));
+
+/**
+ * Apply a function to every secret option, including those of nested option
+ * objects (e.g. pdfOptions.password)
+ * @param {Object} options - Job options
+ * @param {Function} fn - (value) => replacement, or undefined to drop the option
+ * @returns {Object} - Copy of the options
+ */
+const mapSecrets = (options, fn) => {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return options;
+  }
+
+  const mapped = {};
+  Object.entries(options).forEach(([name, value]) => {
+    const next = isSecret(name, value) ? fn(value) : mapSecrets(value, fn);
+    if (next !== undefined) {
+      mapped[name] = next;
+    }
+  });
+  return mapped;
+};
+
+/**
+ * Encrypt the secret options of a job before it is queued
+ * @param {Object} options - Job options
+ * @returns {Object} - Options with secrets replaced by { sealed }
+ */
+const sealSecrets = (options) => mapSecrets(options, value => (value.sealed ? value : encrypt(value)));
+
+/**
+ * Decrypt the secret options of a queued job
+ * @param {Object} options - Options from sealSecrets
+ * @returns {Object} - Options with the original secrets
+ */
+const openSecrets = (options) => mapSecrets(options, value => (value.sealed ? decrypt(value) : value));
+
+/**
+ * Drop the secret options of a finished job
+ * @param {Object} options - Job options
+ * @returns {Object} - Options without secrets
+ */
+const stripSecrets = (options) => mapSecrets(options, () => undefined);
+
+module.exports = {
+  sealSecrets,
+  openSecrets,
+  stripSecrets
+};
@@ -0,0 +1,158 @@
+const { ConversionError } = require('../middleware/errorHandler');
+
+// Excel limits on worksheet names
+const MAX_SHEET_NAME_LENGTH = 31;
+const INVALID_SHEET_NAME_CHARS = /[\\/?*[\]:]/g;
+
+// Columns linking the rows of an exploded child sheet to their parent rows
+const ID_COLUMN = '_id';
+const PARENT_ID_COLUMN = '_parentId';
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isObjectArray = value => Array.isArray(value) && value.every(isPlainObject);
+
+/**
+ * Split parsed JSON into worksheets. A top-level object whose values are all
+ * arrays of objects ({ "SheetA": [...], "SheetB": [...] }) gives one sheet per
+ * key; any other object is a single row
+ * @param {*} jsonData - Parsed JSON
+ * @param {Object} options - Conversion options
+ * @param {string} options.sheetName - Sheet name for an array or a single object (default: Sheet1)
+ * @param {boolean} options.flatten - Spread nested objects over dotted columns such as address.city (default: false)
+ * @param {boolean} options.explodeArrays - Move arrays of objects to child sheets linked by _id/_parentId (default: false)
+ * @returns {Array<Object>} - [{ name, headers, rows }] with rows as arrays of cell values
+ */
+const buildJsonSheets = (jsonData, options = {}) => {
+  const { sheetName = 'Sheet1' } = options;
+
+  let sources;
+  if (isSheetMap(jsonData)) {
+    sources = Object.entries(jsonData).map(([name, items]) => ({ name, items }));
+  } else if (Array.isArray(jsonData)) {
+    sources = [{ name: sheetName, items: jsonData }];
+  } else if (isPlainObject(jsonData)) {
+    sources = [{ name: sheetName, items: [jsonData] }];
+  } else {
+    throw new ConversionError('JSON data must be an array or object');
+  }
+
+  if (sources.every(source => source.items.length === 0)) {
+    throw new ConversionError('JSON data is empty');
+  }
+
+  const uniqueName = createSheetNamer();
+  const sheets = [];
+
+  const addSheet = (name, records, isChild) => {
+    const sheet = { name: uniqueName(name), headers: [], rows: [] };
+    sheets.push(sheet);
+
+    // Union of the columns of all rows, in order of first appearance
+    const columns = new Set();
+    const children = new Map();
+
+    const cellMaps = records.map(({ item, parentId }, index) => {
+      const cells = flattenItem(isPlainObject(item) ? item : { value: item }, options);
+      Object.keys(cells.values).forEach(column => columns.add(column));
+
+      Object.entries(cells.children).forEach(([column, childItems]) => {
+        if (!children.has(column)) {
+          children.set(column, []);
+        }
+        children.get(column).push(...childItems.map(child => ({ item: child, parentId: index + 1 })));
+      });
+
+      return { values: cells.values, parentId };
+    });
+
+    // Link columns go first: _parentId on child sheets, _id on sheets with children
+    const linkColumns = [
+      ...(isChild ? [PARENT_ID_COLUMN] : []),
+      ...(children.size > 0 ? [ID_COLUMN] : [])
+    ];
+    sheet.headers = [...linkColumns, ...columns.keys()];
+    sheet.rows = cellMaps.map(({ values, parentId }, index) => [
+      ...(isChild ? [parentId] : []),
+      ...(children.size > 0 ? [index + 1] : []),
+      ...Array.from(columns.keys(), column => (values[column] === undefined ? null : values[column]))
+    ]);
+
+    children.forEach((childRecords, column) => addSheet(`${name}.${column}`, childRecords, true));
+  };
+
+  sources.forEach(({ name, items }) => addSheet(name, items.map(item => ({ item })), false));
+
+  return sheets;
+};
+
+/**
+ * Whether parsed JSON is a map of sheet names to arrays of row objects
+ * @param {*} jsonData - Parsed JSON
+ * @returns {boolean}
+ */
+const isSheetMap = (jsonData) => {
+  if (!isPlainObject(jsonData)) return false;
+  const values = Object.values(jsonData);
+  return values.length > 0 &&
+    values.every(isObjectArray) &&
+    values.some(value => value.length > 0);
+};
+
+/**
+ * Turn one JSON object into column values, flattening nested objects and
+ * setting aside arrays of objects for child sheets as requested
+ * @param {Object} item - JSON object
+ * @param {Object} options - { flatten, explodeArrays }
+ * @param {string} prefix - Column name prefix of nested objects
+ * @param {Object} cells - { values, children } being filled
+ * @returns {Object} - { values: { column: value }, children: { column: [items] } }
+ */
+const flattenItem = (item, options, prefix = '', cells = { values: {}, children: {} }) => {
+  const { flatten = false, explodeArrays = false } = options;
+
+  Object.entries(item).forEach(([key, value]) => {
+    const column = `${prefix}${key}`;
+    if (explodeArrays && isObjectArray(value)) {
+      // An empty array has no child rows and leaves no cell behind
+      if (value.length > 0) {
+        cells.children[column] = value;
+      }
+    } else if (flatten && isPlainObject(value) && Object.keys(value).length > 0) {
+      flattenItem(value, options, `${column}.`, cells);
+    } else if (typeof value === 'object' && value !== null) {
+      // Convert remaining objects/arrays to string
+      cells.values[column] = JSON.stringify(value);
+    } else {
+      cells.values[column] = value;
+    }
+  });
+
+  return cells;
+};
+
+/**
+ * Create a generator of valid, unique worksheet names: characters Excel
+ * rejects are replaced, names are cut to 31 characters and repeats numbered
+ * @returns {Function} - (name) => sheet name
+ */
+const createSheetNamer = () => {
+  const used = new Set();
+
+  return (name) => {
+    const base = String(name).replace(INVALID_SHEET_NAME_CHARS, '_').replace(/^'+|'+$/g, '').trim() || 'Sheet';
+    let candidate = base.slice(0, MAX_SHEET_NAME_LENGTH);
+    let counter = 2;
+
+    while (used.has(candidate.toLowerCase())) {
+      const suffix = ` (${counter++})`;
+      candidate = `${base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length)}${suffix}`;
+    }
+
+    used.add(candidate.toLowerCase());
+    return candidate;
+  };
+};
+
+module.exports = {
+  buildJsonSheets
+};
@@ -0,0 +1,394 @@
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { pathToFileURL } = require('url');
+const { ServerBusyError } = require('../middleware/errorHandler');
+
+const POOL_SIZE = parseInt(process.env.LIBREOFFICE_POOL_SIZE) || 2;
+const MAX_QUEUE = parseInt(process.env.LIBREOFFICE_MAX_QUEUE) || 50;
+const CONVERSION_TIMEOUT = parseInt(process.env.JOB_TIMEOUT) || 60000;
+const PROFILE_ROOT = process.env.LIBREOFFICE_PROFILE_DIR || path.join(os.tmpdir(), 'document-processing-soffice');
+const PORT_BASE = parseInt(process.env.LIBREOFFICE_PORT_BASE) || 2002;
+const MAX_CONVERSIONS = parseInt(process.env.LIBREOFFICE_MAX_CONVERSIONS) || 200;
+const START_TIMEOUT = parseInt(process.env.LIBREOFFICE_START_TIMEOUT) || 30000;
+const PYTHON_PATH = process.env.LIBREOFFICE_PYTHON || 'python3';
+const BRIDGE_SCRIPT = path.join(__dirname, 'sofficeBridge.py');
+
+const SOFFICE_PATHS = [
+  '/usr/bin/soffice',
+  '/usr/bin/libreoffice',
+  '/usr/lib/libreoffice/program/soffice',
+  '/opt/libreoffice/program/soffice',
+  '/snap/bin/libreoffice',
+  '/Applications/LibreOffice.app/Contents/MacOS/soffice'
+];
+
+// Each worker owns a LibreOffice user profile (soffice refuses to share one
+// between concurrent instances) and keeps one soffice resident on its own
+// port. Conversions go through a small UNO bridge (sofficeBridge.py) instead of
+// starting soffice each time; a worker runs one conversion at a time.
+const workers = Array.from({ length: POOL_SIZE }, (_, index) => ({
+  id: index + 1,
+  profileDir: path.join(PROFILE_ROOT, `worker-${index + 1}`),
+  port: PORT_BASE + index,
+  busy: false,
+  process: null,
+  bridge: null,
+  onMessage: null,
+  sinceStart: 0,
+  conversions: 0,
+  starts: 0,
+  recycles: 0
+}));
+
+const waiting = [];
+
+const stats = {
+  completed: 0,
+  failed: 0,
+  timedOut: 0,
+  recycled: 0,
+  rejected: 0,
+  maxQueueDepth: 0,
+  totalWaitMs: 0,
+  totalRunMs: 0
+};
+
+let sofficePath = null;
+
+/**
+ * Locate the soffice binary (SOFFICE_PATH wins over the well-known locations)
+ * @returns {Promise<string>}
+ */
+const findSoffice = async () => {
+  if (sofficePath) {
+    return sofficePath;
+  }
+
+  const candidates = process.env.SOFFICE_PATH ? [process.env.SOFFICE_PATH, ...SOFFICE_PATHS] : SOFFICE_PATHS;
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate, fsConstants.X_OK);
+      sofficePath = candidate;
+      return sofficePath;
+    } catch {
+      // Try the next location
+    }
+  }
+
+  throw new Error('Could not find soffice binary');
+};
+
+/**
+ * Kill a running soffice together with the soffice.bin it spawns
+ * @param {ChildProcess} child - soffice process
+ */
+const killProcessTree = (child) => {
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch {
+    child.kill('SIGKILL');
+  }
+};
+
+/**
+ * Stop a worker's soffice and bridge; the next conversion starts them again
+ * @param {Object} worker - Pool worker
+ */
+const stopWorker = (worker) => {
+  const { process: child, bridge } = worker;
+  worker.process = null;
+  worker.bridge = null;
+  worker.onMessage = null;
+
+  if (child) {
+    killProcessTree(child);
+  }
+  if (bridge) {
+    bridge.kill('SIGKILL');
+  }
+};
+
+/**
+ * Stop a worker and throw away its profile so it restarts from a clean one
+ * @param {Object} worker - Pool worker
+ */
+const recycleWorker = async (worker) => {
+  stopWorker(worker);
+  worker.recycles++;
+  stats.recycled++;
+  await fs.rm(worker.profileDir, { recursive: true, force: true });
+  console.warn(`LibreOffice worker ${worker.id} recycled`);
+};
+
+/**
+ * Wait for the next message from a worker's bridge
+ * @param {Object} worker - Pool worker
+ * @param {number} timeout - Milliseconds to wait
+ * @returns {Promise<Object>} - Parsed message
+ */
+const waitForMessage = (worker, timeout) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    worker.onMessage = null;
+    const error = new Error(`LibreOffice did not answer within ${timeout}ms`);
+    error.timedOut = true;
+    reject(error);
+  }, timeout);
+
+  worker.onMessage = (error, message) => {
+    clearTimeout(timer);
+    worker.onMessage = null;
+    if (error) {
+      reject(error);
+    } else {
+      resolve(message);
+    }
+  };
+});
+
+/**
+ * Start a worker's resident soffice and the bridge that drives it
+ * @param {Object} worker - Pool worker
+ */
+const startWorker = async (worker) => {
+  const binary = await findSoffice();
+
+  // Detached so the whole process group can be killed on timeout
+  const child = spawn(binary, [
+    `-env:UserInstallation=${pathToFileURL(worker.profileDir)}`,
+    '--headless',
+    '--invisible',
+    '--nodefault',
+    '--nolockcheck',
+    '--nologo',
+    '--norestore',
+    `--accept=socket,host=127.0.0.1,port=${worker.port};urp;StarOffice.ComponentContext`
+  ], { detached: true, stdio: 'ignore' });
+  const bridge = spawn(PYTHON_PATH, [BRIDGE_SCRIPT, String(worker.port), String(START_TIMEOUT / 1000)], {
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  let stderr = '';
+
+  worker.process = child;
+  worker.bridge = bridge;
+  worker.sinceStart = 0;
+  worker.starts++;
+
+  // Either process going away takes the worker down; a conversion waiting on it fails
+  const fail = (error) => {
+    if (worker.process !== child) {
+      return;
+    }
+    const { onMessage } = worker;
+    error.crashed = true;
+    stopWorker(worker);
+    if (onMessage) {
+      onMessage(error);
+    }
+  };
+  const exited = name => (code, signal) => {
+    const details = stderr.trim() ? `: ${stderr.trim()}` : '';
+    fail(new Error(`${name} exited with ${signal || `code ${code}`}${details}`));
+  };
+
+  child.on('error', fail);
+  child.on('exit', exited('soffice'));
+  bridge.on('error', fail);
+  bridge.on('exit', exited('LibreOffice bridge'));
+  bridge.stdin.on('error', () => {
+    // Reported by the exit handler
+  });
+  bridge.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk).slice(-2000);
+  });
+  readline.createInterface({ input: bridge.stdout }).on('line', (line) => {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      return;
+    }
+    if (worker.bridge === bridge && worker.onMessage) {
+      worker.onMessage(null, message);
+    }
+  });
+
+  const message = await waitForMessage(worker, START_TIMEOUT);
+  if (!message.ready) {
+    const error = new Error(message.error || 'LibreOffice bridge did not start');
+    error.crashed = true;
+    throw error;
+  }
+};
+
+/**
+ * Run a single conversion on a worker's resident soffice
+ * @param {Object} worker - Pool worker
+ * @param {Object} task - { inputBuffer, inputExtension, format, filter }
+ * @returns {Promise<Buffer>} - Converted document
+ */
+const runConversion = async (worker, { inputBuffer, inputExtension, format, filter }) => {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'soffice-job-'));
+  const inputPath = path.join(workDir, `source${inputExtension || ''}`);
+  const outputExtension = format.split(':')[0];
+  const outputPath = path.join(workDir, `source.${outputExtension}`);
+
+  try {
+    await fs.writeFile(inputPath, inputBuffer);
+
+    if (!worker.bridge) {
+      await startWorker(worker);
+    }
+
+    const reply = waitForMessage(worker, CONVERSION_TIMEOUT);
+    worker.bridge.stdin.write(`${JSON.stringify({
+      input: inputPath,
+      output: outputPath,
+      format: outputExtension,
+      filter: filter || null
+    })}\n`);
+
+    const { error: message, fatal } = await reply;
+    if (message) {
+      // Documents LibreOffice cannot open leave the instance healthy
+      const error = new Error(`LibreOffice conversion failed: ${message}`);
+      error.crashed = Boolean(fatal);
+      throw error;
+    }
+
+    // Restart long-running instances now and then to release leaked memory
+    worker.sinceStart++;
+    if (worker.sinceStart >= MAX_CONVERSIONS) {
+      stopWorker(worker);
+    }
+
+    try {
+      return await fs.readFile(outputPath);
+    } catch {
+      const error = new Error('LibreOffice did not produce an output file');
+      error.crashed = true;
+      throw error;
+    }
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Hand queued conversions to idle workers
+ */
+const dispatch = () => {
+  for (const worker of workers) {
+    if (waiting.length === 0) {
+      return;
+    }
+    if (worker.busy) {
+      continue;
+    }
+
+    const { task, resolve, reject, enqueuedAt } = waiting.shift();
+    worker.busy = true;
+    stats.totalWaitMs += Date.now() - enqueuedAt;
+
+    const startTime = Date.now();
+    runConversion(worker, task)
+      .then((buffer) => {
+        worker.conversions++;
+        stats.completed++;
+        resolve(buffer);
+      })
+      .catch(async (error) => {
+        stats.failed++;
+        if (error.timedOut) {
+          stats.timedOut++;
+        }
+        // A hung or crashed instance may leave its profile locked or corrupt
+        if (error.timedOut || error.crashed) {
+          await recycleWorker(worker).catch(() => {});
+        }
+        reject(error);
+      })
+      .finally(() => {
+        stats.totalRunMs += Date.now() - startTime;
+        worker.busy = false;
+        dispatch();
+      });
+  }
+};
+
+/**
+ * Convert a document with the next free LibreOffice worker
+ * @param {Buffer} inputBuffer - Input document
+ * @param {Object} options - Conversion options
+ * @param {string} options.inputExtension - Input extension (with the dot) to guide import filters
+ * @param {string} options.format - Output extension (pdf, docx, ...)
+ * @param {string} [options.filter] - Export filter and filter data
+ * @returns {Promise<Buffer>} - Converted document
+ */
+const convertWithPool = (inputBuffer, { inputExtension, format, filter }) => {
+  if (waiting.length >= MAX_QUEUE) {
+    stats.rejected++;
+    return Promise.reject(new ServerBusyError('Too many documents waiting for conversion, please retry later'));
+  }
+
+  return new Promise((resolve, reject) => {
+    waiting.push({
+      task: { inputBuffer, inputExtension, format, filter },
+      resolve,
+      reject,
+      enqueuedAt: Date.now()
+    });
+    stats.maxQueueDepth = Math.max(stats.maxQueueDepth, waiting.length);
+    dispatch();
+  });
+};
+
+/**
+ * Get pool and queue metrics
+ * @returns {Object} - Metrics snapshot
+ */
+const getPoolMetrics = () => {
+  const finished = stats.completed + stats.failed;
+  const busy = workers.filter(worker => worker.busy).length;
+
+  return {
+    poolSize: POOL_SIZE,
+    busy: busy,
+    idle: POOL_SIZE - busy,
+    queueDepth: waiting.length,
+    maxQueueDepth: stats.maxQueueDepth,
+    maxQueue: MAX_QUEUE,
+    timeoutMs: CONVERSION_TIMEOUT,
+    completed: stats.completed,
+    failed: stats.failed,
+    timedOut: stats.timedOut,
+    recycled: stats.recycled,
+    rejected: stats.rejected,
+    averageWaitMs: finished ? Math.round(stats.totalWaitMs / finished) : 0,
+    averageRunMs: finished ? Math.round(stats.totalRunMs / finished) : 0,
+    workers: workers.map(worker => ({
+      id: worker.id,
+      busy: worker.busy,
+      running: Boolean(worker.bridge),
+      port: worker.port,
+      conversions: worker.conversions,
+      starts: worker.starts,
+      recycles: worker.recycles
+    }))
+  };
+};
+
+/**
+ * Kill resident soffice instances on process exit
+ */
+process.on('exit', () => {
+  workers.forEach(stopWorker);
+});
+
+module.exports = {
+  convertWithPool,
+  getPoolMetrics
+};
@@ -1,8 +1,8 @@
 const { marked } = require('marked');
 const TurndownService = require('turndown');
-const fs = require('fs').promises;
 const path = require('path');
 const { ConversionError } = require('../middleware/errorHandler');
+const { readTextFile } = require('./textEncoding');
 
 // Initialize Turndown service for HTML to Markdown conversion
 const turndownService = new TurndownService({
@@ -28,12 +28,14 @@ marked.setOptions({
 /**
  * Convert HTML to Markdown
  * @param {Object} file - Multer file object
+ * @param {Object} options - Conversion options
+ * @param {string} options.encoding - Source encoding (default: detected)
  * @returns {Promise<Object>} - Conversion result
  */
-const processHtmlToMarkdown = async (file) => {
+const processHtmlToMarkdown = async (file, options = {}) => {
   try {
     // Read HTML content
-    const htmlContent = await fs.readFile(file.path, 'utf-8');
+    const { text: htmlContent, encoding } = await readTextFile(file.path, options.encoding);
     
     // Convert HTML to Markdown
     const markdownContent = turndownService.turndown(htmlContent);
@@ -45,7 +47,8 @@ const processHtmlToMarkdown = async (file) => {
       success: true,
       filename: outputFilename,
       buffer: Buffer.from(markdownContent, 'utf-8'),
-      originalName: file.originalname
+      originalName: file.originalname,
+      encoding: encoding
     };
   } catch (error) {
     console.error('HTML to Markdown conversion error:', error);
@@ -57,6 +60,7 @@ const processHtmlToMarkdown = async (file) => {
  * Convert Markdown to HTML
  * @param {Object} file - Multer file object
  * @param {Object} options - Conversion options
+ * @param {string} options.encoding - Source encoding (default: detected)
  * @returns {Promise<Object>} - Conversion result
  */
 const processMarkdownToHtml = async (file, options = {}) => {
@@ -64,7 +68,7 @@ const processMarkdownToHtml = async (file, options = {}) => {
   
   try {
     // Read Markdown content
-    const markdownContent = await fs.readFile(file.path, 'utf-8');
+    const { text: markdownContent, encoding } = await readTextFile(file.path, options.encoding);
     
     // Convert Markdown to HTML
     const htmlBody = marked.parse(markdownContent);
@@ -206,7 +210,8 @@ const processMarkdownToHtml = async (file, options = {}) => {
       success: true,
       filename: outputFilename,
       buffer: Buffer.from(htmlContent, 'utf-8'),
-      originalName: file.originalname
+      originalName: file.originalname,
+      encoding: encoding
     };
   } catch (error) {
     console.error('Markdown to HTML conversion error:', error);
@@ -0,0 +1,141 @@
+const { PDFDocument } = require('pdf-lib');
+const { escapeXml } = require('../utils/xml');
+
+const TSV_HEADER = 'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext';
+
+/**
+ * Merge the single-page PDFs Tesseract renders (page image with an
+ * invisible text layer) into one searchable document
+ * @param {Array<Object>} pages - Recognized pages ({ page, data })
+ * @param {string} title - Document title
+ * @returns {Promise<Buffer>} - PDF
+ */
+const buildSearchablePdf = async (pages, title) => {
+  const merged = await PDFDocument.create();
+  merged.setTitle(title);
+  merged.setProducer('Document Processing API (Tesseract OCR)');
+
+  for (const { data } of pages) {
+    const pagePdf = await PDFDocument.load(Uint8Array.from(data.pdf));
+    const copied = await merged.copyPages(pagePdf, pagePdf.getPageIndices());
+    copied.forEach(page => merged.addPage(page));
+  }
+
+  return Buffer.from(await merged.save());
+};
+
+/**
+ * Combine per-page hOCR into one XHTML document. Tesseract numbers every
+ * page as page 1, so ids and ppageno are rewritten to stay unique.
+ * @param {Array<Object>} pages - Recognized pages ({ page, data })
+ * @param {string} title - Document title
+ * @returns {string} - hOCR document
+ */
+const buildHocr = (pages, title) => {
+  const body = pages.map(({ page, data }) => data.hocr
+    .replace(/(id=['"][a-z]+_)1(?=['"_])/g, `$1${page}`)
+    .replace(/ppageno 0/, `ppageno ${page - 1}`)
+    .trimEnd())
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">
+ <head>
+  <title>${escapeXml(title)}</title>
+  <meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>
+  <meta name="ocr-system" content="tesseract.js"/>
+  <meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word ocrp_wconf"/>
+  <meta name="ocr-number-of-pages" content="${pages.length}"/>
+ </head>
+ <body>
+${body}
+ </body>
+</html>
+`;
+};
+
+/**
+ * Convert a Tesseract bounding box to ALTO position attributes
+ * @param {Object} bbox - { x0, y0, x1, y1 }
+ * @returns {string}
+ */
+const altoPosition = (bbox) =>
+  `HPOS="${bbox.x0}" VPOS="${bbox.y0}" WIDTH="${bbox.x1 - bbox.x0}" HEIGHT="${bbox.y1 - bbox.y0}"`;
+
+/**
+ * Build an ALTO v4 document from the recognized block tree
+ * @param {Array<Object>} pages - Recognized pages ({ page, width, height, data })
+ * @param {string} title - Source file name
+ * @returns {string} - ALTO XML
+ */
+const buildAlto = (pages, title) => {
+  const layout = pages.map(({ page, width, height, data }) => {
+    const blocks = (data.blocks || []).map((block, blockIndex) => {
+      const blockKey = `${page}_${blockIndex + 1}`;
+      const lines = block.paragraphs.flatMap(paragraph => paragraph.lines).map((line, lineIndex) => {
+        const lineKey = `${blockKey}_${lineIndex + 1}`;
+        const strings = line.words.map((word, wordIndex) =>
+          `          <String ID="string_${lineKey}_${wordIndex + 1}" ${altoPosition(word.bbox)} CONTENT="${escapeXml(word.text)}" WC="${(word.confidence / 100).toFixed(2)}"/>`
+        ).join('\n          <SP/>\n');
+
+        return `        <TextLine ID="line_${lineKey}" ${altoPosition(line.bbox)}>\n${strings}\n        </TextLine>`;
+      }).join('\n');
+
+      return `      <TextBlock ID="block_${blockKey}" ${altoPosition(block.bbox)}>\n${lines}\n      </TextBlock>`;
+    }).join('\n');
+
+    return `  <Page ID="page_${page}" PHYSICAL_IMG_NR="${page}" WIDTH="${width}" HEIGHT="${height}">
+    <PrintSpace HPOS="0" VPOS="0" WIDTH="${width}" HEIGHT="${height}">
+${blocks}
+    </PrintSpace>
+  </Page>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/alto/v4/alto-4-2.xsd">
+ <Description>
+  <MeasurementUnit>pixel</MeasurementUnit>
+  <sourceImageInformation>
+   <fileName>${escapeXml(title)}</fileName>
+  </sourceImageInformation>
+  <OCRProcessing ID="OCR_0">
+   <ocrProcessingStep>
+    <processingSoftware>
+     <softwareName>tesseract.js</softwareName>
+    </processingSoftware>
+   </ocrProcessingStep>
+  </OCRProcessing>
+ </Description>
+ <Layout>
+${layout}
+ </Layout>
+</alto>
+`;
+};
+
+/**
+ * Combine per-page Tesseract TSV under a single header, with page_num set
+ * to the real page number
+ * @param {Array<Object>} pages - Recognized pages ({ page, data })
+ * @returns {string} - TSV
+ */
+const buildTsv = (pages) => {
+  const rows = pages.flatMap(({ page, data }) => data.tsv
+    .split('\n')
+    .filter(row => row.trim())
+    .map((row) => {
+      const columns = row.split('\t');
+      columns[1] = String(page);
+      return columns.join('\t');
+    }));
+
+  return [TSV_HEADER, ...rows].join('\n') + '\n';
+};
+
+module.exports = {
+  buildSearchablePdf,
+  buildHocr,
+  buildAlto,
+  buildTsv
+};
@@ -1,167 +1,545 @@
-const { createWorker } = require('tesseract.js');
 const fs = require('fs').promises;
 const path = require('path');
-const { ConversionError } = require('../middleware/errorHandler');
+const sharp = require('sharp');
+const { ConversionError, ValidationError } = require('../middleware/errorHandler');
+const { mapWithConcurrency, getBatchConcurrency } = require('../utils/concurrency');
+const { detectFormat } = require('./formatDetector');
+const { rasterizePdf } = require('./pdfRasterizer');
+const { buildSearchablePdf, buildHocr, buildAlto, buildTsv } = require('./ocrOutput');
+const { recognize, normalizeLanguages } = require('./tesseractPool');
+const { preprocessImage } = require('./imagePreprocessor');
+const { parseFieldValue } = require('./fieldParser');
+const { detectTable } = require('./tableExtractor');
+const { buildExcelBuffer, rowsToCsv } = require('./dataConverter');
 
-// Cache for Tesseract workers
-let worker = null;
+const MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 50;
+const PDF_DPI = parseInt(process.env.OCR_PDF_DPI) || 300;
+
+// Files processOcrToFile can produce
+const OCR_FILE_FORMATS = {
+  txt: { extension: 'txt', mimeType: 'text/plain' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+  hocr: { extension: 'hocr', mimeType: 'text/html' },
+  alto: { extension: 'xml', mimeType: 'application/xml' },
+  tsv: { extension: 'tsv', mimeType: 'text/tab-separated-values' }
+};
+
+// Formats extracted tables can be returned in
+const OCR_TABLE_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
 
 /**
- * Initialize Tesseract worker
- * @returns {Promise<Worker>} - Tesseract worker instance
+ * Split an upload into the page images to OCR: PDFs are rasterized,
+ * multi-frame TIFFs are split into frames, anything else is one page
+ * @param {Object} file - Multer file object
+ * @returns {Promise<Object>} - { pages: [{ page, image }], cleanup }
  */
-const initializeWorker = async () => {
-  if (!worker) {
-    worker = await createWorker({
-      logger: m => console.log(`OCR: ${m.status} - ${Math.round(m.progress * 100)}%`)
-    });
-    await worker.loadLanguage('eng');
-    await worker.initialize('eng');
+const getPageImages = async (file) => {
+  const format = await detectFormat(file.path, file.originalname);
+
+  if (format === 'pdf') {
+    // Render one page past the limit so oversized documents can be refused
+    const { pages, cleanup } = await rasterizePdf(file.path, { dpi: PDF_DPI, lastPage: MAX_PAGES + 1 });
+    if (pages.length > MAX_PAGES) {
+      await cleanup();
+      throw new ValidationError(`PDF has more than ${MAX_PAGES} pages`, { maxPages: MAX_PAGES });
+    }
+    return { pages: pages.map(({ page, path: pagePath }) => ({ page, image: pagePath })), cleanup };
   }
-  return worker;
+
+  if (format === 'tiff') {
+    const { pages: frameCount = 1 } = await sharp(file.path).metadata();
+    if (frameCount > MAX_PAGES) {
+      throw new ValidationError(`TIFF has more than ${MAX_PAGES} pages`, { maxPages: MAX_PAGES });
+    }
+    if (frameCount > 1) {
+      const pages = [];
+      for (let index = 0; index < frameCount; index++) {
+        pages.push({ page: index + 1, image: await sharp(file.path, { page: index }).png().toBuffer() });
+      }
+      return { pages, cleanup: async () => {} };
+    }
+  }
+
+  return { pages: [{ page: 1, image: file.path }], cleanup: async () => {} };
+};
+
+/**
+ * Map Tesseract blocks (words, lines, paragraphs) to the response shape
+ * @param {Array} items - Tesseract result items
+ * @param {number} page - Page number the items belong to
+ * @returns {Array<Object>}
+ */
+const mapBlocks = (items, page) => items.map(item => ({
+  text: item.text,
+  confidence: item.confidence,
+  bbox: item.bbox,
+  page: page
+}));
+
+/**
+ * Recognize every page of an upload
+ * @param {Object} file - Multer file object
+ * @param {Object} options - OCR options
+ * @param {string} options.language - Tesseract language (default: eng)
+ * @param {Object} options.output - Extra Tesseract outputs (hocr, tsv, pdf)
+ * @param {Object} options.preprocess - Preprocessing from parsePreprocessOptions
+ * @param {Function} options.onProgress - Called with (pagesDone, pageCount) after each page
+ * @returns {Promise<Object>} - { pages: [{ page, width, height, data, preprocessing }], processingTime }
+ */
+const recognizePages = async (file, options = {}) => {
+  const { language = 'eng', output = {}, preprocess, onProgress } = options;
+  let cleanup = async () => {};
+
+  try {
+    // Reject malformed languages before doing any work
+    const languages = normalizeLanguages(language);
+    console.log(`Starting OCR for: ${file.originalname} (${languages})`);
+
+    const pageImages = await getPageImages(file);
+    cleanup = pageImages.cleanup;
+
+    // Perform OCR page by page
+    const startTime = Date.now();
+    const pages = [];
+    for (const { page, image: pageImage } of pageImages.pages) {
+      let image = pageImage;
+      let preprocessing;
+      if (preprocess) {
+        ({ image, applied: preprocessing } = await preprocessImage(pageImage, preprocess, languages));
+      }
+
+      const { width, height } = await sharp(image).metadata();
+      const { data } = await recognize(languages, image, {}, { text: true, blocks: true, ...output });
+      pages.push({ page, width, height, data, preprocessing });
+
+      if (onProgress) {
+        await onProgress(pages.length, pageImages.pages.length);
+      }
+    }
+
+    return { pages, processingTime: Date.now() - startTime };
+  } catch (error) {
+    console.error('OCR error:', error);
+    if (error.name === 'ValidationError') {
+      throw error;
+    }
+    throw new ConversionError(`Failed to extract text from image: ${error.message}`);
+  } finally {
+    await cleanup();
+  }
+};
+
+/**
+ * Summarize the preprocessing steps applied across pages, in the order they ran
+ * @param {Array<Object>} pages - Page results with their applied steps under preprocessing
+ * @returns {Array<Object>} - [{ step, pages: [page numbers] }]
+ */
+const summarizePreprocessing = (pages) => {
+  const summary = [];
+  pages.forEach(({ page, preprocessing = [] }) => {
+    preprocessing.forEach(({ step }) => {
+      let entry = summary.find(item => item.step === step);
+      if (!entry) {
+        entry = { step, pages: [] };
+        summary.push(entry);
+      }
+      entry.pages.push(page);
+    });
+  });
+  return summary;
 };
 
 /**
- * Extract text from image using OCR
+ * Extract text from an image, multi-page TIFF or scanned PDF using OCR
  * @param {Object} file - Multer file object
  * @param {Object} options - OCR options
+ * @param {string} options.language - Tesseract language (default: eng)
+ * @param {string} options.outputFormat - 'text' or 'json' (adds bounding boxes)
+ * @param {Object} options.preprocess - Preprocessing from parsePreprocessOptions
+ * @param {Function} options.onProgress - Called with (pagesDone, pageCount) after each page
  * @returns {Promise<Object>} - OCR result
  */
 const extractTextFromImage = async (file, options = {}) => {
-  const { language = 'eng', outputFormat = 'text' } = options;
-  
-  try {
-    console.log(`Starting OCR for: ${file.originalname}`);
-    
-    // Initialize worker
-    const ocrWorker = await initializeWorker();
-    
-    // If different language requested, load it
-    if (language !== 'eng') {
-      await ocrWorker.loadLanguage(language);
-      await ocrWorker.initialize(language);
+  const { language = 'eng', outputFormat = 'text', preprocess, onProgress } = options;
+
+  const recognized = await recognizePages(file, { language, preprocess, onProgress });
+  const pages = recognized.pages.map(({ page, data, preprocessing }) => {
+    const pageResult = { page: page, text: data.text, confidence: data.confidence };
+
+    if (preprocessing) {
+      pageResult.preprocessing = preprocessing;
     }
-    
-    // Perform OCR
-    const startTime = Date.now();
-    const { data } = await ocrWorker.recognize(file.path);
-    const processingTime = Date.now() - startTime;
-    
-    console.log(`OCR completed in ${processingTime}ms with confidence: ${data.confidence}%`);
-    
-    // Format result based on requested output format
-    let result;
+
     if (outputFormat === 'json') {
-      result = {
-        text: data.text,
-        confidence: data.confidence,
-        words: data.words.map(word => ({
-          text: word.text,
-          confidence: word.confidence,
-          bbox: word.bbox
-        })),
-        lines: data.lines.map(line => ({
-          text: line.text,
-          confidence: line.confidence,
-          bbox: line.bbox
-        })),
-        paragraphs: data.paragraphs.map(para => ({
-          text: para.text,
-          confidence: para.confidence,
-          bbox: para.bbox
-        })),
-        processingTime: processingTime,
-        language: language
-      };
+      pageResult.words = mapBlocks(data.words, page);
+      pageResult.lines = mapBlocks(data.lines, page);
+      pageResult.paragraphs = mapBlocks(data.paragraphs, page);
+    }
+
+    return pageResult;
+  });
+
+  const confidence = pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length;
+  console.log(`OCR completed in ${recognized.processingTime}ms for ${pages.length} page(s) with confidence: ${confidence}%`);
+
+  const result = {
+    text: pages.map(page => page.text).join('\n'),
+    confidence: confidence,
+    pageCount: pages.length,
+    processingTime: recognized.processingTime,
+    language: language
+  };
+
+  // What actually ran, per step; the details of each page are under pages[].preprocessing
+  if (preprocess) {
+    result.preprocessing = summarizePreprocessing(pages);
+  }
+
+  // Format result based on requested output format
+  if (outputFormat === 'json') {
+    result.words = pages.flatMap(page => page.words);
+    result.lines = pages.flatMap(page => page.lines);
+    result.paragraphs = pages.flatMap(page => page.paragraphs);
+  }
+  result.pages = pages;
+
+  return {
+    success: true,
+    originalFile: file.originalname,
+    ...result
+  };
+};
+
+/**
+ * Recognize an upload and render it as a searchable PDF or a layout format
+ * @param {Object} file - Multer file object
+ * @param {string} format - pdf, hocr, alto or tsv
+ * @param {Object} options - OCR options
+ * @returns {Promise<Object>} - { buffer, confidence, pageCount }
+ */
+const renderLayoutOutput = async (file, format, options) => {
+  const output = { pdf: format === 'pdf', hocr: format === 'hocr', tsv: format === 'tsv' };
+  const { pages } = await recognizePages(file, { ...options, output });
+  const title = file.originalname;
+
+  let buffer;
+  try {
+    if (format === 'pdf') {
+      buffer = await buildSearchablePdf(pages, title);
+    } else if (format === 'hocr') {
+      buffer = Buffer.from(buildHocr(pages, title), 'utf-8');
+    } else if (format === 'alto') {
+      buffer = Buffer.from(buildAlto(pages, title), 'utf-8');
     } else {
-      // Default to plain text
-      result = {
-        text: data.text,
-        confidence: data.confidence,
-        processingTime: processingTime,
-        language: language
-      };
+      buffer = Buffer.from(buildTsv(pages), 'utf-8');
     }
-    
-    return {
-      success: true,
-      originalFile: file.originalname,
-      ...result
-    };
   } catch (error) {
-    console.error('OCR error:', error);
-    throw new ConversionError(`Failed to extract text from image: ${error.message}`);
+    console.error('OCR output error:', error);
+    throw new ConversionError(`Failed to build ${format} output: ${error.message}`);
   }
+
+  return {
+    buffer: buffer,
+    confidence: pages.reduce((sum, page) => sum + page.data.confidence, 0) / pages.length,
+    pageCount: pages.length
+  };
 };
 
 /**
  * Extract text and save as file
  * @param {Object} file - Multer file object
  * @param {Object} options - OCR options
+ * @param {string} options.format - txt, json, pdf (searchable), hocr, alto or tsv
  * @returns {Promise<Object>} - File result
  */
 const processOcrToFile = async (file, options = {}) => {
-  const { format = 'txt' } = options;
-  
-  try {
-    // Extract text
-    const ocrResult = await extractTextFromImage(file, options);
-    
-    let content, filename, mimeType;
-    
-    if (format === 'json') {
-      content = JSON.stringify({
-        originalFile: ocrResult.originalFile,
-        text: ocrResult.text,
-        confidence: ocrResult.confidence,
-        processingTime: ocrResult.processingTime,
-        extractedAt: new Date().toISOString()
-      }, null, 2);
-      filename = `${path.basename(file.filename, path.extname(file.filename))}_ocr.json`;
-      mimeType = 'application/json';
-    } else {
-      // Default to plain text
-      content = ocrResult.text;
-      filename = `${path.basename(file.filename, path.extname(file.filename))}_ocr.txt`;
-      mimeType = 'text/plain';
-    }
-    
+  const { format = 'txt', ...ocrOptions } = options;
+
+  if (!OCR_FILE_FORMATS[format]) {
+    throw new ValidationError(`Invalid format. Must be one of: ${Object.keys(OCR_FILE_FORMATS).join(', ')}`);
+  }
+
+  const baseName = path.basename(file.filename, path.extname(file.filename));
+  const { extension, mimeType } = OCR_FILE_FORMATS[format];
+
+  if (!['txt', 'json'].includes(format)) {
+    const rendered = await renderLayoutOutput(file, format, ocrOptions);
     return {
       success: true,
-      filename: filename,
-      buffer: Buffer.from(content, 'utf-8'),
+      filename: `${baseName}_ocr.${extension}`,
+      buffer: rendered.buffer,
       mimeType: mimeType,
       originalName: file.originalname,
-      confidence: ocrResult.confidence
+      confidence: rendered.confidence,
+      pageCount: rendered.pageCount
+    };
+  }
+
+  // Extract text
+  const ocrResult = await extractTextFromImage(file, ocrOptions);
+
+  let content;
+  if (format === 'json') {
+    content = JSON.stringify({
+      originalFile: ocrResult.originalFile,
+      text: ocrResult.text,
+      confidence: ocrResult.confidence,
+      pageCount: ocrResult.pageCount,
+      pages: ocrResult.pages,
+      processingTime: ocrResult.processingTime,
+      extractedAt: new Date().toISOString()
+    }, null, 2);
+  } else {
+    // Default to plain text
+    content = ocrResult.text;
+  }
+
+  return {
+    success: true,
+    filename: `${baseName}_ocr.${extension}`,
+    buffer: Buffer.from(content, 'utf-8'),
+    mimeType: mimeType,
+    originalName: file.originalname,
+    confidence: ocrResult.confidence,
+    pageCount: ocrResult.pageCount
+  };
+};
+
+/**
+ * Scale a template rectangle to the page it is applied to and clip it to the page
+ * @param {Object} rectangle - { left, top, width, height } in template coordinates
+ * @param {number} scaleX - Horizontal scale
+ * @param {number} scaleY - Vertical scale
+ * @param {Object} page - { width, height }
+ * @returns {Object|null} - Rectangle in page pixels, or null when it misses the page
+ */
+const scaleRectangle = (rectangle, scaleX, scaleY, page) => {
+  const left = Math.round(rectangle.left * scaleX);
+  const top = Math.round(rectangle.top * scaleY);
+  if (left >= page.width || top >= page.height) {
+    return null;
+  }
+
+  // Tesseract returns nothing for rectangles that touch the right or bottom
+  // edge, so stop one pixel short of it
+  return {
+    left: left,
+    top: top,
+    width: Math.max(Math.min(Math.round(rectangle.width * scaleX), page.width - left - 1), 1),
+    height: Math.max(Math.min(Math.round(rectangle.height * scaleY), page.height - top - 1), 1)
+  };
+};
+
+/**
+ * Extract the fields of a form template by recognizing each field's rectangle
+ * @param {Object} file - Multer file object
+ * @param {Object} template - Template from the template store
+ * @param {Object} options - OCR options
+ * @param {string} options.language - Overrides the template language
+ * @param {Function} options.onProgress - Called with (fieldsDone, fieldCount) after each field
+ * @returns {Promise<Object>} - Field results keyed by field name
+ */
+const extractFields = async (file, template, options = {}) => {
+  const { onProgress } = options;
+  let cleanup = async () => {};
+
+  try {
+    const languages = normalizeLanguages(options.language || template.language || 'eng');
+    console.log(`Extracting ${template.fields.length} field(s) with template ${template.name} from: ${file.originalname}`);
+
+    const pageImages = await getPageImages(file);
+    cleanup = pageImages.cleanup;
+
+    // Prepare each page the template refers to once
+    const pages = new Map();
+    for (const pageNumber of new Set(template.fields.map(field => field.page))) {
+      const pageImage = pageImages.pages.find(({ page }) => page === pageNumber);
+      if (!pageImage) {
+        continue;
+      }
+
+      const original = await sharp(pageImage.image).metadata();
+      const image = template.preprocess && template.preprocess.length > 0
+        ? (await preprocessImage(pageImage.image, { steps: template.preprocess }, languages)).image
+        : pageImage.image;
+      const { width, height } = await sharp(image).metadata();
+
+      // Rectangles are drawn on pageWidth x pageHeight, or on the upload itself
+      pages.set(pageNumber, {
+        image,
+        width,
+        height,
+        scaleX: width / (template.pageWidth || original.width),
+        scaleY: height / (template.pageHeight || original.height)
+      });
+    }
+
+    const startTime = Date.now();
+    const fields = {};
+    for (const field of template.fields) {
+      const page = pages.get(field.page);
+      const rectangle = page && scaleRectangle(field.rectangle, page.scaleX, page.scaleY, page);
+
+      if (!rectangle) {
+        fields[field.name] = {
+          value: null,
+          text: '',
+          confidence: 0,
+          valid: !field.required,
+          error: page ? 'Field lies outside the page' : `Page ${field.page} not found in document`,
+          type: field.type,
+          page: field.page
+        };
+      } else {
+        const { data } = await recognize(languages, page.image, { rectangle }, { text: true, blocks: false, hocr: false, tsv: false });
+        fields[field.name] = {
+          ...parseFieldValue(field, data.text),
+          confidence: data.confidence,
+          type: field.type,
+          page: field.page,
+          rectangle: rectangle
+        };
+      }
+
+      if (onProgress) {
+        await onProgress(Object.keys(fields).length, template.fields.length);
+      }
+    }
+
+    const results = Object.values(fields);
+    const recognized = results.filter(result => result.rectangle);
+    const processingTime = Date.now() - startTime;
+    console.log(`Field extraction completed in ${processingTime}ms`);
+
+    return {
+      success: true,
+      originalFile: file.originalname,
+      template: { id: template.id, name: template.name },
+      valid: results.every(result => result.valid),
+      confidence: recognized.length ? recognized.reduce((sum, result) => sum + result.confidence, 0) / recognized.length : 0,
+      fields: fields,
+      processingTime: processingTime,
+      language: languages
     };
   } catch (error) {
-    throw error;
+    console.error('Field extraction error:', error);
+    if (error.name === 'ValidationError') {
+      throw error;
+    }
+    throw new ConversionError(`Failed to extract fields: ${error.message}`);
+  } finally {
+    await cleanup();
   }
 };
 
+/**
+ * Extract tables by clustering the recognized words of each page into rows
+ * and columns (one table per page)
+ * @param {Object} file - Multer file object
+ * @param {Object} options - OCR options
+ * @param {string} options.language - Tesseract language (default: eng)
+ * @param {Object} options.preprocess - Preprocessing from parsePreprocessOptions
+ * @param {Function} options.onProgress - Called with (pagesDone, pageCount) after each page
+ * @returns {Promise<Object>} - Tables with their rows as arrays of cell text
+ */
+const extractTables = async (file, options = {}) => {
+  const { language = 'eng', preprocess, onProgress } = options;
+
+  const recognized = await recognizePages(file, { language, preprocess, onProgress });
+  const tables = recognized.pages
+    .map(({ page, data }) => {
+      const table = detectTable(data.words);
+      return table && { page: page, ...table };
+    })
+    .filter(Boolean);
+
+  console.log(`Table extraction found ${tables.length} table(s) in ${recognized.pages.length} page(s)`);
+
+  return {
+    success: true,
+    originalFile: file.originalname,
+    tableCount: tables.length,
+    pageCount: recognized.pages.length,
+    tables: tables,
+    processingTime: recognized.processingTime,
+    language: language
+  };
+};
+
+/**
+ * Extract tables and render them as JSON, CSV or XLSX
+ * @param {Object} file - Multer file object
+ * @param {Object} options - OCR options
+ * @param {string} options.format - json, csv or xlsx (one worksheet per table)
+ * @param {string} options.delimiter - CSV delimiter (default: ,)
+ * @param {boolean} options.hasHeaders - Style the first row of each worksheet as a header
+ * @returns {Promise<Object>} - File result
+ */
+const processOcrTablesToFile = async (file, options = {}) => {
+  const { format = 'json', delimiter = ',', hasHeaders = true, ...ocrOptions } = options;
+
+  if (!OCR_TABLE_FORMATS[format]) {
+    throw new ValidationError(`Invalid format. Must be one of: ${Object.keys(OCR_TABLE_FORMATS).join(', ')}`);
+  }
+
+  const result = await extractTables(file, ocrOptions);
+  if (format !== 'json' && result.tableCount === 0) {
+    throw new ConversionError('No table found in document');
+  }
+
+  let buffer;
+  if (format === 'xlsx') {
+    buffer = await buildExcelBuffer(result.tables.map(table => ({
+      name: `Page ${table.page}`,
+      rows: table.rows,
+      hasHeaders: hasHeaders
+    })));
+  } else if (format === 'csv') {
+    // Tables of successive pages are separated by an empty line
+    buffer = Buffer.from(result.tables.map(table => rowsToCsv(table.rows, delimiter)).join('\n\n'), 'utf-8');
+  } else {
+    buffer = Buffer.from(JSON.stringify(result, null, 2), 'utf-8');
+  }
+
+  const baseName = path.basename(file.filename, path.extname(file.filename));
+  const { extension, mimeType } = OCR_TABLE_FORMATS[format];
+
+  return {
+    success: true,
+    filename: `${baseName}_tables.${extension}`,
+    buffer: buffer,
+    mimeType: mimeType,
+    originalName: file.originalname,
+    tableCount: result.tableCount,
+    pageCount: result.pageCount
+  };
+};
+
 /**
  * Batch OCR processing
  * @param {Array} files - Array of file objects
- * @param {Object} options - OCR options
- * @returns {Promise<Array>} - Array of OCR results
+ * @param {Object} options - OCR options, plus `concurrency` for the batch
+ * @returns {Promise<Array>} - Array of OCR results (in input order)
  */
 const batchExtractText = async (files, options = {}) => {
-  const results = [];
-  
-  for (const file of files) {
+  const { concurrency = getBatchConcurrency(), ...ocrOptions } = options;
+
+  return mapWithConcurrency(files, concurrency, async (file) => {
     try {
-      const result = await extractTextFromImage(file, options);
-      results.push(result);
+      return await extractTextFromImage(file, ocrOptions);
     } catch (error) {
-      results.push({
+      return {
         success: false,
         originalFile: file.originalname,
         error: error.message
-      });
+      };
     }
-  }
-  
-  return results;
+  });
 };
 
 /**
@@ -186,17 +564,13 @@ const getSupportedLanguages = () => {
   };
 };
 
-/**
- * Cleanup worker on process exit
- */
-process.on('exit', async () => {
-  if (worker) {
-    await worker.terminate();
-  }
-});
-
 module.exports = {
+  OCR_FILE_FORMATS,
+  OCR_TABLE_FORMATS,
   extractTextFromImage,
+  extractFields,
+  extractTables,
+  processOcrTablesToFile,
   processOcrToFile,
   batchExtractText,
   getSupportedLanguages
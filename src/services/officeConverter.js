@@ -1,35 +1,209 @@
-const libre = require('libreoffice-convert');
 const fs = require('fs').promises;
 const path = require('path');
-const { promisify } = require('util');
-const { ConversionError } = require('../middleware/errorHandler');
+const { ConversionError, ValidationError, ServerBusyError } = require('../middleware/errorHandler');
+const { mapWithConcurrency, getBatchConcurrency } = require('../utils/concurrency');
+const { rasterizePdf } = require('./pdfRasterizer');
+const { createZipBuffer } = require('../utils/archive');
+const { convertWithPool } = require('./libreOfficePool');
 
-const libreConvert = promisify(libre.convert);
+// Input formats grouped by the LibreOffice module that opens them
+const DOCUMENT_FAMILIES = {
+  text: ['docx', 'doc', 'odt', 'rtf'],
+  spreadsheet: ['xlsx', 'xls', 'ods'],
+  presentation: ['pptx', 'ppt', 'odp']
+};
+
+// Output formats each family can be exported to
+const FAMILY_TARGETS = {
+  text: ['pdf', 'docx', 'doc', 'odt', 'rtf', 'html', 'txt'],
+  spreadsheet: ['pdf', 'xlsx', 'xls', 'ods'],
+  presentation: ['pdf', 'pptx', 'ppt', 'odp', 'png']
+};
+
+// MIME types of the LibreOffice output formats
+const OUTPUT_MIME_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  doc: 'application/msword',
+  odt: 'application/vnd.oasis.opendocument.text',
+  rtf: 'application/rtf',
+  html: 'text/html',
+  txt: 'text/plain',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  xls: 'application/vnd.ms-excel',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  ppt: 'application/vnd.ms-powerpoint',
+  odp: 'application/vnd.oasis.opendocument.presentation',
+  png: 'application/zip' // one PNG per slide, zipped
+};
+
+// PDF export filter for each family (HTML opens in Writer/Web)
+const PDF_EXPORT_FILTERS = {
+  text: 'writer_pdf_Export',
+  spreadsheet: 'calc_pdf_Export',
+  presentation: 'impress_pdf_Export',
+  web: 'writer_web_pdf_Export'
+};
+
+// Export filters for formats whose LibreOffice default is not what we want
+const EXPORT_FILTERS = {
+  txt: 'Text (encoded):UTF8'
+};
+
+// PDF/A conformance levels mapped to LibreOffice's SelectPdfVersion
+const PDFA_VERSIONS = {
+  '1b': 1,
+  '2b': 2,
+  '3b': 3
+};
 
 /**
- * Convert Office documents (DOCX, XLSX, PPTX) to PDF
+ * Validate raw PDF export options (form fields / query parameters)
+ * @param {Object} input - Raw request values
+ * @returns {Object} - Normalized PDF options
+ */
+const parsePdfExportOptions = (input = {}) => {
+  const options = {};
+  const parseBoolean = (value) => value === true || value === 'true';
+
+  if (input.pdfa) {
+    const level = String(input.pdfa).toLowerCase().replace(/^pdf\/?a-?/, '');
+    if (!PDFA_VERSIONS[level]) {
+      throw new ValidationError('Invalid pdfa. Must be one of: 1b, 2b, 3b');
+    }
+    options.pdfa = level;
+  }
+
+  if (input.pageRange) {
+    const pageRange = String(input.pageRange).replace(/\s+/g, '');
+    if (!/^\d+(-\d*)?(,\d+(-\d*)?)*$/.test(pageRange)) {
+      throw new ValidationError('Invalid pageRange. Use page numbers and ranges such as "1-3,5"');
+    }
+    options.pageRange = pageRange;
+  }
+
+  if (input.jpegQuality !== undefined && input.jpegQuality !== '') {
+    const quality = parseInt(input.jpegQuality);
+    if (isNaN(quality) || quality < 1 || quality > 100) {
+      throw new ValidationError('Invalid jpegQuality. Must be between 1 and 100');
+    }
+    options.jpegQuality = quality;
+  }
+
+  if (input.imageResolution !== undefined && input.imageResolution !== '') {
+    const resolution = parseInt(input.imageResolution);
+    if (![75, 150, 300, 600, 1200].includes(resolution)) {
+      throw new ValidationError('Invalid imageResolution. Must be one of: 75, 150, 300, 600, 1200');
+    }
+    options.imageResolution = resolution;
+  }
+
+  if (input.bookmarks !== undefined) {
+    options.bookmarks = parseBoolean(input.bookmarks);
+  }
+
+  if (input.taggedPdf !== undefined) {
+    options.taggedPdf = parseBoolean(input.taggedPdf);
+  }
+
+  if (input.password) {
+    if (options.pdfa) {
+      throw new ValidationError('PDF/A output cannot be password protected');
+    }
+    options.password = String(input.password);
+  }
+
+  return options;
+};
+
+/**
+ * Build the LibreOffice PDF export filter string ("<filter>:<JSON filter data>")
+ * @param {string} family - Document family (text, spreadsheet, presentation, web)
+ * @param {Object} pdfOptions - Options from parsePdfExportOptions
+ * @returns {string|undefined} - Filter, or undefined to use LibreOffice's defaults
+ */
+const buildPdfExportFilter = (family, pdfOptions = {}) => {
+  const filterData = {};
+  const set = (name, type, value) => {
+    filterData[name] = { type, value: String(value) };
+  };
+
+  if (pdfOptions.pdfa) {
+    set('SelectPdfVersion', 'long', PDFA_VERSIONS[pdfOptions.pdfa]);
+  }
+  if (pdfOptions.pageRange) {
+    set('PageRange', 'string', pdfOptions.pageRange);
+  }
+  if (pdfOptions.jpegQuality) {
+    set('UseLosslessCompression', 'boolean', false);
+    set('Quality', 'long', pdfOptions.jpegQuality);
+  }
+  if (pdfOptions.imageResolution) {
+    set('ReduceImageResolution', 'boolean', true);
+    set('MaxImageResolution', 'long', pdfOptions.imageResolution);
+  }
+  if (pdfOptions.bookmarks !== undefined) {
+    set('ExportBookmarks', 'boolean', pdfOptions.bookmarks);
+  }
+  if (pdfOptions.taggedPdf !== undefined) {
+    set('UseTaggedPDF', 'boolean', pdfOptions.taggedPdf);
+  }
+  if (pdfOptions.password) {
+    set('EncryptFile', 'boolean', true);
+    set('DocumentOpenPassword', 'string', pdfOptions.password);
+  }
+
+  if (Object.keys(filterData).length === 0) {
+    return undefined;
+  }
+
+  return `${PDF_EXPORT_FILTERS[family] || PDF_EXPORT_FILTERS.text}:${JSON.stringify(filterData)}`;
+};
+
+/**
+ * Convert an Office document to another format with LibreOffice
  * @param {string} inputPath - Path to the input file
- * @param {string} outputPath - Path where the PDF should be saved
+ * @param {string} outputPath - Path where the output should be saved
+ * @param {string} format - Output extension without the dot (pdf, docx, odt, ...)
+ * @param {string} [filter] - Export filter (and filter data) to use
  * @returns {Promise<void>}
  */
-const convertOfficeToPDF = async (inputPath, outputPath) => {
+const convertOfficeDocument = async (inputPath, outputPath, format, filter) => {
   try {
     // Read the input file
     const inputBuffer = await fs.readFile(inputPath);
     
-    // Convert to PDF
-    const pdfBuffer = await libreConvert(inputBuffer, '.pdf', undefined);
+    // Keep the extension so LibreOffice picks the right import filter
+    const outputBuffer = await convertWithPool(inputBuffer, {
+      inputExtension: path.extname(inputPath),
+      format: format,
+      filter: filter
+    });
     
-    // Write the PDF to the output path
-    await fs.writeFile(outputPath, pdfBuffer);
+    // Write the output to the output path
+    await fs.writeFile(outputPath, outputBuffer);
     
-    console.log(`Successfully converted ${path.basename(inputPath)} to PDF`);
+    console.log(`Successfully converted ${path.basename(inputPath)} to ${format.toUpperCase()}`);
   } catch (error) {
-    console.error('Office to PDF conversion error:', error);
-    throw new ConversionError(`Failed to convert Office document to PDF: ${error.message}`);
+    console.error(`Office to ${format.toUpperCase()} conversion error:`, error);
+    if (error instanceof ServerBusyError) {
+      throw error;
+    }
+    throw new ConversionError(`Failed to convert Office document to ${format.toUpperCase()}: ${error.message}`);
   }
 };
 
+/**
+ * Convert Office documents (DOCX, XLSX, PPTX) to PDF
+ * @param {string} inputPath - Path to the input file
+ * @param {string} outputPath - Path where the PDF should be saved
+ * @returns {Promise<void>}
+ */
+const convertOfficeToPDF = async (inputPath, outputPath) => {
+  return convertOfficeDocument(inputPath, outputPath, 'pdf');
+};
+
 /**
  * Get the file extension based on mimetype or filename
  * @param {string} filename - Original filename
@@ -46,43 +220,116 @@ const getOfficeFileType = (filename, mimetype) => {
     'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
     'application/msword': '.doc',
     'application/vnd.ms-excel': '.xls',
-    'application/vnd.ms-powerpoint': '.ppt'
+    'application/vnd.ms-powerpoint': '.ppt',
+    'application/vnd.oasis.opendocument.text': '.odt',
+    'application/vnd.oasis.opendocument.spreadsheet': '.ods',
+    'application/vnd.oasis.opendocument.presentation': '.odp',
+    'application/rtf': '.rtf',
+    'text/rtf': '.rtf'
   };
   
   // Try to get extension from mimetype first, then fall back to file extension
   return mimeToExt[mimetype] || ext;
 };
 
+/**
+ * Get the document family of an input type
+ * @param {string} inputType - Input extension (with or without the dot)
+ * @returns {string|undefined} - text, spreadsheet, presentation, web or undefined
+ */
+const getDocumentFamily = (inputType) => {
+  const type = inputType.replace(/^\./, '').toLowerCase();
+  if (type === 'html' || type === 'htm') {
+    return 'web';
+  }
+  return Object.keys(DOCUMENT_FAMILIES).find(name => DOCUMENT_FAMILIES[name].includes(type));
+};
+
+/**
+ * Get the output formats available for an input type
+ * @param {string} inputType - Input extension (with or without the dot)
+ * @returns {Array<string>} - Output formats (empty if the input is not an Office document)
+ */
+const getOfficeTargets = (inputType) => {
+  const type = inputType.replace(/^\./, '').toLowerCase();
+  const family = getDocumentFamily(type);
+  return FAMILY_TARGETS[family] ? FAMILY_TARGETS[family].filter(target => target !== type) : [];
+};
+
+/**
+ * Render every slide of a presentation as a PNG (via PDF) and zip them
+ * @param {string} pdfPath - Path to the presentation exported as PDF
+ * @returns {Promise<Object>} - { buffer, pageCount }
+ */
+const rasterizeSlides = async (pdfPath) => {
+  const { pages, cleanup } = await rasterizePdf(pdfPath, {
+    dpi: parseInt(process.env.SLIDE_IMAGE_DPI) || 150
+  });
+
+  try {
+    const entries = await Promise.all(pages.map(async ({ page, path: pagePath }) => ({
+      name: `slide-${page}.png`,
+      buffer: await fs.readFile(pagePath)
+    })));
+
+    return { buffer: await createZipBuffer(entries), pageCount: pages.length };
+  } finally {
+    await cleanup();
+  }
+};
+
 /**
  * Process Office document conversion with proper file handling
  * @param {Object} file - Multer file object
+ * @param {Object} options - Conversion options
+ * @param {string} options.format - Output format (default: pdf)
+ * @param {Object} options.pdfOptions - PDF export options (see parsePdfExportOptions)
  * @returns {Promise<Object>} - Conversion result
  */
-const processOfficeConversion = async (file) => {
+const processOfficeConversion = async (file, options = {}) => {
+  const format = (options.format || 'pdf').replace(/^\./, '').toLowerCase();
+  const inputType = getOfficeFileType(file.originalname, file.mimetype);
+
+  if (format !== 'pdf' && !getOfficeTargets(inputType).includes(format)) {
+    throw new ValidationError(`Cannot convert ${inputType || 'this file'} to ${format}`, {
+      supported: getOfficeTargets(inputType)
+    });
+  }
+
+  // Slides are rendered from a PDF export
+  const exportFormat = format === 'png' ? 'pdf' : format;
   const tempDir = process.env.TEMP_DIR || '/tmp/document-processing';
-  const outputFilename = `${path.basename(file.filename, path.extname(file.filename))}.pdf`;
-  const outputPath = path.join(tempDir, outputFilename);
+  const baseName = path.basename(file.filename, path.extname(file.filename));
+  const outputPath = path.join(tempDir, `${baseName}.${exportFormat}`);
   
   try {
     // Perform conversion
-    await convertOfficeToPDF(file.path, outputPath);
-    
-    // Read the converted file
-    const pdfBuffer = await fs.readFile(outputPath);
+    const filter = exportFormat === 'pdf'
+      ? buildPdfExportFilter(getDocumentFamily(inputType), options.pdfOptions)
+      : EXPORT_FILTERS[exportFormat];
+    await convertOfficeDocument(file.path, outputPath, exportFormat, filter);
     
-    // Get file stats
-    const stats = await fs.stat(outputPath);
+    let buffer;
+    let pageCount;
+    if (format === 'png') {
+      ({ buffer, pageCount } = await rasterizeSlides(outputPath));
+    } else {
+      buffer = await fs.readFile(outputPath);
+    }
     
     // Clean up the output file
     await fs.unlink(outputPath);
     
     return {
       success: true,
-      filename: outputFilename,
-      buffer: pdfBuffer,
-      size: stats.size,
+      filename: `${baseName}.${format === 'png' ? 'zip' : format}`,
+      buffer: buffer,
+      size: buffer.length,
+      mimeType: OUTPUT_MIME_TYPES[format],
+      format: format,
+      pageCount: pageCount,
       originalName: file.originalname,
-      convertedFrom: getOfficeFileType(file.originalname, file.mimetype)
+      convertedFrom: inputType
     };
   } catch (error) {
     // Clean up output file if it exists
@@ -98,34 +345,40 @@ const processOfficeConversion = async (file) => {
 
 /**
  * Batch convert multiple Office documents to PDF
- * @param {Array} files - Array of file paths
- * @returns {Promise<Array>} - Array of conversion results
+ * @param {Array} files - Array of Multer file objects
+ * @param {Object} options - Batch options
+ * @param {number} options.concurrency - Maximum conversions running at once
+ * @param {Object} options.pdfOptions - PDF export options applied to every file
+ * @returns {Promise<Array>} - Array of conversion results (in input order)
  */
-const batchConvertOfficeToPDF = async (files) => {
-  const results = [];
-  
-  for (const file of files) {
+const batchConvertOfficeToPDF = async (files, options = {}) => {
+  const { concurrency = getBatchConcurrency(), pdfOptions } = options;
+
+  return mapWithConcurrency(files, concurrency, async (file) => {
     try {
-      const result = await processOfficeConversion(file);
-      results.push({
+      const result = await processOfficeConversion(file, { pdfOptions });
+      return {
         file: file.originalname,
         ...result
-      });
+      };
     } catch (error) {
-      results.push({
+      return {
         file: file.originalname,
         success: false,
         error: error.message
-      });
+      };
     }
-  }
-  
-  return results;
+  });
 };
 
 module.exports = {
+  DOCUMENT_FAMILIES,
+  convertOfficeDocument,
   convertOfficeToPDF,
   processOfficeConversion,
   batchConvertOfficeToPDF,
-  getOfficeFileType
+  getOfficeFileType,
+  getOfficeTargets,
+  parsePdfExportOptions,
+  buildPdfExportFilter
 };
@@ -0,0 +1,87 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { ConversionError } = require('../middleware/errorHandler');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Render the pages of a PDF to PNG images with poppler's pdftoppm
+ * @param {string} pdfPath - Path to the PDF
+ * @param {Object} options - Rasterization options
+ * @param {number} options.dpi - Output resolution (default: 150)
+ * @param {number} options.firstPage - First page to render (1-based)
+ * @param {number} options.lastPage - Last page to render
+ * @returns {Promise<Object>} - { pages: [{ page, path }], cleanup }
+ */
+const rasterizePdf = async (pdfPath, options = {}) => {
+  const { dpi = 150, firstPage, lastPage } = options;
+  const tempDir = process.env.TEMP_DIR || '/tmp/document-processing';
+  const outputDir = path.join(tempDir, `pages-${uuidv4()}`);
+
+  // Page images live in their own directory so cleanup is a single rm
+  const cleanup = () => fs.rm(outputDir, { recursive: true, force: true });
+
+  try {
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const args = ['-png', '-r', String(dpi)];
+    if (firstPage) args.push('-f', String(firstPage));
+    if (lastPage) args.push('-l', String(lastPage));
+    args.push(pdfPath, path.join(outputDir, 'page'));
+
+    await execFileAsync(process.env.PDFTOPPM_PATH || 'pdftoppm', args, {
+      timeout: parseInt(process.env.JOB_TIMEOUT) || 60000
+    });
+
+    // pdftoppm zero-pads page numbers to the width of the page count
+    const files = await fs.readdir(outputDir);
+    const pages = files
+      .map(name => ({ name, match: /^page-(\d+)\.png$/.exec(name) }))
+      .filter(({ match }) => match)
+      .map(({ name, match }) => ({ page: parseInt(match[1], 10), path: path.join(outputDir, name) }))
+      .sort((a, b) => a.page - b.page);
+
+    if (pages.length === 0) {
+      throw new Error('No pages rendered');
+    }
+
+    return { pages, cleanup };
+  } catch (error) {
+    await cleanup();
+    console.error('PDF rasterization error:', error);
+    throw new ConversionError(`Failed to render PDF pages: ${error.message}`);
+  }
+};
+
+/**
+ * Extract the embedded text of a PDF with poppler's pdftotext
+ * @param {string} pdfPath - Path to the PDF
+ * @returns {Promise<Object>} - { text, pages } with the text of each page
+ */
+const extractPdfText = async (pdfPath) => {
+  try {
+    const { stdout } = await execFileAsync(process.env.PDFTOTEXT_PATH || 'pdftotext', ['-layout', '-enc', 'UTF-8', pdfPath, '-'], {
+      timeout: parseInt(process.env.JOB_TIMEOUT) || 60000,
+      maxBuffer: 256 * 1024 * 1024
+    });
+
+    // Pages end with a form feed
+    const pages = stdout.split('\f');
+    if (pages.length > 1 && pages[pages.length - 1].trim() === '') {
+      pages.pop();
+    }
+
+    return { text: pages.map(page => page.replace(/\s+$/, '')).join('\n\n'), pages };
+  } catch (error) {
+    console.error('PDF text extraction error:', error);
+    throw new ConversionError(`Failed to extract PDF text: ${error.message}`);
+  }
+};
+
+module.exports = {
+  rasterizePdf,
+  extractPdfText
+};
@@ -0,0 +1,404 @@
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { XMLParser } = require('fast-xml-parser');
+
+const DEFAULT_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Get the configured result time-to-live in milliseconds
+ * @returns {number}
+ */
+const getResultTtl = () => parseInt(process.env.RESULT_TTL) || DEFAULT_TTL;
+
+/**
+ * Size of a result: a buffer, or { path } of a file written by a streaming converter
+ * @param {Buffer|Object} content - Result content
+ * @returns {Promise<number>} - Size in bytes
+ */
+const contentSize = async (content) => (Buffer.isBuffer(content) ? content.length : (await fs.stat(content.path)).size);
+
+/**
+ * Reduce a storage key to a safe single path segment
+ * @param {string} key - Storage key
+ * @returns {string}
+ */
+const normalizeKey = (key) => path.basename(String(key)).replace(/[^A-Za-z0-9._-]/g, '_');
+
+/**
+ * Create a result store that keeps outputs on the local filesystem
+ * @param {Object} options - Store options
+ * @param {string} options.directory - Directory holding stored results
+ * @returns {Object} - Result store
+ */
+const createLocalStore = ({ directory }) => {
+  const dataPath = (key) => path.join(directory, normalizeKey(key));
+  const metaPath = (key) => `${dataPath(key)}.meta.json`;
+
+  const remove = async (key) => {
+    await Promise.all([dataPath(key), metaPath(key)].map(async (filePath) => {
+      try {
+        await fs.unlink(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }));
+  };
+
+  const readMeta = async (key) => {
+    try {
+      return JSON.parse(await fs.readFile(metaPath(key), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    type: 'local',
+
+    put: async (key, content, { filename, mimeType, ttl = getResultTtl() } = {}) => {
+      await fs.mkdir(directory, { recursive: true });
+
+      const meta = {
+        filename: filename,
+        mimeType: mimeType || 'application/octet-stream',
+        size: await contentSize(content),
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + ttl).toISOString()
+      };
+
+      if (Buffer.isBuffer(content)) {
+        await fs.writeFile(dataPath(key), content);
+      } else {
+        await fs.copyFile(content.path, dataPath(key));
+      }
+      await fs.writeFile(metaPath(key), JSON.stringify(meta));
+
+      return meta;
+    },
+
+    stat: async (key) => {
+      const meta = await readMeta(key);
+      if (!meta) {
+        return null;
+      }
+
+      if (Date.parse(meta.expiresAt) <= Date.now()) {
+        await remove(key);
+        return null;
+      }
+
+      return meta;
+    },
+
+    createReadStream: async (key, range = {}) => createReadStream(dataPath(key), range),
+
+    remove: remove,
+
+    purgeExpired: async () => {
+      let entries;
+      try {
+        entries = await fs.readdir(directory);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return 0;
+        }
+        throw error;
+      }
+
+      let purged = 0;
+      for (const entry of entries.filter(name => name.endsWith('.meta.json'))) {
+        const key = entry.slice(0, -'.meta.json'.length);
+        const meta = await readMeta(key);
+        if (!meta || Date.parse(meta.expiresAt) <= Date.now()) {
+          await remove(key);
+          purged++;
+        }
+      }
+
+      return purged;
+    }
+  };
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const listParser = new XMLParser({ isArray: name => name === 'Contents', parseTagValue: false });
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request - { method, url, headers, payloadHash }
+ * @param {Object} credentials - { region, accessKeyId, secretAccessKey }
+ * @returns {Object} - Headers including Authorization
+ */
+const signS3Request = ({ method, url, headers, payloadHash }, { region, accessKeyId, secretAccessKey }) => {
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const signedHeaders = {
+    ...headers,
+    'host': url.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash
+  };
+
+  const headerNames = Object.keys(signedHeaders).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(signedHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+  );
+
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([name, value]) => [encodeURIComponent(name), encodeURIComponent(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signedHeaders,
+    'Authorization': `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+  };
+};
+
+/**
+ * Create a result store backed by an S3-compatible object store (AWS S3, MinIO, ...)
+ * Objects are addressed path-style so any S3-compatible endpoint works.
+ * Expired objects are treated as missing and deleted by purgeExpired.
+ * @param {Object} options - Store options
+ * @returns {Object} - Result store
+ */
+const createS3Store = ({ endpoint, region, bucket, prefix = '', accessKeyId, secretAccessKey }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 result store requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const baseUrl = endpoint || `https://s3.${region}.amazonaws.com`;
+
+  const bucketUrl = () => {
+    const url = new URL(baseUrl);
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodeURIComponent(bucket)}`;
+    return url;
+  };
+
+  const objectUrl = (key) => {
+    const objectKey = `${prefix}${normalizeKey(key)}`;
+    const url = bucketUrl();
+    url.pathname = `${url.pathname}/${objectKey.split('/').map(encodeURIComponent).join('/')}`;
+    return url;
+  };
+
+  const send = (method, key, options) => request(method, objectUrl(key), options);
+
+  // A body is a buffer or { path, size } of a file, which is streamed unsigned
+  const request = (method, url, { body, headers = {}, range } = {}) => new Promise((resolve, reject) => {
+    const fileBody = body && !Buffer.isBuffer(body);
+    const payloadHash = body && !fileBody ? sha256(body) : 'UNSIGNED-PAYLOAD';
+    const signed = signS3Request(
+      { method, url, headers, payloadHash },
+      { region, accessKeyId, secretAccessKey }
+    );
+
+    if (range) {
+      signed['Range'] = `bytes=${range.start}-${range.end}`;
+    }
+    if (body) {
+      signed['Content-Length'] = fileBody ? body.size : body.length;
+    }
+
+    const transport = url.protocol === 'https:' ? https : http;
+    const req = transport.request(url, { method, headers: signed }, resolve);
+    req.on('error', reject);
+
+    if (fileBody) {
+      const input = createReadStream(body.path);
+      input.on('error', error => req.destroy(error));
+      input.pipe(req);
+    } else {
+      req.end(body);
+    }
+  });
+
+  const drain = (res) => new Promise((resolve) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+  });
+
+  const expectSuccess = async (res, action) => {
+    if (res.statusCode >= 300) {
+      const body = await drain(res);
+      throw new Error(`S3 ${action} failed with status ${res.statusCode}: ${body.slice(0, 200)}`);
+    }
+  };
+
+  const remove = async (key) => {
+    const res = await send('DELETE', key);
+    await drain(res);
+    if (res.statusCode >= 300 && res.statusCode !== 404) {
+      throw new Error(`S3 delete failed with status ${res.statusCode}`);
+    }
+  };
+
+  // List the stored objects page by page (ListObjectsV2)
+  const listObjects = async () => {
+    const objects = [];
+    let continuationToken = null;
+
+    do {
+      const url = bucketUrl();
+      url.searchParams.set('list-type', '2');
+      url.searchParams.set('prefix', prefix);
+      if (continuationToken) {
+        url.searchParams.set('continuation-token', continuationToken);
+      }
+
+      const res = await request('GET', url);
+      await expectSuccess(res, 'list');
+      const result = listParser.parse(await drain(res)).ListBucketResult || {};
+
+      (result.Contents || []).forEach((object) => {
+        objects.push({ key: String(object.Key).slice(prefix.length), lastModified: Date.parse(object.LastModified) });
+      });
+      continuationToken = result.IsTruncated === 'true' ? result.NextContinuationToken : null;
+    } while (continuationToken);
+
+    return objects;
+  };
+
+  const stat = async (key) => {
+    const res = await send('HEAD', key);
+    res.resume();
+
+    if (res.statusCode === 404) {
+      return null;
+    }
+    await expectSuccess(res, 'head');
+
+    const meta = {
+      filename: decodeURIComponent(res.headers['x-amz-meta-filename'] || ''),
+      mimeType: res.headers['content-type'] || 'application/octet-stream',
+      size: parseInt(res.headers['content-length']) || 0,
+      createdAt: res.headers['x-amz-meta-created-at'] || null,
+      expiresAt: res.headers['x-amz-meta-expires-at'] || null
+    };
+
+    if (meta.expiresAt && Date.parse(meta.expiresAt) <= Date.now()) {
+      await remove(key);
+      return null;
+    }
+
+    return meta;
+  };
+
+  return {
+    type: 's3',
+
+    put: async (key, content, { filename, mimeType, ttl = getResultTtl() } = {}) => {
+      const meta = {
+        filename: filename,
+        mimeType: mimeType || 'application/octet-stream',
+        size: await contentSize(content),
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + ttl).toISOString()
+      };
+
+      const res = await send('PUT', key, {
+        body: Buffer.isBuffer(content) ? content : { path: content.path, size: meta.size },
+        headers: {
+          'content-type': meta.mimeType,
+          'x-amz-meta-filename': encodeURIComponent(filename || ''),
+          'x-amz-meta-created-at': meta.createdAt,
+          'x-amz-meta-expires-at': meta.expiresAt
+        }
+      });
+      await expectSuccess(res, 'upload');
+      await drain(res);
+
+      return meta;
+    },
+
+    stat: stat,
+
+    createReadStream: async (key, range) => {
+      const res = await send('GET', key, { range });
+      await expectSuccess(res, 'download');
+      return res;
+    },
+
+    remove: remove,
+
+    // The expiry is only in each object's metadata, so objects old enough to
+    // have expired under the current TTL are checked (and deleted) one by one
+    purgeExpired: async () => {
+      const cutoff = Date.now() - getResultTtl();
+      let purged = 0;
+
+      for (const object of await listObjects()) {
+        if (object.lastModified <= cutoff && !(await stat(object.key))) {
+          purged++;
+        }
+      }
+
+      return purged;
+    }
+  };
+};
+
+/**
+ * Create the result store selected by RESULT_STORE (local or s3)
+ * put takes the output as a buffer or as { path } of a file, which is copied
+ * (or streamed to S3) and left for the caller to remove
+ * @returns {Object} - Result store
+ */
+const createResultStore = () => {
+  const type = (process.env.RESULT_STORE || 'local').toLowerCase();
+
+  if (type === 's3') {
+    return createS3Store({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      prefix: process.env.S3_PREFIX || 'results/',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    });
+  }
+
+  const tempDir = process.env.TEMP_DIR || '/tmp/document-processing';
+  return createLocalStore({ directory: path.join(tempDir, 'results') });
+};
+
+const resultStore = createResultStore();
+
+module.exports = {
+  resultStore,
+  createLocalStore,
+  createS3Store,
+  getResultTtl
+};
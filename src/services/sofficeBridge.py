@@ -0,0 +1,154 @@
+"""Convert documents through a resident LibreOffice instance.
+
+Started by libreOfficePool.js for each pool worker, with the port its soffice
+listens on and the seconds to wait for it to come up. Reads one JSON request
+per line on stdin, { input, output, format, filter }, and answers each with
+one JSON line: { "ok": true } or { "error": ..., "fatal": ... }, fatal when
+the connection to LibreOffice is lost and the worker has to be restarted.
+The first line written is { "ready": true } once LibreOffice is connected.
+"""
+import json
+import os
+import sys
+import time
+
+import uno
+from com.sun.star.beans import PropertyValue
+from com.sun.star.connection import NoConnectException
+from com.sun.star.lang import DisposedException
+from com.sun.star.uno import RuntimeException
+
+# FilterFlags.EXPORT
+EXPORT_FLAG = 0x2
+
+# Value types of JSON filter data ("<filter>:{"Name": {"type": ..., "value": ...}}")
+FILTER_DATA_TYPES = {
+    'boolean': lambda value: str(value).lower() == 'true',
+    'long': int,
+    'short': int,
+    'double': float,
+    'string': str,
+}
+
+
+def prop(name, value):
+    result = PropertyValue()
+    result.Name = name
+    result.Value = value
+    return result
+
+
+def to_dict(properties):
+    return {item.Name: item.Value for item in properties}
+
+
+def reply(message):
+    sys.stdout.write(json.dumps(message) + '\n')
+    sys.stdout.flush()
+
+
+def connect(port, timeout):
+    local = uno.getComponentContext()
+    resolver = local.ServiceManager.createInstanceWithContext('com.sun.star.bridge.UnoUrlResolver', local)
+    url = 'uno:socket,host=127.0.0.1,port=%d;urp;StarOffice.ComponentContext' % port
+    deadline = time.time() + timeout
+    # soffice takes a few seconds to start listening
+    while True:
+        try:
+            return resolver.resolve(url)
+        except NoConnectException:
+            if time.time() > deadline:
+                raise
+            time.sleep(0.25)
+
+
+class Converter:
+    def __init__(self, context):
+        manager = context.ServiceManager
+        self.desktop = manager.createInstanceWithContext('com.sun.star.frame.Desktop', context)
+        self.filters = manager.createInstanceWithContext('com.sun.star.document.FilterFactory', context)
+        self.types = manager.createInstanceWithContext('com.sun.star.document.TypeDetection', context)
+        self.default_filters = {}
+
+    def find_export_filter(self, service, extension):
+        """Export filter of a document service for an extension, as --convert-to picks it"""
+        key = (service, extension)
+        if key not in self.default_filters:
+            preferred = self.types.queryTypeByURL('file:///document.' + extension)
+            candidates = []
+            for name in self.filters.getElementNames():
+                definition = to_dict(self.filters.getByName(name))
+                if definition.get('DocumentService') != service or not definition.get('Flags', 0) & EXPORT_FLAG:
+                    continue
+                file_type = definition.get('Type')
+                if not self.types.hasByName(file_type):
+                    continue
+                if extension in to_dict(self.types.getByName(file_type)).get('Extensions', ()):
+                    candidates.append((file_type != preferred, name))
+            self.default_filters[key] = min(candidates)[1] if candidates else None
+        return self.default_filters[key]
+
+    def store_properties(self, document, request):
+        name, _, options = (request.get('filter') or '').partition(':')
+        if not name:
+            name = self.find_export_filter(document.getIdentifier(), request['format'])
+            if not name:
+                raise ValueError('No LibreOffice export filter for %s' % request['format'])
+
+        properties = [prop('FilterName', name), prop('Overwrite', True)]
+        if options.startswith('{'):
+            data = json.loads(options)
+            entries = tuple(prop(key, FILTER_DATA_TYPES[item['type']](item['value'])) for key, item in data.items())
+            properties.append(prop('FilterData', uno.Any('[]com.sun.star.beans.PropertyValue', entries)))
+        elif options:
+            properties.append(prop('FilterOptions', options))
+        return tuple(properties)
+
+    def convert(self, request):
+        url = uno.systemPathToFileUrl(os.path.abspath(request['input']))
+        document = self.desktop.loadComponentFromURL(url, '_blank', 0, (prop('Hidden', True),))
+        if document is None:
+            raise ValueError('LibreOffice could not open the document')
+        try:
+            output = uno.systemPathToFileUrl(os.path.abspath(request['output']))
+            # invoke keeps the typed FilterData sequence intact
+            uno.invoke(document, 'storeToURL', (output, self.store_properties(document, request)))
+        finally:
+            try:
+                document.close(True)
+            except Exception:
+                document.dispose()
+
+
+def describe(error):
+    return getattr(error, 'Message', '') or str(error) or type(error).__name__
+
+
+def main():
+    port = int(sys.argv[1])
+    timeout = float(sys.argv[2]) if len(sys.argv) > 2 else 30
+
+    try:
+        converter = Converter(connect(port, timeout))
+    except Exception as error:
+        reply({'error': 'Cannot connect to LibreOffice: %s' % describe(error), 'fatal': True})
+        return 1
+    reply({'ready': True})
+
+    for line in sys.stdin:
+        if not line.strip():
+            continue
+        try:
+            converter.convert(json.loads(line))
+            reply({'ok': True})
+        except (DisposedException, RuntimeException) as error:
+            # The connection (or LibreOffice itself) is gone
+            reply({'error': describe(error), 'fatal': True})
+            return 1
+        except Exception as error:
+            reply({'error': describe(error), 'fatal': False})
+    return 0
+
+
+if __name__ == '__main__':
+    sys.exit(main())
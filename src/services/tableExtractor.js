@@ -0,0 +1,159 @@
+// Gaps wider than this many word heights separate cells rather than words
+const CELL_GAP_RATIO = 0.9;
+
+// Words whose vertical centers are within this many word heights share a row
+const ROW_TOLERANCE_RATIO = 0.5;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+};
+
+const overlap = (a, b) => Math.max(0, Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0));
+
+/**
+ * Group words into text rows by their vertical centers
+ * @param {Array<Object>} words - Words with bbox
+ * @param {number} tolerance - Maximum center distance within a row
+ * @returns {Array<Array<Object>>} - Rows of words, top to bottom, each left to right
+ */
+const groupRows = (words, tolerance) => {
+  const rows = [];
+  const sorted = [...words].sort((a, b) => (a.bbox.y0 + a.bbox.y1) - (b.bbox.y0 + b.bbox.y1));
+
+  for (const word of sorted) {
+    const center = (word.bbox.y0 + word.bbox.y1) / 2;
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(center - row.center) <= tolerance) {
+      row.words.push(word);
+      row.center += (center - row.center) / row.words.length;
+    } else {
+      rows.push({ center, words: [word] });
+    }
+  }
+
+  return rows.map(row => row.words.sort((a, b) => a.bbox.x0 - b.bbox.x0));
+};
+
+/**
+ * Split a row into cell segments wherever the gap between words is wide
+ * @param {Array<Object>} words - Row words, left to right
+ * @param {number} gap - Minimum gap between cells
+ * @returns {Array<Object>} - { x0, x1, words }
+ */
+const splitSegments = (words, gap) => {
+  const segments = [];
+  for (const word of words) {
+    const segment = segments[segments.length - 1];
+    if (segment && word.bbox.x0 - segment.x1 <= gap) {
+      segment.words.push(word);
+      segment.x1 = Math.max(segment.x1, word.bbox.x1);
+    } else {
+      segments.push({ x0: word.bbox.x0, x1: word.bbox.x1, words: [word] });
+    }
+  }
+  return segments;
+};
+
+/**
+ * Derive column ranges from the cell segments of multi-cell rows: segments
+ * that overlap horizontally belong to the same column
+ * @param {Array<Array<Object>>} rows - Segmented rows
+ * @returns {Array<Object>} - Columns as { x0, x1 }, left to right
+ */
+const findColumns = (rows) => {
+  const segments = rows
+    .filter(segmentsInRow => segmentsInRow.length > 1)
+    .flat()
+    .sort((a, b) => a.x0 - b.x0);
+
+  const columns = [];
+  for (const segment of segments) {
+    const column = columns[columns.length - 1];
+    if (column && segment.x0 <= column.x1) {
+      column.x1 = Math.max(column.x1, segment.x1);
+    } else {
+      columns.push({ x0: segment.x0, x1: segment.x1 });
+    }
+  }
+  return columns;
+};
+
+/**
+ * Pick the column a segment belongs to: the one it overlaps most, or the
+ * nearest one when it overlaps none
+ * @param {Object} segment - { x0, x1 }
+ * @param {Array<Object>} columns - Columns
+ * @returns {number} - Column index
+ */
+const assignColumn = (segment, columns) => {
+  let best = 0;
+  let bestScore = -Infinity;
+  const center = (segment.x0 + segment.x1) / 2;
+
+  columns.forEach((column, index) => {
+    const shared = overlap(segment, column);
+    const score = shared > 0 ? shared : -Math.abs(center - (column.x0 + column.x1) / 2);
+    if (score > bestScore) {
+      bestScore = score;
+      best = index;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Reconstruct a table from OCR words by clustering them into rows and columns.
+ * Leading and trailing single-cell lines (titles, footers) are left out.
+ * @param {Array<Object>} words - Tesseract words ({ text, confidence, bbox })
+ * @returns {Object|null} - { rows, rowCount, columnCount, confidence, bbox } or null if no table
+ */
+const detectTable = (words) => {
+  const usable = words.filter(word => word.text && word.text.trim());
+  if (usable.length === 0) {
+    return null;
+  }
+
+  const wordHeight = median(usable.map(word => word.bbox.y1 - word.bbox.y0)) || 1;
+  const rows = groupRows(usable, wordHeight * ROW_TOLERANCE_RATIO)
+    .map(rowWords => splitSegments(rowWords, wordHeight * CELL_GAP_RATIO));
+
+  const first = rows.findIndex(segments => segments.length > 1);
+  if (first === -1) {
+    return null;
+  }
+  const last = rows.length - 1 - [...rows].reverse().findIndex(segments => segments.length > 1);
+  const tableRows = rows.slice(first, last + 1);
+  const columns = findColumns(tableRows);
+
+  const tableWords = [];
+  const cells = tableRows.map((segments) => {
+    const row = columns.map(() => []);
+    for (const segment of segments) {
+      row[assignColumn(segment, columns)].push(...segment.words);
+      tableWords.push(...segment.words);
+    }
+    return row.map(cellWords => cellWords
+      .sort((a, b) => a.bbox.x0 - b.bbox.x0)
+      .map(word => word.text.trim())
+      .join(' '));
+  });
+
+  return {
+    rows: cells,
+    rowCount: cells.length,
+    columnCount: columns.length,
+    confidence: tableWords.reduce((sum, word) => sum + word.confidence, 0) / tableWords.length,
+    bbox: {
+      x0: Math.min(...tableWords.map(word => word.bbox.x0)),
+      y0: Math.min(...tableWords.map(word => word.bbox.y0)),
+      x1: Math.max(...tableWords.map(word => word.bbox.x1)),
+      y1: Math.max(...tableWords.map(word => word.bbox.y1))
+    }
+  };
+};
+
+module.exports = {
+  detectTable
+};
@@ -0,0 +1,409 @@
+const ExcelJS = require('exceljs');
+const { XMLParser } = require('fast-xml-parser');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { ConversionError, ValidationError } = require('../middleware/errorHandler');
+const { buildExcelBuffer, readWorkbookTables, readCsvTable, parseSheetOptions, rowsToCsv } = require('./dataConverter');
+const { processOfficeConversion } = require('./officeConverter');
+const { buildJsonSheets } = require('./jsonSheets');
+const { applyColumnTypes, parseColumnSchema } = require('./columnTypes');
+const { parseCellValueOptions } = require('./cellValues');
+const { parseStyleSpec } = require('./excelStyles');
+const { parseTransformSpec, applyTransform } = require('./tableTransform');
+const { normalizeEncoding, readTextFile, encodeText, getCharset } = require('./textEncoding');
+const { tableToObjects, summarizeTables } = require('./tableModel');
+const { createZipBuffer, createUniqueNamer } = require('../utils/archive');
+const { escapeXml } = require('../utils/xml');
+
+// Formats read and written through the table model; only multi-table
+// formats hold several sheets in one file, the others are zipped per table
+const TABLE_FORMATS = {
+  xlsx: { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx', multiTable: true },
+  ods: { mimeType: 'application/vnd.oasis.opendocument.spreadsheet', extension: 'ods', multiTable: true },
+  csv: { mimeType: 'text/csv', extension: 'csv', text: true },
+  tsv: { mimeType: 'text/tab-separated-values', extension: 'tsv', text: true },
+  json: { mimeType: 'application/json', extension: 'json', text: true, multiTable: true },
+  ndjson: { mimeType: 'application/x-ndjson', extension: 'ndjson', text: true },
+  xml: { mimeType: 'application/xml', extension: 'xml', text: true }
+};
+
+// Attributes are told apart from child elements by this prefix, which is dropped afterwards
+const ATTRIBUTE_PREFIX = '@';
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: ATTRIBUTE_PREFIX,
+  textNodeName: 'value',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  ignoreDeclaration: true,
+  ignorePiTags: true
+});
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Validate raw table conversion options (form fields / query parameters)
+ * @param {Object} input - Raw request values
+ * @returns {Object} - Normalized options for processTableConversion
+ */
+const parseTableOptions = (input = {}) => {
+  const options = {
+    ...parseSheetOptions(input),
+    ...parseCellValueOptions(input),
+    encoding: normalizeEncoding(input.encoding),
+    outputEncoding: normalizeEncoding(input.outputEncoding, { output: true }) || 'utf-8',
+    hasHeaders: input.hasHeaders !== false && input.hasHeaders !== 'false',
+    inferTypes: input.inferTypes !== false && input.inferTypes !== 'false',
+    schema: parseColumnSchema(input.schema),
+    flatten: input.flatten === true || input.flatten === 'true',
+    explodeArrays: input.explodeArrays === true || input.explodeArrays === 'true',
+    style: parseStyleSpec(input.style),
+    transform: parseTransformSpec(input.transform)
+  };
+
+  ['delimiter', 'quote', 'escape'].forEach((name) => {
+    if (input[name] !== undefined && input[name] !== '') {
+      if (String(input[name]).length !== 1) {
+        throw new ValidationError('delimiter, quote and escape must be single characters');
+      }
+      options[name] = String(input[name]);
+    }
+  });
+
+  if (input.decimalSeparator) {
+    if (!['.', ','].includes(input.decimalSeparator)) {
+      throw new ValidationError('Invalid decimalSeparator. Must be one of: . ,');
+    }
+    options.decimalSeparator = input.decimalSeparator;
+  }
+
+  if (input.dateOrder) {
+    if (!['DMY', 'MDY'].includes(input.dateOrder)) {
+      throw new ValidationError('Invalid dateOrder. Must be one of: DMY, MDY');
+    }
+    options.dateOrder = input.dateOrder;
+  }
+
+  return options;
+};
+
+// Readers return { tables, encoding } (encoding only for text sources)
+const readers = {
+  xlsx: async (file, options) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(file.path);
+    return { tables: readWorkbookTables(workbook, options) };
+  },
+
+  // LibreOffice turns the spreadsheet into XLSX first
+  ods: async (file, options) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load((await processOfficeConversion(file, { format: 'xlsx' })).buffer);
+    return { tables: readWorkbookTables(workbook, options) };
+  },
+
+  csv: async (file, options) => {
+    const { table, encoding } = await readCsvTable(file, { ...options, delimiter: options.delimiter || ',', sheetName: tableName(options) });
+    return { tables: [applyColumnTypes(table, options)], encoding };
+  },
+
+  tsv: async (file, options) => {
+    const { table, encoding } = await readCsvTable(file, { ...options, delimiter: '\t', sheetName: tableName(options) });
+    return { tables: [applyColumnTypes(table, { ...options, delimiter: '\t' })], encoding };
+  },
+
+  json: async (file, options) => {
+    const { text, encoding } = await readTextFile(file.path, options.encoding);
+    let jsonData;
+    try {
+      jsonData = JSON.parse(text);
+    } catch (parseError) {
+      throw new ConversionError('Invalid JSON format');
+    }
+    return { tables: buildJsonSheets(jsonData, { ...options, sheetName: tableName(options) }), encoding };
+  },
+
+  ndjson: async (file, options) => {
+    const { text, encoding } = await readTextFile(file.path, options.encoding);
+    const items = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        items.push(JSON.parse(line));
+      } catch (parseError) {
+        throw new ConversionError(`Invalid JSON on line ${index + 1}`);
+      }
+    });
+    return { tables: buildJsonSheets(items, { ...options, sheetName: tableName(options) }), encoding };
+  },
+
+  // Nested elements always become dotted columns; repeated elements are the rows
+  xml: async (file, options) => {
+    const { text, encoding } = await readTextFile(file.path, options.encoding);
+    let document;
+    try {
+      document = xmlParser.parse(text, true);
+    } catch (parseError) {
+      throw new ConversionError(`Invalid XML: ${parseError.message}`);
+    }
+    const items = findXmlRows(document).map(stripAttributePrefix);
+    if (items.length === 0) {
+      throw new ConversionError('XML contains no rows');
+    }
+    const tables = buildJsonSheets(items, { ...options, flatten: true, sheetName: tableName(options) });
+    return { tables: tables.map(table => applyColumnTypes(table, options)), encoding };
+  }
+};
+
+// Writers turn tables into a file buffer; single-table formats receive one table
+const writers = {
+  xlsx: async (tables, options) => buildExcelBuffer(tables.map(table => ({
+    name: table.name,
+    rows: [table.headers, ...table.rows],
+    numFmts: table.numFmts
+  })), { style: options.style }),
+
+  // Written as XLSX, then exported by LibreOffice
+  ods: async (tables, options) => {
+    const tempDir = process.env.TEMP_DIR || '/tmp/document-processing';
+    const filename = `${uuidv4()}.xlsx`;
+    const tempFile = { path: path.join(tempDir, filename), filename, originalname: filename };
+    await fs.writeFile(tempFile.path, await writers.xlsx(tables, options));
+    try {
+      return (await processOfficeConversion(tempFile, { format: 'ods' })).buffer;
+    } finally {
+      await fs.unlink(tempFile.path).catch(() => {});
+    }
+  },
+
+  csv: async ([table], options) => encodeText(tableToDelimited(table, options.delimiter || ','), options.outputEncoding),
+
+  tsv: async ([table], options) => encodeText(tableToDelimited(table, '\t'), options.outputEncoding),
+
+  // One table is an array of objects; several are keyed by table name
+  json: async (tables, options) => {
+    const data = tables.length === 1
+      ? tableToObjects(tables[0])
+      : Object.fromEntries(tables.map(table => [table.name, tableToObjects(table)]));
+    return encodeText(JSON.stringify(data, null, 2), options.outputEncoding);
+  },
+
+  ndjson: async ([table], options) => encodeText(
+    tableToObjects(table).map(item => `${JSON.stringify(item)}\n`).join(''),
+    options.outputEncoding
+  ),
+
+  xml: async ([table], options) => {
+    const names = table.headers.map(toXmlName);
+    const rows = table.rows.map(row => [
+      '  <row>',
+      ...row
+        .map((value, index) => (value === null ? null : `    <${names[index]}>${escapeXml(toText(value))}</${names[index]}>`))
+        .filter(Boolean),
+      '  </row>'
+    ].join('\n'));
+    const xml = [
+      `<?xml version="1.0" encoding="${getCharset(options.outputEncoding || 'utf-8').toUpperCase()}"?>`,
+      '<rows>',
+      ...rows,
+      '</rows>',
+      ''
+    ].join('\n');
+    return encodeText(xml, options.outputEncoding);
+  }
+};
+
+/**
+ * Resolve a table format name as used in route names (excel, ods, csv, tsv,
+ * json, ndjson, xml) or as an extension (xlsx, jsonl)
+ * @param {string} name - Format name
+ * @returns {string|null} - Table format id or null if unknown
+ */
+const resolveTableFormat = (name) => {
+  const normalized = String(name || '').trim().toLowerCase();
+  const aliases = { excel: 'xlsx', jsonl: 'ndjson' };
+  const format = aliases[normalized] || normalized;
+  return TABLE_FORMATS[format] ? format : null;
+};
+
+/**
+ * Read a file of one of the table formats into tables (see createTable)
+ * @param {Object} file - Multer file object
+ * @param {string} format - Table format id
+ * @param {Object} options - Options from parseTableOptions
+ * @returns {Promise<Object>} - { tables, encoding }
+ */
+const readTables = async (file, format, options = {}) => {
+  if (!readers[format]) {
+    throw new ValidationError(`Cannot read ${format} as a table`);
+  }
+
+  try {
+    return await readers[format](file, options);
+  } catch (error) {
+    if (error instanceof ConversionError || error instanceof ValidationError) {
+      throw error;
+    }
+    throw new ConversionError(`Failed to read ${format}: ${error.message}`);
+  }
+};
+
+/**
+ * Convert between tabular formats by reading the file into tables and
+ * writing them out again. Several tables (sheets=all, a sheet map or
+ * exploded arrays) written to a single-table format produce a ZIP. A
+ * transform (see parseTransformSpec) runs over each table before writing
+ * @param {Object} file - Multer file object
+ * @param {Object} options - Options from parseTableOptions plus from and to (table format ids)
+ * @returns {Promise<Object>} - Conversion result
+ */
+const processTableConversion = async (file, options = {}) => {
+  const { from, to } = options;
+  const target = TABLE_FORMATS[to];
+  if (!TABLE_FORMATS[from] || !target || from === to) {
+    throw new ValidationError(`Cannot convert ${from} to ${to}`);
+  }
+
+  const baseName = path.basename(file.filename, path.extname(file.filename));
+
+  try {
+    // Spreadsheets change format in LibreOffice, keeping cell types and
+    // styles, unless their rows are transformed on the way
+    if (!target.text && !TABLE_FORMATS[from].text && !options.transform) {
+      const result = await processOfficeConversion(file, { format: to });
+      return {
+        success: true,
+        filename: result.filename,
+        buffer: result.buffer,
+        mimeType: target.mimeType,
+        tables: [],
+        originalName: file.originalname
+      };
+    }
+
+    const { tables: sourceTables, encoding } = await readers[from](file, options);
+    const tables = sourceTables.map(table => applyTransform(table, options.transform));
+
+    let buffer;
+    let archive = false;
+    if (tables.length > 1 && !target.multiTable) {
+      const uniqueName = createUniqueNamer();
+      const entries = await Promise.all(tables.map(async table => ({
+        name: uniqueName(`${table.name.replace(/[\\/:*?"<>|]/g, '_')}.${target.extension}`),
+        buffer: await writers[to]([table], options)
+      })));
+      buffer = await createZipBuffer(entries);
+      archive = true;
+    } else {
+      buffer = await writers[to](tables, options);
+    }
+
+    return {
+      success: true,
+      filename: `${baseName}.${archive ? 'zip' : target.extension}`,
+      buffer,
+      mimeType: archive ? 'application/zip' : target.text ? `${target.mimeType}; charset=${getCharset(options.outputEncoding || 'utf-8')}` : target.mimeType,
+      archive,
+      tables: summarizeTables(tables),
+      encoding,
+      originalName: file.originalname
+    };
+  } catch (error) {
+    console.error(`${from} to ${to} conversion error:`, error);
+    if (error instanceof ConversionError || error instanceof ValidationError) {
+      throw error;
+    }
+    throw new ConversionError(`Failed to convert ${from} to ${to}: ${error.message}`);
+  }
+};
+
+/**
+ * Name of the table read from a text source: the sheetName option, which
+ * selects the sheet of a workbook source
+ * @param {Object} options - Table options
+ * @returns {string}
+ */
+const tableName = (options) => {
+  return options.sheetName || 'Sheet1';
+};
+
+/**
+ * Find the row elements of a parsed XML document: the first repeated child
+ * of the root, else its only child element, else the root itself
+ * @param {Object} document - Parsed XML
+ * @returns {Array<Object>} - Row elements
+ */
+const findXmlRows = (document) => {
+  const root = Object.values(document).find(isPlainObject);
+  if (!root) {
+    return [];
+  }
+
+  const children = Object.entries(root).filter(([name]) => !name.startsWith(ATTRIBUTE_PREFIX));
+  const repeated = children.find(([, value]) => Array.isArray(value));
+  if (repeated) {
+    return repeated[1].map(item => (isPlainObject(item) ? item : { value: item }));
+  }
+  if (children.length === 1 && isPlainObject(children[0][1])) {
+    return [children[0][1]];
+  }
+  return [root];
+};
+
+/**
+ * Drop the attribute prefix from the keys of a parsed XML element, moving
+ * attributes in front of child elements
+ * @param {*} value - Parsed element or value
+ * @returns {*}
+ */
+const stripAttributePrefix = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(stripAttributePrefix);
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+  const entries = Object.entries(value);
+  const isAttribute = ([key]) => key.startsWith(ATTRIBUTE_PREFIX);
+  return Object.fromEntries([
+    ...entries.filter(isAttribute).map(([key, child]) => [key.slice(ATTRIBUTE_PREFIX.length), child]),
+    ...entries.filter(entry => !isAttribute(entry)).map(([key, child]) => [key, stripAttributePrefix(child)])
+  ]);
+};
+
+/**
+ * Serialize a table as CSV or TSV with a header line
+ * @param {Object} table - Table
+ * @param {string} delimiter - Field delimiter
+ * @returns {string}
+ */
+const tableToDelimited = (table, delimiter) => rowsToCsv([table.headers, ...table.rows], delimiter);
+
+/**
+ * Text of a cell value
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const toText = (value) => {
+  return value instanceof Date ? value.toISOString() : String(value);
+};
+
+/**
+ * Turn a column name into a valid XML element name
+ * @param {string} name - Column name
+ * @returns {string}
+ */
+const toXmlName = (name) => {
+  const cleaned = name.replace(/[^\w.-]/g, '_');
+  return /^[A-Za-z_]/.test(cleaned) ? cleaned : `_${cleaned}`;
+};
+
+module.exports = {
+  TABLE_FORMATS,
+  parseTableOptions,
+  resolveTableFormat,
+  readTables,
+  processTableConversion
+};
@@ -0,0 +1,57 @@
+/**
+ * Create a table, the in-memory form shared by the tabular format readers
+ * and writers: { name, headers, rows } with rows of cell values (string,
+ * number, boolean, Date or null) in header order, plus an optional numFmts
+ * array of Excel number formats. Unnamed columns become column_N and every
+ * row is padded to the column count
+ * @param {string} name - Table (sheet) name
+ * @param {Array} headerRow - Header cells, or [] when the source has no header row
+ * @param {Array<Array>} rows - Data rows
+ * @returns {Object} - Table
+ */
+const createTable = (name, headerRow, rows) => {
+  const columnCount = rows.reduce((count, row) => Math.max(count, row.length), headerRow.length);
+  const headers = Array.from({ length: columnCount }, (unused, index) => {
+    const header = headerRow[index];
+    return header === undefined || header === null || header === '' ? `column_${index}` : String(header);
+  });
+
+  return {
+    name,
+    headers,
+    rows: rows.map(row => Array.from({ length: columnCount }, (unused, index) => {
+      const value = row[index];
+      return value === undefined || value === '' ? null : value;
+    }))
+  };
+};
+
+/**
+ * Rows of a table as objects keyed by header
+ * @param {Object} table - Table
+ * @returns {Array<Object>}
+ */
+const tableToObjects = table => table.rows.map((row) => {
+  const obj = {};
+  table.headers.forEach((header, index) => {
+    obj[header] = row[index];
+  });
+  return obj;
+});
+
+/**
+ * Size of each table, for response headers and job metadata
+ * @param {Array<Object>} tables - Tables
+ * @returns {Array<Object>} - [{ name, columns, rows }]
+ */
+const summarizeTables = tables => tables.map(table => ({
+  name: table.name,
+  columns: table.headers.length,
+  rows: table.rows.length
+}));
+
+module.exports = {
+  createTable,
+  tableToObjects,
+  summarizeTables
+};
@@ -0,0 +1,422 @@
+const Joi = require('joi');
+const { ValidationError } = require('../middleware/errorHandler');
+const { compileExpression, isTruthy, compareValues, toNumber } = require('./expressions');
+
+const AGGREGATE_FUNCTIONS = ['count', 'countDistinct', 'sum', 'avg', 'min', 'max', 'first', 'last'];
+
+// Aggregates whose result is a count rather than a value of the column
+const COUNT_FUNCTIONS = ['count', 'countDistinct'];
+
+// Steps that handle each row on its own, so rows can be transformed in batches
+const ROW_STEPS = ['select', 'rename', 'filter', 'derive'];
+
+const columnListSchema = Joi.array().items(Joi.string().min(1)).min(1);
+const expressionSchema = Joi.string().trim().min(1);
+
+const STEP_SCHEMAS = {
+  select: Joi.object({ columns: columnListSchema.required() }),
+  rename: Joi.object({
+    columns: Joi.object().pattern(Joi.string(), Joi.string().min(1)).min(1).required()
+  }),
+  filter: Joi.object({ where: expressionSchema.required() }),
+  sort: Joi.object({
+    by: Joi.array().items(
+      Joi.string().min(1),
+      Joi.object({
+        column: Joi.string().min(1).required(),
+        order: Joi.string().valid('asc', 'desc').default('asc')
+      })
+    ).min(1).required()
+  }),
+  dedupe: Joi.object({ columns: columnListSchema }),
+  derive: Joi.object({
+    column: Joi.string().min(1).required(),
+    expression: expressionSchema.required()
+  }),
+  groupBy: Joi.object({
+    columns: columnListSchema.required(),
+    aggregates: Joi.array().items(Joi.object({
+      fn: Joi.string().valid(...AGGREGATE_FUNCTIONS).required(),
+      column: Joi.when('fn', { is: 'count', then: Joi.string().min(1), otherwise: Joi.string().min(1).required() }),
+      as: Joi.string().min(1)
+    })).default([])
+  })
+};
+
+// Expression fields of each step, compiled up front to report syntax errors
+const EXPRESSION_FIELDS = { filter: 'where', derive: 'expression' };
+
+/**
+ * Validate a transform spec (form field / query parameter): a JSON array of
+ * steps applied in order to every table of a conversion, e.g.
+ * [{ "op": "filter", "where": "amount > 100" }, { "op": "sort", "by": ["name"] }]
+ * @param {string|Array} input - JSON text or parsed steps
+ * @returns {Array<Object>|null} - Validated steps, or null when there are none
+ */
+const parseTransformSpec = (input) => {
+  if (input === undefined || input === null || input === '') {
+    return null;
+  }
+
+  let steps = input;
+  if (typeof input === 'string') {
+    try {
+      steps = JSON.parse(input);
+    } catch (error) {
+      throw new ValidationError('Invalid transform. Must be valid JSON');
+    }
+  }
+  if (!Array.isArray(steps)) {
+    throw new ValidationError('Invalid transform. Must be a JSON array of steps');
+  }
+
+  const errors = [];
+  const parsed = steps.map((step, index) => {
+    const op = step && typeof step === 'object' ? step.op : undefined;
+    if (!Object.prototype.hasOwnProperty.call(STEP_SCHEMAS, op)) {
+      errors.push({
+        path: `${index}.op`,
+        message: `"op" must be one of [${Object.keys(STEP_SCHEMAS).join(', ')}]`
+      });
+      return null;
+    }
+
+    const { op: unused, ...fields } = step;
+    const { value, error } = STEP_SCHEMAS[op].validate(fields, { abortEarly: false });
+    if (error) {
+      errors.push(...error.details.map(detail => ({
+        path: [index, ...detail.path].join('.'),
+        message: detail.message
+      })));
+      return null;
+    }
+
+    const field = EXPRESSION_FIELDS[op];
+    if (field) {
+      try {
+        compileExpression(value[field]);
+      } catch (expressionError) {
+        errors.push({ path: `${index}.${field}`, message: expressionError.message });
+        return null;
+      }
+    }
+
+    return { op, ...value };
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid transform', { errors });
+  }
+
+  return parsed.length > 0 ? parsed : null;
+};
+
+/**
+ * Run transform steps over a table
+ * @param {Object} table - Table (see createTable)
+ * @param {Array<Object>|null} steps - Steps from parseTransformSpec
+ * @returns {Object} - Transformed table, numFmts following their columns
+ */
+const applyTransform = (table, steps) => {
+  if (!steps || steps.length === 0) {
+    return table;
+  }
+  return steps.reduce((current, step) => STEP_HANDLERS[step.op](current, step), table);
+};
+
+/**
+ * Keep the listed columns, in the listed order
+ * @param {Object} table - Table
+ * @param {Object} step - { columns }
+ * @returns {Object} - Table
+ */
+const selectColumns = (table, step) => {
+  const indexes = step.columns.map(column => getColumnIndex(table, column, 'select'));
+  return pickColumns(table, indexes);
+};
+
+/**
+ * Rename columns
+ * @param {Object} table - Table
+ * @param {Object} step - { columns: { old name: new name } }
+ * @returns {Object} - Table
+ */
+const renameColumns = (table, step) => {
+  Object.keys(step.columns).forEach(column => getColumnIndex(table, column, 'rename'));
+  const headers = table.headers.map(header => (
+    Object.prototype.hasOwnProperty.call(step.columns, header) ? step.columns[header] : header
+  ));
+
+  const duplicate = headers.find((header, index) => headers.indexOf(header) !== index);
+  if (duplicate !== undefined) {
+    throw new ValidationError(`Duplicate column "${duplicate}" in rename`);
+  }
+
+  return { ...table, headers };
+};
+
+/**
+ * Keep the rows for which an expression is true
+ * @param {Object} table - Table
+ * @param {Object} step - { where }
+ * @returns {Object} - Table
+ */
+const filterRows = (table, step) => {
+  const evaluate = compileForTable(table, step.where, 'filter');
+  return { ...table, rows: table.rows.filter(row => isTruthy(evaluate(row))) };
+};
+
+/**
+ * Sort rows by one or more columns; equal rows keep their order and empty
+ * values sort last in either direction
+ * @param {Object} table - Table
+ * @param {Object} step - { by: [column | { column, order }] }
+ * @returns {Object} - Table
+ */
+const sortRows = (table, step) => {
+  const keys = step.by.map((key) => {
+    const { column, order = 'asc' } = typeof key === 'string' ? { column: key } : key;
+    return { index: getColumnIndex(table, column, 'sort'), direction: order === 'desc' ? -1 : 1 };
+  });
+
+  const rows = [...table.rows].sort((a, b) => {
+    for (const { index, direction } of keys) {
+      const result = compareValues(a[index], b[index]);
+      if (result !== 0) {
+        return isEmptyValue(a[index]) || isEmptyValue(b[index]) ? result : result * direction;
+      }
+    }
+    return 0;
+  });
+
+  return { ...table, rows };
+};
+
+/**
+ * Drop repeated rows, keeping the first. Rows repeat when the listed columns
+ * (default: all) hold the same values
+ * @param {Object} table - Table
+ * @param {Object} step - { columns }
+ * @returns {Object} - Table
+ */
+const dedupeRows = (table, step) => {
+  const indexes = step.columns
+    ? step.columns.map(column => getColumnIndex(table, column, 'dedupe'))
+    : table.headers.map((header, index) => index);
+
+  const seen = new Set();
+  const rows = table.rows.filter((row) => {
+    const key = rowKey(row, indexes);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  return { ...table, rows };
+};
+
+/**
+ * Compute a column from an expression, replacing a column of the same name
+ * or adding it at the end
+ * @param {Object} table - Table
+ * @param {Object} step - { column, expression }
+ * @returns {Object} - Table
+ */
+const deriveColumn = (table, step) => {
+  const evaluate = compileForTable(table, step.expression, 'derive');
+  const values = table.rows.map(evaluate);
+  const index = table.headers.indexOf(step.column);
+
+  if (index === -1) {
+    return {
+      ...table,
+      headers: [...table.headers, step.column],
+      rows: table.rows.map((row, rowIndex) => [...row, values[rowIndex]]),
+      ...(table.numFmts && { numFmts: [...table.numFmts, null] })
+    };
+  }
+
+  return {
+    ...table,
+    rows: table.rows.map((row, rowIndex) => row.map((value, column) => (column === index ? values[rowIndex] : value))),
+    ...(table.numFmts && { numFmts: table.numFmts.map((numFmt, column) => (column === index ? null : numFmt)) })
+  };
+};
+
+/**
+ * Collapse rows with the same values in the group columns into one row of
+ * those values and the aggregates, groups in order of first appearance
+ * @param {Object} table - Table
+ * @param {Object} step - { columns, aggregates: [{ fn, column, as }] }
+ * @returns {Object} - Table
+ */
+const groupRows = (table, step) => {
+  const keyIndexes = step.columns.map(column => getColumnIndex(table, column, 'groupBy'));
+  const aggregates = step.aggregates.map(({ fn, column, as }) => ({
+    fn,
+    index: column === undefined ? -1 : getColumnIndex(table, column, 'groupBy'),
+    name: as || (column === undefined ? fn : `${fn}_${column}`)
+  }));
+
+  const groups = new Map();
+  table.rows.forEach((row) => {
+    const key = rowKey(row, keyIndexes);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(row);
+  });
+
+  const headers = [...step.columns, ...aggregates.map(aggregate => aggregate.name)];
+  const duplicate = headers.find((header, index) => headers.indexOf(header) !== index);
+  if (duplicate !== undefined) {
+    throw new ValidationError(`Duplicate column "${duplicate}" in groupBy`);
+  }
+
+  const rows = Array.from(groups.values(), groupedRows => [
+    ...keyIndexes.map(index => groupedRows[0][index]),
+    ...aggregates.map(aggregate => aggregateValues(aggregate, groupedRows))
+  ]);
+
+  return {
+    ...table,
+    headers,
+    rows,
+    ...(table.numFmts && {
+      numFmts: [
+        ...keyIndexes.map(index => table.numFmts[index]),
+        ...aggregates.map(({ fn, index }) => (COUNT_FUNCTIONS.includes(fn) || index === -1 ? null : table.numFmts[index]))
+      ]
+    })
+  };
+};
+
+/**
+ * Compute one aggregate over the rows of a group. Empty cells are skipped;
+ * sum and avg only count numeric values
+ * @param {Object} aggregate - { fn, index }
+ * @param {Array<Array>} rows - Rows of the group
+ * @returns {*}
+ */
+const aggregateValues = ({ fn, index }, rows) => {
+  if (index === -1) {
+    return rows.length;
+  }
+
+  const values = rows.map(row => row[index]).filter(value => !isEmptyValue(value));
+  switch (fn) {
+    case 'count':
+      return values.length;
+    case 'countDistinct':
+      return new Set(values.map(value => rowKey([value], [0]))).size;
+    case 'sum':
+    case 'avg': {
+      // Booleans are not amounts, though expressions read them as 1 and 0
+      const numbers = values
+        .filter(value => typeof value !== 'boolean')
+        .map(toNumber)
+        .filter(number => number !== null);
+      const sum = numbers.reduce((total, number) => total + number, 0);
+      if (fn === 'sum') return sum;
+      return numbers.length > 0 ? sum / numbers.length : null;
+    }
+    case 'min':
+    case 'max': {
+      if (values.length === 0) return null;
+      const direction = fn === 'min' ? 1 : -1;
+      return values.reduce((best, value) => (compareValues(value, best) * direction < 0 ? value : best));
+    }
+    case 'first':
+      return values.length > 0 ? values[0] : null;
+    default:
+      return values.length > 0 ? values[values.length - 1] : null;
+  }
+};
+
+/**
+ * Compile an expression against the columns of a table
+ * @param {Object} table - Table
+ * @param {string} text - Expression
+ * @param {string} op - Step name, for errors
+ * @returns {Function} - (row) => value
+ */
+const compileForTable = (table, text, op) => {
+  const expression = compileExpression(text);
+  const indexes = {};
+  expression.columns.forEach((column) => {
+    indexes[column] = getColumnIndex(table, column, op);
+  });
+  return row => expression.evaluate(column => row[indexes[column]]);
+};
+
+/**
+ * Index of a column, failing on unknown names
+ * @param {Object} table - Table
+ * @param {string} column - Column name
+ * @param {string} op - Step name, for errors
+ * @returns {number}
+ */
+const getColumnIndex = (table, column, op) => {
+  const index = table.headers.indexOf(column);
+  if (index === -1) {
+    throw new ValidationError(`Unknown column "${column}" in ${op}`, { columns: table.headers });
+  }
+  return index;
+};
+
+/**
+ * Table with the columns at the given indexes
+ * @param {Object} table - Table
+ * @param {Array<number>} indexes - Column indexes
+ * @returns {Object} - Table
+ */
+const pickColumns = (table, indexes) => {
+  return {
+    ...table,
+    headers: indexes.map(index => table.headers[index]),
+    rows: table.rows.map(row => indexes.map(index => row[index])),
+    ...(table.numFmts && { numFmts: indexes.map(index => table.numFmts[index]) })
+  };
+};
+
+/**
+ * Key identifying the values of some columns of a row
+ * @param {Array} row - Row
+ * @param {Array<number>} indexes - Column indexes
+ * @returns {string}
+ */
+const rowKey = (row, indexes) => {
+  return JSON.stringify(indexes.map((index) => {
+    const value = row[index];
+    return value instanceof Date ? value.toISOString() : (isEmptyValue(value) ? null : value);
+  }));
+};
+
+/**
+ * Whether a cell is empty
+ * @param {*} value - Cell value
+ * @returns {boolean}
+ */
+const isEmptyValue = (value) => {
+  return value === null || value === undefined || value === '';
+};
+
+// Step implementations by op (declared after them: const functions are not hoisted)
+const STEP_HANDLERS = {
+  select: selectColumns,
+  rename: renameColumns,
+  filter: filterRows,
+  sort: sortRows,
+  dedupe: dedupeRows,
+  derive: deriveColumn,
+  groupBy: groupRows
+};
+
+module.exports = {
+  AGGREGATE_FUNCTIONS,
+  ROW_STEPS,
+  parseTransformSpec,
+  applyTransform
+};
@@ -0,0 +1,448 @@
+const Joi = require('joi');
+const { ValidationError } = require('../middleware/errorHandler');
+const { inferColumnTypes, convertValue } = require('./columnTypes');
+const { detectFormat } = require('./formatDetector');
+const { TABLE_FORMATS, readTables, resolveTableFormat } = require('./tableFormats');
+const { MAX_INPUT_LENGTH, checkPattern, compilePattern } = require('../utils/regex');
+
+const RULE_TYPES = ['string', 'integer', 'number', 'boolean', 'date'];
+
+// Column types (see columnTypes.js) used to read the cells of typed rules
+const PARSE_TYPES = { integer: 'integer', number: 'decimal', boolean: 'boolean', date: 'date' };
+
+// Inferred types whose values have an order worth reporting as min/max
+const ORDERED_TYPES = ['integer', 'decimal', 'percent', 'currency', 'date'];
+
+const DEFAULT_MAX_ERRORS = 1000;
+
+// Rows used to infer the column types of the profile
+const PROFILE_SAMPLE_ROWS = 1000;
+
+// min/max bound the value of numbers and dates, and the length of text
+const boundSchema = Joi.when('type', {
+  is: 'date',
+  then: Joi.date().iso(),
+  otherwise: Joi.when('type', {
+    is: Joi.string().valid('integer', 'number').required(),
+    then: Joi.number(),
+    otherwise: Joi.number().integer().min(0)
+  })
+});
+
+const ruleSchema = Joi.object({
+  required: Joi.boolean(),
+  type: Joi.string().valid(...RULE_TYPES),
+  regex: Joi.when('type', {
+    is: Joi.string().valid('integer', 'number', 'boolean', 'date').required(),
+    then: Joi.forbidden(),
+    // Also covers JSON Schema patterns, which arrive here as regex rules
+    otherwise: Joi.string().custom((value, helpers) => {
+      const problem = checkPattern(value);
+      return problem ? helpers.message(`{{#label}} ${problem}`) : value;
+    }, 'regular expression')
+  }),
+  min: Joi.when('type', { is: 'boolean', then: Joi.forbidden(), otherwise: boundSchema }),
+  max: Joi.when('type', { is: 'boolean', then: Joi.forbidden(), otherwise: boundSchema }),
+  unique: Joi.boolean(),
+  enum: Joi.array().items(Joi.string(), Joi.number(), Joi.boolean()).min(1)
+});
+
+const rulesSchema = Joi.object().pattern(Joi.string(), ruleSchema);
+
+/**
+ * Validate raw validation options (form fields / query parameters): column
+ * rules, a JSON Schema translated to column rules, or both (rules win)
+ * @param {Object} input - Raw request values
+ * @returns {Object} - { columns, additionalColumns, maxErrors }
+ */
+const parseValidationOptions = (input = {}) => {
+  const schema = parseJson(input.schema, 'schema');
+  const rules = parseJson(input.rules, 'rules');
+
+  const fromSchema = schema ? fromJsonSchema(schema) : { columns: {}, additionalColumns: true };
+  if (rules !== null && (typeof rules !== 'object' || Array.isArray(rules))) {
+    throw new ValidationError('Invalid rules. Must be a JSON object of column rules');
+  }
+
+  // Rules refine the columns described by the schema
+  const merged = { ...fromSchema.columns };
+  Object.entries(rules || {}).forEach(([column, rule]) => {
+    merged[column] = { ...merged[column], ...rule };
+  });
+
+  const { value: columns, error } = rulesSchema.validate(merged, { abortEarly: false });
+  if (error) {
+    throw new ValidationError('Invalid rules', {
+      errors: error.details.map(detail => ({ path: detail.path.join('.'), message: detail.message }))
+    });
+  }
+
+  let maxErrors = DEFAULT_MAX_ERRORS;
+  if (input.maxErrors !== undefined && input.maxErrors !== '') {
+    maxErrors = parseInt(input.maxErrors);
+    if (isNaN(maxErrors) || maxErrors < 1 || String(maxErrors) !== String(input.maxErrors).trim()) {
+      throw new ValidationError('Invalid maxErrors. Must be a number of 1 or more');
+    }
+  }
+
+  return { columns, additionalColumns: fromSchema.additionalColumns, maxErrors };
+};
+
+/**
+ * Check every row of a table against column rules
+ * @param {Object} table - Table (see createTable)
+ * @param {Object} validation - Options from parseValidationOptions
+ * @param {Object} options - Cell parsing options
+ * @param {string} options.decimalSeparator - Decimal separator of numbers in text cells (default: .)
+ * @param {string} options.dateOrder - Day/month order of local dates in text cells (default: DMY)
+ * @returns {Object} - { valid, errorCount, invalidRowCount, columnErrors, errors, truncated }
+ */
+const validateTable = (table, validation, options = {}) => {
+  const { columns = {}, additionalColumns = true, maxErrors = DEFAULT_MAX_ERRORS } = validation;
+  const columnErrors = [];
+
+  Object.entries(columns).forEach(([name, rule]) => {
+    if (rule.required && !table.headers.includes(name)) {
+      columnErrors.push({ column: name, rule: 'column.missing', message: `Column "${name}" is missing` });
+    }
+  });
+  if (!additionalColumns) {
+    table.headers.filter(name => !columns[name]).forEach((name) => {
+      columnErrors.push({ column: name, rule: 'column.unexpected', message: `Column "${name}" is not allowed` });
+    });
+  }
+
+  const checks = Object.entries(columns)
+    .map(([name, rule]) => ({
+      name,
+      rule,
+      index: table.headers.indexOf(name),
+      schema: buildCellSchema(name, rule),
+      // First data row of each value, for unique columns
+      seen: rule.unique ? new Map() : null
+    }))
+    .filter(check => check.index !== -1);
+
+  const errors = [];
+  let errorCount = 0;
+  let reportedCount = 0;
+  let invalidRowCount = 0;
+
+  table.rows.forEach((row, rowIndex) => {
+    const cells = [];
+    checks.forEach((check) => {
+      const error = checkCell(row[check.index], check, rowIndex + 1, options);
+      if (error) {
+        cells.push({ column: check.name, value: row[check.index], ...error });
+      }
+    });
+    if (cells.length === 0) return;
+
+    invalidRowCount++;
+    errorCount += cells.length;
+    if (reportedCount < maxErrors) {
+      const reported = cells.slice(0, maxErrors - reportedCount);
+      errors.push({ row: rowIndex + 1, cells: reported });
+      reportedCount += reported.length;
+    }
+  });
+
+  return {
+    valid: columnErrors.length === 0 && errorCount === 0,
+    errorCount,
+    invalidRowCount,
+    columnErrors,
+    errors,
+    truncated: errorCount > reportedCount
+  };
+};
+
+/**
+ * Profile the columns of a table: inferred type, empty and distinct value
+ * counts, and the smallest and largest value (length for text)
+ * @param {Object} table - Table (see createTable)
+ * @param {Object} options - { decimalSeparator, dateOrder } to read text cells
+ * @returns {Array<Object>} - Per column { column, type, nullCount, distinctCount, min, max } or minLength/maxLength
+ */
+const profileTable = (table, options = {}) => {
+  const sample = table.rows.slice(0, PROFILE_SAMPLE_ROWS).map(row => row.map(value => (value === null ? '' : toText(value))));
+  const types = inferColumnTypes(sample, {
+    headers: table.headers,
+    decimalSeparator: options.decimalSeparator,
+    dateOrder: options.dateOrder
+  });
+
+  return table.headers.map((name, index) => {
+    const column = types[index];
+    const ordered = ORDERED_TYPES.includes(column.type);
+    const distinct = new Set();
+    let nullCount = 0;
+    let min = null;
+    let max = null;
+
+    table.rows.forEach((row) => {
+      const value = row[index];
+      if (isEmpty(value)) {
+        nullCount++;
+        return;
+      }
+      distinct.add(toText(value));
+
+      let measure = null;
+      if (ordered && typeof value === 'number') {
+        measure = value;
+      } else if (ordered) {
+        const typed = convertValue(toText(value), column);
+        measure = typed instanceof Date ? typed.getTime() : typed;
+      } else if (column.type === 'string') {
+        measure = toText(value).length;
+      }
+      if (typeof measure !== 'number' || isNaN(measure)) return;
+      min = min === null || measure < min ? measure : min;
+      max = max === null || measure > max ? measure : max;
+    });
+
+    const profile = { column: name, type: column.type, nullCount, distinctCount: distinct.size };
+    if (column.type === 'date') {
+      return { ...profile, min: toIsoDate(min), max: toIsoDate(max) };
+    }
+    if (ordered) {
+      return { ...profile, min, max };
+    }
+    if (column.type === 'string') {
+      return { ...profile, minLength: min, maxLength: max };
+    }
+    return profile;
+  });
+};
+
+/**
+ * Validate a CSV, Excel, JSON (or other tabular) upload and profile its columns
+ * @param {Object} file - Multer file object
+ * @param {Object} options - Options from parseTableOptions plus parseValidationOptions
+ * @returns {Promise<Object>} - Validation report
+ */
+const processTabularValidation = async (file, options = {}) => {
+  const detected = await detectFormat(file.path, file.originalname);
+  const format = resolveTableFormat(detected);
+  if (!format) {
+    throw new ValidationError(`Unsupported file format: ${detected}`, {
+      supported: Object.keys(TABLE_FORMATS)
+    });
+  }
+
+  // Cells are checked as written, so text sources are read untyped
+  const { tables, encoding } = await readTables(file, format, { ...options, inferTypes: false, schema: null });
+  if (tables.length !== 1) {
+    throw new ValidationError(`Validation takes a single table; the file holds ${tables.length}`, {
+      tables: tables.map(table => table.name)
+    });
+  }
+
+  const [table] = tables;
+  const report = validateTable(table, options, options);
+
+  return {
+    success: true,
+    format,
+    encoding,
+    table: table.name,
+    rowCount: table.rows.length,
+    columnCount: table.headers.length,
+    ...report,
+    profile: profileTable(table, options),
+    originalName: file.originalname
+  };
+};
+
+/**
+ * Parse an optional JSON option (JSON text in form fields)
+ * @param {string|Object} input - Raw value
+ * @param {string} name - Option name for error messages
+ * @returns {*} - Parsed value, or null when not given
+ */
+const parseJson = (input, name) => {
+  if (input === undefined || input === null || input === '') {
+    return null;
+  }
+  if (typeof input !== 'string') {
+    return input;
+  }
+  try {
+    return JSON.parse(input);
+  } catch (error) {
+    throw new ValidationError(`Invalid ${name}. Must be valid JSON`);
+  }
+};
+
+/**
+ * Translate the column keywords of a JSON Schema (an object schema, or an
+ * array schema of objects) to column rules
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} - { columns, additionalColumns }
+ */
+const fromJsonSchema = (schema) => {
+  const rowSchema = schema && schema.type === 'array' && schema.items ? schema.items : schema;
+  if (!rowSchema || typeof rowSchema.properties !== 'object' || rowSchema.properties === null) {
+    throw new ValidationError('Invalid schema. Must be a JSON Schema with properties for the columns');
+  }
+
+  const required = Array.isArray(rowSchema.required) ? rowSchema.required : [];
+  const columns = {};
+
+  Object.entries(rowSchema.properties).forEach(([name, property]) => {
+    const types = [].concat((property && property.type) || []);
+    const type = types.find(item => item !== 'null');
+    const rule = {};
+
+    // A required property that does not allow null must not be empty
+    if (required.includes(name) && !types.includes('null')) {
+      rule.required = true;
+    }
+    if (type === 'string' && ['date', 'date-time'].includes(property.format)) {
+      rule.type = 'date';
+    } else if (RULE_TYPES.includes(type)) {
+      rule.type = type;
+    }
+
+    if (property.pattern !== undefined) rule.regex = property.pattern;
+    if (rule.type === 'date') {
+      if (property.formatMinimum !== undefined) rule.min = property.formatMinimum;
+      if (property.formatMaximum !== undefined) rule.max = property.formatMaximum;
+    } else if (rule.type === 'integer' || rule.type === 'number') {
+      if (property.minimum !== undefined) rule.min = property.minimum;
+      if (property.maximum !== undefined) rule.max = property.maximum;
+    } else {
+      if (property.minLength !== undefined) rule.min = property.minLength;
+      if (property.maxLength !== undefined) rule.max = property.maxLength;
+    }
+
+    const allowed = property.const !== undefined ? [property.const] : property.enum;
+    if (Array.isArray(allowed)) {
+      rule.enum = allowed.filter(value => value !== null);
+    }
+
+    columns[name] = rule;
+  });
+
+  return { columns, additionalColumns: rowSchema.additionalProperties !== false };
+};
+
+/**
+ * Build the Joi schema a cell value of a column must match
+ * @param {string} name - Column name
+ * @param {Object} rule - Validated column rule
+ * @returns {Object} - Joi schema
+ */
+const buildCellSchema = (name, rule) => {
+  let schema;
+  switch (rule.type) {
+    case 'integer':
+      schema = Joi.number().integer();
+      break;
+    case 'number':
+      schema = Joi.number();
+      break;
+    case 'boolean':
+      schema = Joi.boolean();
+      break;
+    case 'date':
+      schema = Joi.date();
+      break;
+    default:
+      schema = Joi.string();
+  }
+
+  if (rule.min !== undefined) schema = schema.min(rule.min);
+  if (rule.max !== undefined) schema = schema.max(rule.max);
+  if (rule.regex !== undefined) schema = schema.pattern(compilePattern(rule.regex));
+  if (rule.enum) schema = schema.valid(...rule.enum);
+
+  return schema.label(name);
+};
+
+/**
+ * Check one cell against its column rule
+ * @param {*} value - Cell value
+ * @param {Object} check - { name, rule, schema, seen }
+ * @param {number} rowNumber - Data row number
+ * @param {Object} options - { decimalSeparator, dateOrder }
+ * @returns {Object|null} - { rule, message }, or null when the cell is valid
+ */
+const checkCell = (value, check, rowNumber, options) => {
+  const { name, rule, schema, seen } = check;
+
+  if (isEmpty(value)) {
+    return rule.required ? { rule: 'required', message: `"${name}" is required` } : null;
+  }
+
+  let typed;
+  if (!rule.type || rule.type === 'string') {
+    typed = toText(value);
+  } else if (typeof value === 'number' || typeof value === 'boolean') {
+    // Excel and JSON numbers and booleans are typed already
+    typed = value;
+  } else {
+    // Text that does not parse stays text and fails the type check
+    typed = convertValue(toText(value), {
+      type: PARSE_TYPES[rule.type],
+      decimalSeparator: options.decimalSeparator || '.',
+      dateOrder: options.dateOrder || 'DMY',
+      fromSchema: true
+    });
+  }
+
+  if (rule.regex !== undefined && typed.length > MAX_INPUT_LENGTH) {
+    return { rule: 'regex', message: `"${name}" is longer than ${MAX_INPUT_LENGTH} characters and cannot be matched against the regex` };
+  }
+
+  const { error } = schema.validate(typed, { convert: false });
+  if (error) {
+    return { rule: error.details[0].type, message: error.details[0].message };
+  }
+
+  if (seen) {
+    const key = typed instanceof Date ? typed.toISOString() : `${typeof typed}:${typed}`;
+    if (seen.has(key)) {
+      return { rule: 'unique', message: `"${name}" duplicates row ${seen.get(key)}` };
+    }
+    seen.set(key, rowNumber);
+  }
+
+  return null;
+};
+
+/**
+ * Whether a cell is empty (no value or only whitespace)
+ * @param {*} value - Cell value
+ * @returns {boolean}
+ */
+const isEmpty = (value) => {
+  return value === null || value === undefined || (typeof value === 'string' && !value.trim());
+};
+
+/**
+ * Text of a cell value
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const toText = (value) => {
+  return value instanceof Date ? value.toISOString() : String(value);
+};
+
+/**
+ * ISO form of a timestamp, or null
+ * @param {number|null} time - Milliseconds since the epoch
+ * @returns {string|null}
+ */
+const toIsoDate = (time) => {
+  return time === null ? null : new Date(time).toISOString();
+};
+
+module.exports = {
+  RULE_TYPES,
+  parseValidationOptions,
+  validateTable,
+  profileTable,
+  processTabularValidation
+};
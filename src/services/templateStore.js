@@ -0,0 +1,195 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { ValidationError, TemplateNotFoundError } = require('../middleware/errorHandler');
+const { PREPROCESS_STEPS } = require('./imagePreprocessor');
+const { checkPattern } = require('../utils/regex');
+
+const FIELD_TYPES = ['text', 'number', 'integer', 'currency', 'date', 'email'];
+
+const templateDirectory = () => process.env.OCR_TEMPLATE_DIR || path.join(process.cwd(), 'data', 'ocr-templates');
+
+const fieldSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  page: Joi.number().integer().min(1).default(1),
+  rectangle: Joi.object({
+    left: Joi.number().integer().min(0).required(),
+    top: Joi.number().integer().min(0).required(),
+    width: Joi.number().integer().min(1).required(),
+    height: Joi.number().integer().min(1).required()
+  }).required(),
+  type: Joi.string().valid(...FIELD_TYPES).default('text'),
+  // Reject patterns that would only fail (or hang) at extraction time
+  pattern: Joi.string().custom((value, helpers) => {
+    const problem = checkPattern(value);
+    return problem ? helpers.message(`{{#label}} ${problem}`) : value;
+  }, 'regular expression'),
+  dateOrder: Joi.string().valid('DMY', 'MDY').default('DMY'),
+  required: Joi.boolean().default(false)
+});
+
+const templateSchema = Joi.object({
+  name: Joi.string().trim().max(200).required(),
+  description: Joi.string().allow('').max(2000),
+  language: Joi.string().pattern(/^[a-z]{3}(_[a-z]+)?(\+[a-z]{3}(_[a-z]+)?)*$/i),
+  // Size of the page the rectangles were drawn on; uploads of another size are scaled
+  pageWidth: Joi.number().integer().min(1),
+  pageHeight: Joi.number().integer().min(1),
+  preprocess: Joi.array().items(Joi.string().valid(...PREPROCESS_STEPS)).unique(),
+  fields: Joi.array().items(fieldSchema).min(1).unique('name').required()
+}).and('pageWidth', 'pageHeight');
+
+/**
+ * Validate a template definition
+ * @param {Object} input - Template definition
+ * @returns {Object} - Normalized template (defaults applied)
+ */
+const validateTemplate = (input) => {
+  const { value, error } = templateSchema.validate(input, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    throw new ValidationError('Invalid template', {
+      errors: error.details.map(detail => ({ path: detail.path.join('.'), message: detail.message }))
+    });
+  }
+  return value;
+};
+
+/**
+ * Path of a template file (ids are generated UUIDs, anything else is unknown)
+ * @param {string} id - Template id
+ * @returns {string}
+ */
+const templatePath = (id) => {
+  if (!/^[0-9a-f-]{36}$/i.test(id)) {
+    throw new TemplateNotFoundError(`Template ${id} not found`);
+  }
+  return path.join(templateDirectory(), `${id}.json`);
+};
+
+/**
+ * Write a template atomically so readers never see a partial file
+ * @param {Object} template - Template
+ * @returns {Promise<Object>} - The template
+ */
+const writeTemplate = async (template) => {
+  const filePath = templatePath(template.id);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(`${filePath}.tmp`, JSON.stringify(template, null, 2));
+  await fs.rename(`${filePath}.tmp`, filePath);
+  return template;
+};
+
+/**
+ * Get a template by id
+ * Templates belong to the tenant that created them; those of other tenants
+ * are reported as not found. Templates saved before they had an owner belong
+ * to the 'default' tenant.
+ * @param {string} id - Template id
+ * @param {string} tenant - Tenant asking for the template
+ * @returns {Promise<Object>}
+ */
+const getTemplate = async (id, tenant) => {
+  let template;
+  try {
+    template = JSON.parse(await fs.readFile(templatePath(id), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new TemplateNotFoundError(`Template ${id} not found`);
+    }
+    throw error;
+  }
+
+  if ((template.tenant || 'default') !== tenant) {
+    throw new TemplateNotFoundError(`Template ${id} not found`);
+  }
+  return template;
+};
+
+/**
+ * List the templates of a tenant
+ * @param {string} tenant - Tenant
+ * @returns {Promise<Array<Object>>} - Templates, newest first
+ */
+const listTemplates = async (tenant) => {
+  let names;
+  try {
+    names = await fs.readdir(templateDirectory());
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const templates = await Promise.all(names
+    .filter(name => name.endsWith('.json'))
+    .map(name => getTemplate(path.basename(name, '.json'), tenant).catch(() => null)));
+
+  return templates
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Create a template
+ * @param {Object} input - Template definition
+ * @param {string} tenant - Tenant that owns the template
+ * @returns {Promise<Object>} - Stored template
+ */
+const createTemplate = async (input, tenant) => {
+  const now = new Date().toISOString();
+  return writeTemplate({
+    id: uuidv4(),
+    tenant: tenant,
+    ...validateTemplate(input),
+    createdAt: now,
+    updatedAt: now
+  });
+};
+
+/**
+ * Replace a template's definition
+ * @param {string} id - Template id
+ * @param {Object} input - Template definition
+ * @param {string} tenant - Tenant that owns the template
+ * @returns {Promise<Object>} - Stored template
+ */
+const updateTemplate = async (id, input, tenant) => {
+  const existing = await getTemplate(id, tenant);
+  return writeTemplate({
+    id: existing.id,
+    tenant: tenant,
+    ...validateTemplate(input),
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Delete a template
+ * @param {string} id - Template id
+ * @param {string} tenant - Tenant that owns the template
+ * @returns {Promise<void>}
+ */
+const deleteTemplate = async (id, tenant) => {
+  await getTemplate(id, tenant);
+  try {
+    await fs.unlink(templatePath(id));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new TemplateNotFoundError(`Template ${id} not found`);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  FIELD_TYPES,
+  validateTemplate,
+  getTemplate,
+  listTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+};
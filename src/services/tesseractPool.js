@@ -0,0 +1,250 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createWorker, createScheduler, OEM } = require('tesseract.js');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const WORKERS_PER_LANGUAGE = parseInt(process.env.OCR_WORKERS_PER_LANGUAGE) || 2;
+const MAX_LANGUAGE_POOLS = parseInt(process.env.OCR_MAX_LANGUAGE_POOLS) || 4;
+const IDLE_TIMEOUT = parseInt(process.env.OCR_IDLE_TIMEOUT) || 5 * 60 * 1000;
+const TESSDATA_PATH = process.env.TESSDATA_PATH;
+const CACHE_PATH = process.env.OCR_CACHE_PATH || path.join(os.tmpdir(), 'document-processing-tessdata');
+
+// Tesseract language codes: eng, chi_sim, deu_latf, ...
+const LANGUAGE_CODE = /^[a-z]{3}(_[a-z]+)?$/i;
+
+// One scheduler per language combination (eng, eng+deu, ...); workers are
+// initialized for a fixed set of languages, so pools are never shared
+const pools = new Map();
+
+const stats = {
+  created: 0,
+  evicted: 0,
+  completed: 0,
+  failed: 0
+};
+
+/**
+ * Normalize a language parameter (eng+deu, "eng, deu") to a pool key
+ * @param {string} language - Requested language(s)
+ * @returns {string} - Languages joined with '+', in request order
+ */
+const normalizeLanguages = (language = 'eng') => {
+  const languages = [...new Set(String(language).split(/[+,]/).map(code => code.trim()).filter(Boolean))];
+
+  if (languages.length === 0 || !languages.every(code => LANGUAGE_CODE.test(code))) {
+    throw new ValidationError(`Invalid OCR language: ${language}`);
+  }
+
+  return languages.join('+');
+};
+
+/**
+ * Build worker options, reading traineddata from TESSDATA_PATH when set so
+ * the service runs offline. Plain .traineddata files (as installed by the
+ * tesseract-ocr-* packages) win over .traineddata.gz. Tesseract.js takes one
+ * gzip flag for all of a worker's languages, so they must share a format.
+ * @param {string} key - Pool key
+ * @returns {Promise<Object>} - createWorker options
+ */
+const getWorkerOptions = async (key) => {
+  if (!TESSDATA_PATH) {
+    return { cachePath: CACHE_PATH };
+  }
+
+  const exists = file => fs.access(path.join(TESSDATA_PATH, file)).then(() => true, () => false);
+  const installed = [];
+
+  for (const language of key.split('+')) {
+    const plain = await exists(`${language}.traineddata`);
+    const gzip = await exists(`${language}.traineddata.gz`);
+    if (!plain && !gzip) {
+      throw new ValidationError(`OCR language not installed: ${language}`);
+    }
+    installed.push({ language, plain, gzip });
+  }
+
+  if (installed.every(item => item.plain)) {
+    return { cachePath: CACHE_PATH, langPath: TESSDATA_PATH, gzip: false, cacheMethod: 'none' };
+  }
+  if (installed.every(item => item.gzip)) {
+    return { cachePath: CACHE_PATH, langPath: TESSDATA_PATH, gzip: true, cacheMethod: 'none' };
+  }
+
+  // Mixed: the first language decides, the first one lacking its format cannot be loaded
+  const [first] = installed;
+  const firstFile = `${first.language}.traineddata${first.plain ? '' : '.gz'}`;
+  const other = installed.find(item => (first.plain ? !item.plain : !item.gzip));
+  const otherFile = `${other.language}.traineddata${first.plain ? '.gz' : ''}`;
+  throw new ValidationError(
+    `OCR language ${other.language} cannot be loaded with ${first.language}: ${otherFile} and ${firstFile} differ in compression; install them in the same format`,
+    { language: other.language }
+  );
+};
+
+/**
+ * Start another worker for a pool
+ * @param {Object} pool - Language pool
+ * @returns {Promise<void>}
+ */
+const addWorker = async (pool) => {
+  pool.size++;
+  try {
+    const options = await getWorkerOptions(pool.key);
+
+    // createWorker never settles when loading traineddata fails; the failure
+    // only reaches errorHandler, so reject from there
+    const worker = await new Promise((resolve, reject) => {
+      createWorker(pool.key.split('+'), OEM.LSTM_ONLY, {
+        ...options,
+        errorHandler: (error) => {
+          console.error(`OCR worker error (${pool.key}):`, error);
+          reject(error instanceof Error ? error : new Error(String(error)));
+        }
+      }).then(resolve, reject);
+    });
+
+    if (pool.evicted) {
+      await worker.terminate();
+      return;
+    }
+    pool.scheduler.addWorker(worker);
+    console.log(`OCR worker started for ${pool.key} (${pool.scheduler.getNumWorkers()}/${WORKERS_PER_LANGUAGE})`);
+  } catch (error) {
+    pool.size--;
+    throw error;
+  }
+};
+
+/**
+ * Terminate a pool's workers and forget it
+ * @param {Object} pool - Language pool
+ */
+const evictPool = async (pool) => {
+  pool.evicted = true;
+  pools.delete(pool.key);
+  stats.evicted++;
+  console.log(`OCR workers for ${pool.key} evicted`);
+  await pool.ready.catch(() => {});
+  await pool.scheduler.terminate().catch(() => {});
+};
+
+/**
+ * Get the pool for a language combination, creating it (and evicting the
+ * least recently used idle pool beyond MAX_LANGUAGE_POOLS) if needed
+ * @param {string} key - Pool key
+ * @returns {Object} - Language pool
+ */
+const getPool = (key) => {
+  let pool = pools.get(key);
+  if (pool) {
+    return pool;
+  }
+
+  const idle = [...pools.values()]
+    .filter(candidate => candidate.active === 0)
+    .sort((a, b) => a.lastUsed - b.lastUsed);
+  if (pools.size >= MAX_LANGUAGE_POOLS && idle.length > 0) {
+    evictPool(idle[0]);
+  }
+
+  pool = {
+    key: key,
+    scheduler: createScheduler(),
+    size: 0,
+    active: 0,
+    lastUsed: Date.now(),
+    evicted: false,
+    ready: null
+  };
+  pool.ready = addWorker(pool);
+  pools.set(key, pool);
+  stats.created++;
+
+  // A pool whose first worker cannot start (e.g. missing traineddata) is dropped
+  pool.ready.catch(() => {
+    if (pools.get(key) === pool) {
+      pools.delete(key);
+    }
+  });
+
+  return pool;
+};
+
+/**
+ * Recognize an image on a worker for the requested languages
+ * @param {string} language - Language(s), e.g. eng or eng+deu
+ * @param {string|Buffer} image - Image path or buffer
+ * @param {Object} options - Tesseract recognize options
+ * @param {Object} output - Tesseract output formats
+ * @returns {Promise<Object>} - Tesseract result ({ data })
+ */
+const recognize = async (language, image, options = {}, output = {}) => {
+  const key = normalizeLanguages(language);
+  const pool = getPool(key);
+
+  pool.active++;
+  pool.lastUsed = Date.now();
+
+  try {
+    await pool.ready;
+
+    // Grow the pool while requests are waiting for a free worker
+    if (pool.active > pool.size && pool.size < WORKERS_PER_LANGUAGE) {
+      addWorker(pool).catch(error => console.error(`Failed to add OCR worker for ${key}:`, error));
+    }
+
+    const result = await pool.scheduler.addJob('recognize', image, options, output);
+    stats.completed++;
+    return result;
+  } catch (error) {
+    stats.failed++;
+    // Worker failures are reported as plain strings
+    throw error instanceof Error ? error : new Error(String(error));
+  } finally {
+    pool.active--;
+    pool.lastUsed = Date.now();
+  }
+};
+
+/**
+ * Evict pools that have been idle for longer than OCR_IDLE_TIMEOUT
+ */
+const evictIdlePools = () => {
+  const now = Date.now();
+  for (const pool of pools.values()) {
+    if (pool.active === 0 && now - pool.lastUsed > IDLE_TIMEOUT) {
+      evictPool(pool);
+    }
+  }
+};
+
+setInterval(evictIdlePools, Math.min(IDLE_TIMEOUT, 60 * 1000)).unref();
+
+/**
+ * Get pool metrics
+ * @returns {Object} - Metrics snapshot
+ */
+const getOcrPoolMetrics = () => ({
+  workersPerLanguage: WORKERS_PER_LANGUAGE,
+  maxLanguagePools: MAX_LANGUAGE_POOLS,
+  idleTimeoutMs: IDLE_TIMEOUT,
+  tessdataPath: TESSDATA_PATH || null,
+  created: stats.created,
+  evicted: stats.evicted,
+  completed: stats.completed,
+  failed: stats.failed,
+  pools: [...pools.values()].map(pool => ({
+    languages: pool.key,
+    workers: pool.scheduler.getNumWorkers(),
+    active: pool.active,
+    queued: pool.scheduler.getQueueLen(),
+    idleMs: pool.active === 0 ? Date.now() - pool.lastUsed : 0
+  }))
+});
+
+module.exports = {
+  recognize,
+  normalizeLanguages,
+  getOcrPoolMetrics
+};
@@ -0,0 +1,208 @@
+const fs = require('fs').promises;
+const iconv = require('iconv-lite');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Bytes inspected when guessing an encoding
+const SAMPLE_BYTES = 64 * 1024;
+
+// Output encoding for CSV opened by Excel: UTF-8 with a byte order mark
+const UTF8_BOM = 'utf-8-bom';
+
+const BOMS = [
+  { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+/**
+ * Validate an encoding name
+ * @param {string} encoding - Encoding name (utf-8, windows-1252, shift_jis, utf-16le, ...)
+ * @param {Object} options - { output: also accept utf-8-bom }
+ * @returns {string|undefined} - Lower-case encoding name, or undefined when none was given
+ */
+const normalizeEncoding = (encoding, { output = false } = {}) => {
+  if (!encoding) {
+    return undefined;
+  }
+  const name = String(encoding).trim().toLowerCase();
+  if ((output && name === UTF8_BOM) || iconv.encodingExists(name)) {
+    return name;
+  }
+  throw new ValidationError(`Unsupported encoding: ${encoding}`);
+};
+
+/**
+ * Check whether bytes are well-formed UTF-8
+ * @param {Buffer} buffer - Bytes
+ * @param {boolean} complete - Whether the buffer is the whole file (else a cut-off sequence at the end is fine)
+ * @returns {boolean}
+ */
+const isUtf8 = (buffer, complete) => {
+  for (let index = 0; index < buffer.length; index++) {
+    const byte = buffer[index];
+    if (byte < 0x80) continue;
+
+    let length;
+    if (byte >= 0xc2 && byte <= 0xdf) length = 1;
+    else if (byte >= 0xe0 && byte <= 0xef) length = 2;
+    else if (byte >= 0xf0 && byte <= 0xf4) length = 3;
+    else return false;
+
+    if (index + length >= buffer.length) {
+      return !complete;
+    }
+    for (let offset = 1; offset <= length; offset++) {
+      if ((buffer[index + offset] & 0xc0) !== 0x80) return false;
+    }
+    index += length;
+  }
+  return true;
+};
+
+/**
+ * Guess UTF-16 without a byte order mark from the zero high bytes of ASCII text
+ * @param {Buffer} buffer - Bytes
+ * @returns {string|null} - utf-16le, utf-16be or null
+ */
+const detectUtf16 = (buffer) => {
+  const pairs = Math.floor(buffer.length / 2);
+  if (pairs < 2) return null;
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let index = 0; index < pairs * 2; index += 2) {
+    if (buffer[index] === 0) evenZeros++;
+    if (buffer[index + 1] === 0) oddZeros++;
+  }
+
+  if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf-16le';
+  if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf-16be';
+  return null;
+};
+
+/**
+ * Decide whether non-UTF-8 bytes read as Japanese Shift_JIS: every high byte
+ * must form a valid double-byte pair and the text must contain kana, which
+ * Windows-1252 text misread as Shift_JIS practically never does
+ * @param {Buffer} buffer - Bytes
+ * @returns {boolean}
+ */
+const isShiftJis = (buffer) => {
+  for (let index = 0; index < buffer.length; index++) {
+    const byte = buffer[index];
+    if (byte < 0x80 || (byte >= 0xa1 && byte <= 0xdf)) continue;
+
+    const lead = (byte >= 0x81 && byte <= 0x9f) || (byte >= 0xe0 && byte <= 0xfc);
+    if (!lead) return false;
+    if (index + 1 === buffer.length) break;
+
+    const trail = buffer[index + 1];
+    if (trail < 0x40 || trail === 0x7f || trail > 0xfc) return false;
+    index++;
+  }
+
+  return /[ぁ-ヿ]/.test(iconv.decode(buffer, 'shift_jis'));
+};
+
+/**
+ * Detect the encoding of text bytes: byte order marks first, then UTF-16 and
+ * UTF-8 patterns, then Shift_JIS, falling back to Windows-1252 (the encoding
+ * of CSV files saved by Excel on Western Windows systems)
+ * @param {Buffer} buffer - Start of the file
+ * @param {boolean} complete - Whether the buffer is the whole file
+ * @returns {Object} - { encoding, bom }
+ */
+const detectEncoding = (buffer, complete = true) => {
+  const bom = BOMS.find(candidate => candidate.bytes.every((byte, index) => buffer[index] === byte));
+  if (bom) {
+    return { encoding: bom.encoding, bom: true };
+  }
+
+  const utf16 = detectUtf16(buffer);
+  if (utf16) {
+    return { encoding: utf16, bom: false };
+  }
+  if (isUtf8(buffer, complete)) {
+    return { encoding: 'utf-8', bom: false };
+  }
+  if (isShiftJis(buffer)) {
+    return { encoding: 'shift_jis', bom: false };
+  }
+  return { encoding: 'windows-1252', bom: false };
+};
+
+/**
+ * Detect the encoding of a file from its first bytes
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Encoding name
+ */
+const detectFileEncoding = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const sample = Buffer.alloc(Math.min(size, SAMPLE_BYTES));
+    await handle.read(sample, 0, sample.length, 0);
+    return detectEncoding(sample, sample.length === size).encoding;
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Decode bytes to a string (a byte order mark is dropped)
+ * @param {Buffer} buffer - Bytes
+ * @param {string} encoding - Encoding name
+ * @returns {string}
+ */
+const decodeText = (buffer, encoding) => iconv.decode(buffer, encoding);
+
+/**
+ * Read a text file, detecting its encoding unless one is given
+ * @param {string} filePath - Path to the file
+ * @param {string} encoding - Encoding override
+ * @returns {Promise<Object>} - { text, encoding }
+ */
+const readTextFile = async (filePath, encoding) => {
+  const buffer = await fs.readFile(filePath);
+  const sourceEncoding = encoding || detectEncoding(buffer.subarray(0, SAMPLE_BYTES), buffer.length <= SAMPLE_BYTES).encoding;
+  return { text: decodeText(buffer, sourceEncoding), encoding: sourceEncoding };
+};
+
+/**
+ * Create a stream decoding bytes in the given encoding to strings
+ * @param {string} encoding - Encoding name
+ * @returns {Transform}
+ */
+const createDecodeStream = encoding => iconv.decodeStream(encoding);
+
+/**
+ * Encode text for output; UTF-16 and utf-8-bom get a byte order mark
+ * @param {string} text - Text
+ * @param {string} encoding - Output encoding (default: utf-8)
+ * @returns {Buffer}
+ */
+const encodeText = (text, encoding = 'utf-8') => {
+  if (encoding === UTF8_BOM) {
+    return iconv.encode(text, 'utf-8', { addBOM: true });
+  }
+  return iconv.encode(text, encoding, { addBOM: /^utf-?16/.test(encoding) });
+};
+
+/**
+ * Charset parameter for a Content-Type header
+ * @param {string} encoding - Output encoding
+ * @returns {string}
+ */
+const getCharset = encoding => (encoding === UTF8_BOM ? 'utf-8' : encoding);
+
+module.exports = {
+  UTF8_BOM,
+  normalizeEncoding,
+  detectEncoding,
+  detectFileEncoding,
+  decodeText,
+  readTextFile,
+  createDecodeStream,
+  encodeText,
+  getCharset
+};
@@ -0,0 +1,275 @@
+const Queue = require('bull');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+
+// Internal networks a callback must not reach (loopback, RFC 1918, link-local
+// including cloud metadata, CGNAT, multicast, reserved and IPv4-mapped IPv6).
+// One list per family: a BlockList matches IPv4 addresses against IPv4-mapped IPv6 rules
+const BLOCKED_ADDRESSES = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+[
+  '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12',
+  '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/4', '240.0.0.0/4'
+].forEach((range) => {
+  const [network, prefix] = range.split('/');
+  BLOCKED_ADDRESSES.ipv4.addSubnet(network, parseInt(prefix), 'ipv4');
+});
+['::/127', '::ffff:0:0/96', '64:ff9b::/96', 'fc00::/7', 'fe80::/10', 'ff00::/8'].forEach((range) => {
+  const [network, prefix] = range.split('/');
+  BLOCKED_ADDRESSES.ipv6.addSubnet(network, parseInt(prefix), 'ipv6');
+});
+
+/**
+ * Look up the signing secret for a tenant
+ * WEBHOOK_SECRETS holds a JSON map of tenant -> secret; WEBHOOK_SECRET is the fallback.
+ * @param {string} tenant - Tenant identifier (RapidAPI user)
+ * @returns {string|null} - Secret or null when webhooks are not configured
+ */
+const getWebhookSecret = (tenant) => {
+  if (process.env.WEBHOOK_SECRETS) {
+    try {
+      const secrets = JSON.parse(process.env.WEBHOOK_SECRETS);
+      if (secrets[tenant]) {
+        return secrets[tenant];
+      }
+    } catch (error) {
+      console.error('Invalid WEBHOOK_SECRETS configuration:', error.message);
+    }
+  }
+
+  return process.env.WEBHOOK_SECRET || null;
+};
+
+/**
+ * Compute the signature header value for a payload
+ * @param {string} secret - Tenant secret
+ * @param {string} timestamp - Unix timestamp (seconds) sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=<hex digest>"
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Resolve the host of a callback URL, refusing loopback, private, link-local
+ * and other internal addresses unless the host is listed in
+ * WEBHOOK_ALLOWED_HOSTS (comma-separated host names)
+ * @param {string} callbackUrl - Receiver URL
+ * @returns {Promise<Object>} - { address, family } to connect to
+ */
+const resolveCallbackAddress = async (callbackUrl) => {
+  const hostname = new URL(callbackUrl).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname, family: net.isIP(hostname) }]
+    : await dns.lookup(hostname, { all: true });
+
+  const allowedHosts = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!allowedHosts.includes(hostname)) {
+    const blocked = addresses.find(({ address, family }) => {
+      const type = family === 6 ? 'ipv6' : 'ipv4';
+      return BLOCKED_ADDRESSES[type].check(address, type);
+    });
+    if (blocked) {
+      throw new Error(`Callback host ${hostname} resolves to a private or reserved address (${blocked.address})`);
+    }
+  }
+
+  return addresses[0];
+};
+
+/**
+ * POST a signed JSON payload to a callback URL. The host is resolved and
+ * checked on every delivery, and the request goes to the checked address
+ * @param {string} callbackUrl - Receiver URL
+ * @param {Object} payload - JSON payload
+ * @param {string} secret - Signing secret
+ * @returns {Promise<Object>} - { statusCode, durationMs }
+ */
+const deliverWebhook = async (callbackUrl, payload, secret) => {
+  const { address, family } = await resolveCallbackAddress(callbackUrl);
+  return sendWebhook(callbackUrl, payload, secret, { address, family });
+};
+
+/**
+ * Send the signed request to a resolved address
+ * @param {string} callbackUrl - Receiver URL
+ * @param {Object} payload - JSON payload
+ * @param {string} secret - Signing secret
+ * @param {Object} target - { address, family } from resolveCallbackAddress
+ * @returns {Promise<Object>} - { statusCode, durationMs }
+ */
+const sendWebhook = (callbackUrl, payload, secret, { address, family }) => new Promise((resolve, reject) => {
+  const url = new URL(callbackUrl);
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startTime = Date.now();
+
+  const transport = url.protocol === 'https:' ? https : http;
+  const req = transport.request(url, {
+    method: 'POST',
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+    // Connect to the address that was checked, not a fresh DNS answer
+    lookup: (hostname, options, callback) => (
+      options.all ? callback(null, [{ address, family }]) : callback(null, address, family)
+    ),
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'Document-Processing-API-Webhook',
+      'X-Webhook-Id': uuidv4(),
+      'X-Webhook-Event': payload.event,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': signPayload(secret, timestamp, body)
+    }
+  }, (res) => {
+    res.resume();
+    res.on('end', () => {
+      const result = { statusCode: res.statusCode, durationMs: Date.now() - startTime };
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        resolve(result);
+      } else {
+        const error = new Error(`Receiver responded with status ${res.statusCode}`);
+        error.statusCode = res.statusCode;
+        error.durationMs = result.durationMs;
+        reject(error);
+      }
+    });
+  });
+
+  req.on('timeout', () => req.destroy(new Error('Webhook delivery timed out')));
+  req.on('error', (error) => {
+    error.durationMs = Date.now() - startTime;
+    reject(error);
+  });
+  req.end(body);
+});
+
+/**
+ * Build the webhook payload for a finished conversion job
+ * @param {Object} job - Bull conversion job
+ * @param {string} event - job.completed or job.failed
+ * @returns {Object} - Payload
+ */
+const buildPayload = (job, event) => {
+  const { type, file, callback } = job.data;
+  const payload = {
+    event: event,
+    jobId: job.id,
+    type: type,
+    originalFile: file.originalname,
+    state: event === 'job.completed' ? 'completed' : 'failed',
+    timestamp: new Date().toISOString()
+  };
+
+  if (event === 'job.completed') {
+    const { filename, mimeType, size, expiresAt, metadata } = job.returnvalue || {};
+    payload.result = { filename, mimeType, size, expiresAt, metadata };
+    payload.downloadUrl = `${callback.baseUrl}/api/jobs/${job.id}/download`;
+  } else {
+    payload.error = job.failedReason;
+    payload.attemptsMade = job.attemptsMade;
+  }
+
+  return payload;
+};
+
+// Deliveries are queued separately from conversions so they retry with
+// backoff without showing up in the conversion job listing
+let webhookQueue = null;
+let conversionQueue = null;
+
+/**
+ * Start delivering webhooks for jobs of the given conversion queue
+ * @param {Object} queue - Bull conversion queue
+ */
+const initWebhooks = (queue) => {
+  conversionQueue = queue;
+  webhookQueue = new Queue('document-webhooks', process.env.REDIS_URL, {
+    defaultJobOptions: {
+      attempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+      backoff: {
+        type: 'exponential',
+        delay: parseInt(process.env.WEBHOOK_BACKOFF_MS) || 1000
+      },
+      removeOnComplete: true,
+      removeOnFail: true
+    }
+  });
+
+  webhookQueue.process('deliver', async (delivery) => {
+    const { jobId, event } = delivery.data;
+    const job = await conversionQueue.getJob(jobId);
+
+    if (!job) {
+      console.warn(`Skipping webhook for job ${jobId}: job no longer exists`);
+      return;
+    }
+
+    const { callback } = job.data;
+    const attempt = {
+      attempt: delivery.attemptsMade + 1,
+      event: event,
+      attemptedAt: new Date().toISOString()
+    };
+
+    try {
+      const secret = getWebhookSecret(callback.tenant);
+      if (!secret) {
+        throw new Error('No webhook secret configured');
+      }
+
+      const result = await deliverWebhook(callback.url, buildPayload(job, event), secret);
+      Object.assign(attempt, { success: true, ...result });
+      console.log(`Webhook for job ${jobId} delivered to ${callback.url}`);
+    } catch (error) {
+      Object.assign(attempt, {
+        success: false,
+        statusCode: error.statusCode || null,
+        durationMs: error.durationMs || null,
+        error: error.message
+      });
+      console.error(`Webhook for job ${jobId} failed (attempt ${attempt.attempt}):`, error.message);
+    }
+
+    // Record the attempt on the conversion job so it shows up in its status
+    await job.update({
+      ...job.data,
+      webhookDeliveries: [...(job.data.webhookDeliveries || []), attempt]
+    });
+
+    if (!attempt.success) {
+      throw new Error(attempt.error);
+    }
+  });
+};
+
+/**
+ * Schedule delivery of a job event to the job's callback URL
+ * @param {Object} job - Bull conversion job
+ * @param {string} event - job.completed or job.failed
+ */
+const scheduleWebhook = async (job, event) => {
+  if (!webhookQueue || !job.data.callback) {
+    return;
+  }
+
+  await webhookQueue.add('deliver', { jobId: job.id, event });
+};
+
+module.exports = {
+  initWebhooks,
+  scheduleWebhook,
+  resolveCallbackAddress,
+  deliverWebhook,
+  signPayload,
+  getWebhookSecret
+};
@@ -0,0 +1,86 @@
+const archiver = require('archiver');
+const path = require('path');
+
+/**
+ * Build a ZIP archive in memory
+ * @param {Array<Object>} entries - { name, buffer } entries
+ * @returns {Promise<Buffer>} - ZIP buffer
+ */
+const createZipBuffer = (entries) => new Promise((resolve, reject) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const chunks = [];
+
+  archive.on('data', chunk => chunks.push(chunk));
+  archive.on('end', () => resolve(Buffer.concat(chunks)));
+  archive.on('warning', reject);
+  archive.on('error', reject);
+
+  for (const entry of entries) {
+    archive.append(entry.buffer, { name: entry.name });
+  }
+
+  archive.finalize();
+});
+
+/**
+ * Create a name generator that never hands out the same entry name twice
+ * ("report.pdf", "report (2).pdf", ...)
+ * @returns {Function} - (name) => unique name
+ */
+const createUniqueNamer = () => {
+  const used = new Set();
+
+  return (name) => {
+    const ext = path.extname(name);
+    const base = path.basename(name, ext);
+    let candidate = name;
+    let counter = 2;
+
+    while (used.has(candidate.toLowerCase())) {
+      candidate = `${base} (${counter++})${ext}`;
+    }
+
+    used.add(candidate.toLowerCase());
+    return candidate;
+  };
+};
+
+/**
+ * Package batch results as a ZIP holding every successful output plus a
+ * manifest.json describing each input (including failures)
+ * @param {Array<Object>} items - { file, success, outputName, buffer, error, ...metadata }
+ * @returns {Promise<Buffer>} - ZIP buffer
+ */
+const createBatchArchive = (items) => {
+  const uniqueName = createUniqueNamer();
+  const entries = [];
+
+  const manifest = items.map(({ buffer, outputName, ...item }) => {
+    if (!item.success) {
+      return { ...item, output: null };
+    }
+
+    const name = uniqueName(outputName);
+    entries.push({ name, buffer });
+    return { ...item, output: name, size: buffer.length };
+  });
+
+  entries.push({
+    name: 'manifest.json',
+    buffer: Buffer.from(JSON.stringify({
+      createdAt: new Date().toISOString(),
+      total: items.length,
+      succeeded: items.filter(item => item.success).length,
+      failed: items.filter(item => !item.success).length,
+      files: manifest
+    }, null, 2), 'utf-8')
+  });
+
+  return createZipBuffer(entries);
+};
+
+module.exports = {
+  createZipBuffer,
+  createUniqueNamer,
+  createBatchArchive
+};
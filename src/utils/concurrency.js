@@ -0,0 +1,35 @@
+/**
+ * Map over items with at most `limit` async calls in flight
+ * Results keep the order of the input items.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper (item, index) => result
+ * @returns {Promise<Array>} - Mapped results
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+};
+
+/**
+ * Get the configured batch concurrency
+ * @returns {number}
+ */
+const getBatchConcurrency = () => parseInt(process.env.BATCH_CONCURRENCY) || 2;
+
+module.exports = {
+  mapWithConcurrency,
+  getBatchConcurrency
+};
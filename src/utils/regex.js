@@ -0,0 +1,126 @@
+const { ValidationError } = require('../middleware/errorHandler');
+
+// User-supplied patterns run on the event loop, so they are kept to a shape
+// that cannot backtrack exponentially and only run against bounded input
+const MAX_PATTERN_LENGTH = 200;
+const MAX_INPUT_LENGTH = 1000;
+
+/**
+ * Read the quantifier starting at a position, if any
+ * @param {string} pattern - Regular expression source
+ * @param {number} index - Position after an atom
+ * @returns {Object|null} - { length, repeats } or null when there is none
+ */
+const readQuantifier = (pattern, index) => {
+  const char = pattern[index];
+  if (char === '*' || char === '+') {
+    return { length: 1, repeats: true };
+  }
+  if (char === '?') {
+    return { length: 1, repeats: false };
+  }
+
+  const braces = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+  if (!braces) {
+    return null;
+  }
+  const max = braces[2] ? braces[3] : braces[1];
+  return { length: braces[0].length, repeats: max === '' || parseInt(max) > 1 };
+};
+
+/**
+ * Check that a user-supplied regular expression is safe to run
+ * Rejects overlong patterns, backreferences, and repeated groups that contain
+ * a quantifier or an alternation (e.g. (a+)+ or (a|ab)*), the shapes that
+ * make the engine backtrack exponentially.
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} - Why the pattern is rejected, or null when it is safe
+ */
+const checkPattern = (pattern) => {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `must be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return 'is not a valid regular expression';
+  }
+
+  // One frame per open group: does it hold a quantifier or an alternation?
+  const groups = [{ quantified: false, alternation: false }];
+  let index = 0;
+
+  while (index < pattern.length) {
+    const char = pattern[index];
+    let atomEnd = index + 1;
+    let group = null;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[index + 1])) {
+        return 'must not use backreferences';
+      }
+      atomEnd = index + 2;
+    } else if (char === '[') {
+      // Skip the character class, honouring escapes and a leading ]
+      atomEnd = index + 1;
+      if (pattern[atomEnd] === '^') atomEnd++;
+      if (pattern[atomEnd] === ']') atomEnd++;
+      while (atomEnd < pattern.length && pattern[atomEnd] !== ']') {
+        atomEnd += pattern[atomEnd] === '\\' ? 2 : 1;
+      }
+      atomEnd++;
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      index++;
+      continue;
+    } else if (char === ')') {
+      group = groups.pop();
+    } else if (char === '|') {
+      groups[groups.length - 1].alternation = true;
+      index++;
+      continue;
+    }
+
+    const quantifier = readQuantifier(pattern, atomEnd);
+    const current = groups[groups.length - 1];
+
+    if (quantifier && quantifier.repeats && group && (group.quantified || group.alternation)) {
+      return 'must not repeat a group that contains a quantifier or alternation (use a character class instead)';
+    }
+    if (group) {
+      current.quantified = current.quantified || group.quantified;
+      current.alternation = current.alternation || group.alternation;
+    }
+    if (quantifier) {
+      current.quantified = current.quantified || quantifier.repeats;
+      atomEnd += quantifier.length;
+      // Lazy quantifiers
+      if (pattern[atomEnd] === '?') atomEnd++;
+    }
+
+    index = atomEnd;
+  }
+
+  return null;
+};
+
+/**
+ * Compile a user-supplied regular expression after checking it
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp}
+ */
+const compilePattern = (pattern) => {
+  const problem = checkPattern(pattern);
+  if (problem) {
+    throw new ValidationError(`Pattern ${problem}`, { pattern });
+  }
+  return new RegExp(pattern);
+};
+
+module.exports = {
+  MAX_PATTERN_LENGTH,
+  MAX_INPUT_LENGTH,
+  checkPattern,
+  compilePattern
+};
@@ -0,0 +1,15 @@
+/**
+ * Escape text for use in XML content and attributes
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+module.exports = {
+  escapeXml
+};
@@ -0,0 +1,107 @@
+const { parseColumnSchema, inferColumnTypes, convertValue, applyColumnTypes } = require('../../src/services/columnTypes');
+
+// Type of each column inferred from one column of sample values
+const typeOf = (values, options = {}) => inferColumnTypes(values.map(value => [value]), options)[0];
+
+describe('inferColumnTypes', () => {
+  test('infers integers, decimals, percentages, currencies, dates and booleans', () => {
+    expect(typeOf(['1', '-20', '300'])).toMatchObject({ type: 'integer', numFmt: '0' });
+    expect(typeOf(['1,234', '56'])).toMatchObject({ type: 'integer', numFmt: '#,##0' });
+    expect(typeOf(['1.5', '2.25'])).toMatchObject({ type: 'decimal', numFmt: '0.00' });
+    expect(typeOf(['12.5%', '3 %'])).toMatchObject({ type: 'percent', numFmt: '0.0%' });
+    expect(typeOf(['$1,200.00', '$35.50'])).toMatchObject({ type: 'currency', numFmt: '"$"#,##0.00' });
+    expect(typeOf(['12,50 €', '3 €'], { decimalSeparator: ',' })).toMatchObject({ type: 'currency', numFmt: '#,##0.00 "€"' });
+    expect(typeOf(['2024-03-31', '2024-04-01'])).toMatchObject({ type: 'date', numFmt: 'yyyy-mm-dd' });
+    expect(typeOf(['2024-03-31 14:05', '2024-04-01'])).toMatchObject({ type: 'date', numFmt: 'yyyy-mm-dd hh:mm' });
+    expect(typeOf(['Yes', 'no', 'TRUE'])).toMatchObject({ type: 'boolean', numFmt: null });
+  });
+
+  test('keeps identifiers, long numbers, mixed currencies and mixed values as text', () => {
+    expect(typeOf(['02134', '10001'])).toMatchObject({ type: 'string' });
+    expect(typeOf(['1234567890123456'])).toMatchObject({ type: 'string' });
+    expect(typeOf(['$5', '€5'])).toMatchObject({ type: 'string' });
+    expect(typeOf(['12', 'n/a'])).toMatchObject({ type: 'string' });
+  });
+
+  test('ignores empty cells and names columns by header or number', () => {
+    const columns = inferColumnTypes([['1', ''], ['', 'x'], ['3', ' ']], { headers: ['id'] });
+
+    expect(columns).toEqual([
+      { name: 'id', type: 'integer', decimalSeparator: '.', numFmt: '0' },
+      { name: '2', type: 'string', numFmt: null }
+    ]);
+  });
+
+  test('reads ambiguous numbers by the delimiter convention', () => {
+    expect(typeOf(['1,5', '2,25'])).toMatchObject({ type: 'decimal', decimalSeparator: ',' });
+    expect(typeOf(['1.234', '5.678'])).toMatchObject({ type: 'decimal', decimalSeparator: '.' });
+    expect(typeOf(['1.234', '5.678'], { delimiter: ';' })).toMatchObject({ type: 'integer', decimalSeparator: ',' });
+  });
+
+  test('detects the day/month order of local dates', () => {
+    expect(typeOf(['01/02/2024', '31/01/2024'])).toMatchObject({ type: 'date', dateOrder: 'DMY' });
+    expect(typeOf(['01/02/2024', '01/31/2024'])).toMatchObject({ type: 'date', dateOrder: 'MDY' });
+    expect(typeOf(['01/02/2024'], { dateOrder: 'MDY' })).toMatchObject({ dateOrder: 'MDY' });
+    expect(typeOf(['31/02/2024'])).toMatchObject({ type: 'string' });
+  });
+
+  test('applies schema overrides by column name or number', () => {
+    const schema = parseColumnSchema({ zip: 'integer', 2: { type: 'decimal', format: '0.000' } });
+    const [zip, amount, other] = inferColumnTypes([['02134', '1.5', '7']], { headers: ['zip', 'amount', 'other'], schema, inferTypes: false });
+
+    expect(zip).toMatchObject({ type: 'integer', fromSchema: true, numFmt: '0' });
+    expect(amount).toMatchObject({ type: 'decimal', numFmt: '0.000' });
+    expect(other).toMatchObject({ type: 'string' });
+  });
+
+  test('does not read Object.prototype members as schema entries', () => {
+    const schema = parseColumnSchema({ id: 'string' });
+    const columns = inferColumnTypes([['1', '2', '3', '4']], { headers: ['id', 'constructor', 'toString', 'valueOf'], schema });
+
+    expect(columns.map(column => column.type)).toEqual(['string', 'integer', 'integer', 'integer']);
+    expect(columns.slice(1).every(column => !column.fromSchema)).toBe(true);
+  });
+});
+
+describe('convertValue', () => {
+  test('converts text to the column type, leaving unparsable text as it is', () => {
+    expect(convertValue('1.234,5', { type: 'decimal', decimalSeparator: ',' })).toBe(1234.5);
+    expect(convertValue('12.5%', { type: 'percent', decimalSeparator: '.' })).toBe(0.125);
+    expect(convertValue('03/04/2024', { type: 'date', dateOrder: 'MDY' })).toEqual(new Date(Date.UTC(2024, 2, 4)));
+    expect(convertValue('no', { type: 'boolean' })).toBe(false);
+    expect(convertValue('n/a', { type: 'integer', decimalSeparator: '.' })).toBe('n/a');
+    expect(convertValue('  ', { type: 'integer', decimalSeparator: '.' })).toBeNull();
+    expect(convertValue(' 007 ', { type: 'string' })).toBe(' 007 ');
+  });
+});
+
+describe('applyColumnTypes', () => {
+  const table = { name: 'Sheet1', headers: ['id', 'price'], rows: [['1', '2.50'], ['2', null], ['3', '4']] };
+
+  test('types the cells and records the number formats', () => {
+    expect(applyColumnTypes(table)).toEqual({
+      ...table,
+      rows: [[1, 2.5], [2, null], [3, 4]],
+      numFmts: ['0', '0.00']
+    });
+  });
+
+  test('leaves the table untouched without inference or a schema', () => {
+    expect(applyColumnTypes(table, { inferTypes: false })).toBe(table);
+  });
+});
+
+describe('parseColumnSchema', () => {
+  test('accepts JSON text and expands type names', () => {
+    expect(parseColumnSchema('{"id":"integer","day":{"type":"date","dateOrder":"MDY"}}')).toEqual({
+      id: { type: 'integer' },
+      day: { type: 'date', dateOrder: 'MDY' }
+    });
+    expect(parseColumnSchema('')).toBeNull();
+  });
+
+  test('rejects malformed JSON and unknown types', () => {
+    expect(() => parseColumnSchema('{')).toThrow('Invalid schema. Must be a JSON object');
+    expect(() => parseColumnSchema({ id: 'uuid' })).toThrow('Invalid schema');
+  });
+});
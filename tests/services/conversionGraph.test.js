@@ -0,0 +1,104 @@
+jest.mock('../../src/services/pdfRasterizer');
+jest.mock('../../src/services/ocrService');
+
+const { extractPdfText } = require('../../src/services/pdfRasterizer');
+const { extractTextFromImage } = require('../../src/services/ocrService');
+const { FORMATS, findConversionPath, listConversions, resolveFormat } = require('../../src/services/conversionGraph');
+
+const pathOf = (from, to) => {
+  const steps = findConversionPath(from, to);
+  return steps && [from, ...steps.map(step => step.to)];
+};
+
+describe('resolveFormat', () => {
+  test('accepts format ids, extensions, aliases and MIME types', () => {
+    expect(resolveFormat('xlsx')).toBe('xlsx');
+    expect(resolveFormat(' .XLSX ')).toBe('xlsx');
+    expect(resolveFormat('markdown')).toBe('md');
+    expect(resolveFormat('jpeg')).toBe('jpg');
+    expect(resolveFormat('text/csv')).toBe('csv');
+    expect(resolveFormat(FORMATS.pdf.mimeType)).toBe('pdf');
+  });
+
+  test('returns null for unknown or missing targets', () => {
+    expect(resolveFormat('nope')).toBeNull();
+    expect(resolveFormat('')).toBeNull();
+    expect(resolveFormat(undefined)).toBeNull();
+  });
+});
+
+describe('findConversionPath', () => {
+  test('uses a direct conversion when one exists', () => {
+    expect(pathOf('csv', 'tsv')).toEqual(['csv', 'tsv']);
+    expect(pathOf('xlsx', 'csv')).toEqual(['xlsx', 'csv']);
+    expect(pathOf('docx', 'txt')).toEqual(['docx', 'txt']);
+    expect(pathOf('png', 'txt')).toEqual(['png', 'txt']);
+  });
+
+  test('chains conversions through intermediate formats', () => {
+    expect(pathOf('json', 'pdf')).toEqual(['json', 'xlsx', 'pdf']);
+    expect(pathOf('md', 'pdf')).toEqual(['md', 'html', 'pdf']);
+    expect(pathOf('xlsx', 'txt')).toEqual(['xlsx', 'pdf', 'txt']);
+  });
+
+  test('returns steps that carry a converter for every hop', () => {
+    const steps = findConversionPath('json', 'pdf');
+
+    expect(steps.map(step => [step.from, step.to])).toEqual([['json', 'xlsx'], ['xlsx', 'pdf']]);
+    steps.forEach(step => expect(typeof step.convert).toBe('function'));
+  });
+
+  test('returns null for the same format or an unreachable target', () => {
+    expect(findConversionPath('pdf', 'pdf')).toBeNull();
+    expect(findConversionPath('txt', 'png')).toBeNull();
+    expect(findConversionPath('pdf', 'docx')).toBeNull();
+  });
+});
+
+describe('listConversions', () => {
+  test('lists every reachable pair with its path', () => {
+    const pairs = listConversions();
+
+    expect(pairs.some(pair => pair.from === pair.to)).toBe(false);
+    expect(pairs).toContainEqual({ from: 'json', to: 'pdf', path: ['json', 'xlsx', 'pdf'] });
+    expect(pairs.find(pair => pair.from === 'txt' && pair.to === 'png')).toBeUndefined();
+    pairs.forEach(pair => expect(pair.path).toEqual(pathOf(pair.from, pair.to)));
+  });
+});
+
+describe('pdf to txt', () => {
+  const file = { path: '/tmp/input.pdf', originalname: 'input.pdf' };
+  const [step] = findConversionPath('pdf', 'txt');
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    extractTextFromImage.mockResolvedValue({ text: 'recognized text' });
+  });
+
+  test('returns the embedded text of digital PDFs without OCR', async () => {
+    const text = 'Quarterly report with enough text on the page';
+    extractPdfText.mockResolvedValue({ text, pages: [text] });
+
+    const output = await step.convert(file, {});
+
+    expect(output.toString('utf-8')).toBe(text);
+    expect(extractTextFromImage).not.toHaveBeenCalled();
+  });
+
+  test('falls back to OCR for PDFs without a text layer', async () => {
+    extractPdfText.mockResolvedValue({ text: '\n\n', pages: ['', ''] });
+
+    const output = await step.convert(file, { language: 'deu' });
+
+    expect(output.toString('utf-8')).toBe('recognized text');
+    expect(extractTextFromImage).toHaveBeenCalledWith(file, expect.objectContaining({ language: 'deu' }));
+  });
+
+  test('falls back to OCR when the text is too sparse for the page count', async () => {
+    extractPdfText.mockResolvedValue({ text: 'Page 1\n\nPage 2', pages: ['Page 1', 'Page 2'] });
+
+    await step.convert(file, {});
+
+    expect(extractTextFromImage).toHaveBeenCalled();
+  });
+});
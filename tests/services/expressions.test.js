@@ -0,0 +1,96 @@
+const { compileExpression, isTruthy, compareValues } = require('../../src/services/expressions');
+
+// Evaluate an expression against a row object
+const run = (text, row = {}) => compileExpression(text).evaluate(column => row[column]);
+
+describe('compileExpression', () => {
+  test('lists the columns it reads, by name or in brackets', () => {
+    expect(compileExpression('amount * rate + [unit price] - amount').columns).toEqual(['amount', 'rate', 'unit price']);
+    expect(compileExpression('upper(name) == "X" && order.total > 0').columns).toEqual(['name', 'order.total']);
+  });
+
+  test('follows operator precedence and parentheses', () => {
+    expect(run('1 + 2 * 3')).toBe(7);
+    expect(run('(1 + 2) * 3')).toBe(9);
+    expect(run('10 - 4 - 3')).toBe(3);
+    expect(run('-2 * -3')).toBe(6);
+    expect(run('7 % 4 + 1.5e1')).toBe(18);
+    expect(run('1 < 2 && 3 < 2 || !false')).toBe(true);
+  });
+
+  test('does arithmetic on numeric text and yields null for non-numbers or division by zero', () => {
+    expect(run('price * qty', { price: '2.5', qty: 4 })).toBe(10);
+    expect(run('price * 2', { price: 'n/a' })).toBeNull();
+    expect(run('price * 2', { price: null })).toBeNull();
+    expect(run('1 / 0')).toBeNull();
+    expect(run('1 % 0')).toBeNull();
+  });
+
+  test('concatenates text with +', () => {
+    expect(run('first + " " + last', { first: 'Ada', last: 'Lovelace' })).toBe('Ada Lovelace');
+    expect(run('"#" + id', { id: 7 })).toBe('#7');
+    expect(run('code + 1', { code: '41' })).toBe(42);
+  });
+
+  test('compares numbers numerically, text as text, and empty values only with each other', () => {
+    expect(run('amount > 100', { amount: '250' })).toBe(true);
+    expect(run('"10" < "9"')).toBe(true);
+    expect(run('status == "open"', { status: 'open' })).toBe(true);
+    expect(run('status != null', { status: '' })).toBe(false);
+    expect(run('amount < 5', { amount: null })).toBe(false);
+    expect(run('missing == null')).toBe(true);
+  });
+
+  test('compares dates as ISO text', () => {
+    expect(run('day >= "2024-03-01"', { day: new Date(Date.UTC(2024, 2, 15)) })).toBe(true);
+  });
+
+  test('calls functions', () => {
+    expect(run('concat(upper([first name]), " ", lower(last))', { 'first name': 'ada', last: 'LOVELACE' })).toBe('ADA lovelace');
+    expect(run('substring(code, 2, 3)', { code: 'AB12345' })).toBe('123');
+    expect(run('length(trim(name))', { name: '  Ada ' })).toBe(3);
+    expect(run('coalesce(nickname, name)', { nickname: null, name: 'Ada' })).toBe('Ada');
+    expect(run('contains(email, "@") && endsWith(email, ".org")', { email: 'ada@example.org' })).toBe(true);
+    expect(run('round(price, 1) + abs(-1) + floor(1.9) + ceil(0.1)', { price: 2.345 })).toBeCloseTo(5.3);
+    expect(run('isEmpty(note)', { note: '' })).toBe(true);
+    expect(run('number("12") + 1')).toBe(13);
+  });
+
+  test('reads quoted strings with escapes', () => {
+    expect(run("'it\\'s' + \"\"")).toBe("it's");
+  });
+
+  test('rejects invalid expressions', () => {
+    expect(() => compileExpression('')).toThrow('empty expression');
+    expect(() => compileExpression('1 +')).toThrow('unexpected end');
+    expect(() => compileExpression('(1 + 2')).toThrow('expected ")" at the end');
+    expect(() => compileExpression('1 2')).toThrow('unexpected "2"');
+    expect(() => compileExpression('"open')).toThrow('unterminated string');
+    expect(() => compileExpression('[unit price')).toThrow('unterminated [column]');
+    expect(() => compileExpression('a = 1')).toThrow('unexpected "="');
+    expect(() => compileExpression('eval(x)')).toThrow('unknown function eval()');
+    expect(() => compileExpression('upper(a, b)')).toThrow('wrong number of arguments for upper()');
+  });
+
+  test('does not treat inherited object members as functions', () => {
+    ['constructor(1)', 'toString(a)', 'hasOwnProperty(a)', '__proto__(a)'].forEach((text) => {
+      expect(() => compileExpression(text)).toThrow(`unknown function ${text.split('(')[0]}()`);
+    });
+    // Without parentheses such names are still columns
+    expect(run('constructor + 1', { constructor: 2 })).toBe(3);
+  });
+});
+
+describe('isTruthy', () => {
+  test('treats null, false, 0 and empty text as false', () => {
+    [null, undefined, false, 0, ''].forEach(value => expect(isTruthy(value)).toBe(false));
+    [true, 1, -1, 'no', '0'].forEach(value => expect(isTruthy(value)).toBe(true));
+  });
+});
+
+describe('compareValues', () => {
+  test('orders numbers numerically, text naturally and empty values last', () => {
+    expect([10, 9, null, 100].sort(compareValues)).toEqual([9, 10, 100, null]);
+    expect(['item10', 'item9', '', 'Item1'].sort(compareValues)).toEqual(['Item1', 'item9', 'item10', '']);
+  });
+});
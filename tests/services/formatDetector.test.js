@@ -0,0 +1,107 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { detectFormat } = require('../../src/services/formatDetector');
+
+const NO_STREAM = 0xffffffff;
+
+/**
+ * Build a minimal OLE2 compound document (512-byte sectors): a FAT sector and
+ * one directory sector holding the root entry and up to three more entries
+ */
+const buildCompoundFile = (entries) => {
+  const header = Buffer.alloc(512);
+  Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]).copy(header);
+  header.writeUInt16LE(0x3e, 0x18);
+  header.writeUInt16LE(3, 0x1a);
+  header.writeUInt16LE(0xfffe, 0x1c);
+  header.writeUInt16LE(9, 0x1e);
+  header.writeUInt16LE(6, 0x20);
+  header.writeUInt32LE(1, 0x2c);
+  header.writeUInt32LE(1, 0x30);
+  header.writeUInt32LE(0xfffffffe, 0x3c);
+  header.writeUInt32LE(0xfffffffe, 0x44);
+  header.fill(0xff, 0x4c);
+  header.writeUInt32LE(0, 0x4c);
+
+  const fat = Buffer.alloc(512, 0xff);
+  fat.writeUInt32LE(0xfffffffd, 0);
+  fat.writeUInt32LE(0xfffffffe, 4);
+
+  const directory = Buffer.alloc(512);
+  [{ name: 'Root Entry', type: 5, child: 1 }, ...entries].forEach((entry, index) => {
+    const offset = index * 128;
+    const name = Buffer.from(`${entry.name}\0`, 'utf16le');
+    name.copy(directory, offset);
+    directory.writeUInt16LE(name.length, offset + 0x40);
+    directory[offset + 0x42] = entry.type || 2;
+    directory.writeUInt32LE(entry.left === undefined ? NO_STREAM : entry.left, offset + 0x44);
+    directory.writeUInt32LE(entry.right === undefined ? NO_STREAM : entry.right, offset + 0x48);
+    directory.writeUInt32LE(entry.child === undefined ? NO_STREAM : entry.child, offset + 0x4c);
+  });
+
+  return Buffer.concat([header, fat, directory]);
+};
+
+describe('format detection', () => {
+  let directory;
+
+  const detect = async (content, name = 'upload') => {
+    const filePath = path.join(directory, `${Math.random().toString(36).slice(2)}`);
+    await fs.writeFile(filePath, content);
+    return detectFormat(filePath, name);
+  };
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'detect-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test.each([
+    ['doc', [{ name: 'WordDocument', right: 2 }, { name: '1Table' }]],
+    ['xls', [{ name: 'Workbook', right: 2 }, { name: '\u0005SummaryInformation' }]],
+    ['xls', [{ name: 'Book' }]],
+    ['ppt', [{ name: 'PowerPoint Document', left: 2 }, { name: 'Current User' }]]
+  ])('identifies %s from the stream names', async (format, entries) => {
+    expect(await detect(buildCompoundFile(entries))).toBe(format);
+  });
+
+  test('checks Word and PowerPoint streams before workbook streams', async () => {
+    const file = buildCompoundFile([{ name: 'Workbook', right: 2 }, { name: 'PowerPoint Document' }]);
+    expect(await detect(file, 'deck.xls')).toBe('ppt');
+  });
+
+  test('only matches whole stream names', async () => {
+    const file = buildCompoundFile([{ name: 'BookmarkData', right: 2 }, { name: 'MyWorkbooks' }]);
+    expect(await detect(file, 'notes.ppt')).toBe('ppt');
+    expect(await detect(file)).toBe('doc');
+  });
+
+  test('ignores streams of embedded storages', async () => {
+    const file = buildCompoundFile([
+      { name: 'WordDocument', right: 2 },
+      { name: 'ObjectPool', type: 1, child: 3 },
+      { name: 'Workbook' }
+    ]);
+    expect(await detect(file)).toBe('doc');
+  });
+
+  test('falls back to the extension when the directory is damaged', async () => {
+    const file = buildCompoundFile([{ name: 'Workbook' }]).subarray(0, 600);
+    expect(await detect(file, 'sheet.xls')).toBe('xls');
+  });
+
+  test.each([
+    ['pdf', Buffer.from('%PDF-1.7\n')],
+    ['png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0])],
+    ['csv', Buffer.from('a,b,c\n1,2,3\n4,5,6\n')],
+    ['tsv', Buffer.from('a\tb\tc\n1\t2\t3\n')],
+    ['json', Buffer.from('[{"a":1}]')],
+    ['ndjson', Buffer.from('{"a":1}\n{"a":2}\n')]
+  ])('identifies %s content', async (format, content) => {
+    expect(await detect(content)).toBe(format);
+  });
+});
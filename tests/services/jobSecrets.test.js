@@ -0,0 +1,50 @@
+const { sealSecrets, openSecrets, stripSecrets } = require('../../src/services/jobSecrets');
+
+describe('job secrets', () => {
+  const options = { format: 'pdf', pdfOptions: { pdfa: null, password: 's3cret', pageRange: '1-2' } };
+
+  afterEach(() => {
+    delete process.env.JOB_SECRET_KEY;
+  });
+
+  test('encrypts passwords, including nested ones', () => {
+    const sealed = sealSecrets({ ...options, password: 'top' });
+
+    expect(JSON.stringify(sealed)).not.toMatch(/s3cret|top/);
+    expect(sealed.format).toBe('pdf');
+    expect(sealed.pdfOptions.pageRange).toBe('1-2');
+    expect(sealed.pdfOptions.password).toEqual({ sealed: expect.any(String) });
+  });
+
+  test('round-trips through JSON as Bull stores it', () => {
+    const stored = JSON.parse(JSON.stringify(sealSecrets(options)));
+
+    expect(openSecrets(stored)).toEqual(options);
+  });
+
+  test('does not encrypt twice', () => {
+    const sealed = sealSecrets(options);
+
+    expect(sealSecrets(sealed)).toEqual(sealed);
+  });
+
+  test('leaves object values under a password key alone', () => {
+    const schema = { columns: { password: { type: 'string', required: true } } };
+
+    expect(sealSecrets(schema)).toEqual(schema);
+  });
+
+  test('drops secrets from finished jobs', () => {
+    expect(stripSecrets(sealSecrets(options))).toEqual({ format: 'pdf', pdfOptions: { pdfa: null, pageRange: '1-2' } });
+  });
+
+  test('uses JOB_SECRET_KEY and rejects jobs sealed with another key', () => {
+    process.env.JOB_SECRET_KEY = 'first key';
+    const sealed = sealSecrets(options);
+
+    expect(openSecrets(sealed)).toEqual(options);
+
+    process.env.JOB_SECRET_KEY = 'second key';
+    expect(() => openSecrets(sealed)).toThrow('Cannot decrypt job secrets');
+  });
+});
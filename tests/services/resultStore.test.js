@@ -0,0 +1,208 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createLocalStore, createS3Store } = require('../../src/services/resultStore');
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+};
+
+describe('local result store', () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'results-'));
+    store = createLocalStore({ directory });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('stores a result with its metadata', async () => {
+    const meta = await store.put('42', Buffer.from('hello'), { filename: 'out.txt', mimeType: 'text/plain' });
+
+    expect(meta).toMatchObject({ filename: 'out.txt', mimeType: 'text/plain', size: 5 });
+    expect(await store.stat('42')).toEqual(meta);
+    expect(await readStream(await store.createReadStream('42'))).toBe('hello');
+    expect(await readStream(await store.createReadStream('42', { start: 1, end: 3 }))).toBe('ell');
+  });
+
+  test('copies a result from a file and leaves the file in place', async () => {
+    const source = path.join(directory, 'source.xlsx');
+    await fs.writeFile(source, 'workbook bytes');
+
+    const meta = await store.put('9', { path: source }, { filename: 'out.xlsx' });
+
+    expect(meta.size).toBe(14);
+    expect(await readStream(await store.createReadStream('9'))).toBe('workbook bytes');
+    expect(await fs.readFile(source, 'utf-8')).toBe('workbook bytes');
+  });
+
+  test('treats expired results as missing and purges them', async () => {
+    await store.put('1', Buffer.from('a'), { filename: 'a.txt', ttl: -1 });
+    await store.put('2', Buffer.from('b'), { filename: 'b.txt' });
+
+    expect(await store.purgeExpired()).toBe(1);
+    expect(await fs.readdir(directory)).toEqual(['2', '2.meta.json']);
+
+    await store.put('3', Buffer.from('c'), { filename: 'c.txt', ttl: -1 });
+    expect(await store.stat('3')).toBeNull();
+  });
+
+  test('keeps keys inside its directory', async () => {
+    await store.put('../escape', Buffer.from('x'), { filename: 'x' });
+
+    expect(await fs.readdir(directory)).toContain('escape');
+    expect(await store.stat('../escape')).not.toBeNull();
+  });
+
+  test('purging a missing directory removes nothing', async () => {
+    const missing = createLocalStore({ directory: path.join(directory, 'missing') });
+    expect(await missing.purgeExpired()).toBe(0);
+  });
+});
+
+describe('S3 result store', () => {
+  let server;
+  let objects;
+  let requests;
+  let store;
+
+  // Minimal S3 stand-in: path-style objects with metadata, ranges and ListObjectsV2
+  const handle = (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({
+      method: req.method,
+      path: url.pathname,
+      authorization: req.headers.authorization,
+      payloadHash: req.headers['x-amz-content-sha256']
+    });
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      if (url.pathname === '/bucket' && url.searchParams.get('list-type') === '2') {
+        const prefix = url.searchParams.get('prefix') || '';
+        const contents = [...objects.entries()]
+          .filter(([key]) => key.startsWith(prefix))
+          .map(([key, object]) => `<Contents><Key>${key}</Key><LastModified>${object.lastModified}</LastModified></Contents>`);
+        res.setHeader('Content-Type', 'application/xml');
+        return res.end(`<?xml version="1.0"?><ListBucketResult>${contents.join('')}<IsTruncated>false</IsTruncated></ListBucketResult>`);
+      }
+
+      const key = decodeURIComponent(url.pathname.replace(/^\/bucket\//, ''));
+      const object = objects.get(key);
+      switch (req.method) {
+        case 'PUT':
+          objects.set(key, {
+            body: Buffer.concat(chunks),
+            headers: {
+              'content-type': req.headers['content-type'],
+              'x-amz-meta-filename': req.headers['x-amz-meta-filename'],
+              'x-amz-meta-created-at': req.headers['x-amz-meta-created-at'],
+              'x-amz-meta-expires-at': req.headers['x-amz-meta-expires-at']
+            },
+            lastModified: new Date().toISOString()
+          });
+          return res.end();
+        case 'DELETE':
+          objects.delete(key);
+          res.statusCode = 204;
+          return res.end();
+        default:
+          if (!object) {
+            res.statusCode = 404;
+            return res.end();
+          }
+          const range = /bytes=(\d+)-(\d+)/.exec(req.headers.range || '');
+          const body = range ? object.body.subarray(Number(range[1]), Number(range[2]) + 1) : object.body;
+          res.writeHead(range ? 206 : 200, { ...object.headers, 'content-length': body.length });
+          return res.end(req.method === 'HEAD' ? undefined : body);
+      }
+    });
+  };
+
+  beforeAll(async () => {
+    server = http.createServer(handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    objects = new Map();
+    requests = [];
+    store = createS3Store({
+      endpoint: `http://127.0.0.1:${server.address().port}`,
+      region: 'us-east-1',
+      bucket: 'bucket',
+      prefix: 'results/',
+      accessKeyId: 'key',
+      secretAccessKey: 'secret'
+    });
+  });
+
+  test('requires a bucket and credentials', () => {
+    expect(() => createS3Store({ bucket: 'bucket' })).toThrow('S3 result store requires');
+  });
+
+  test('uploads, reads and deletes signed objects', async () => {
+    const meta = await store.put('7', Buffer.from('result data'), { filename: 'report "final".pdf', mimeType: 'application/pdf' });
+
+    expect(objects.has('results/7')).toBe(true);
+    expect(requests[0].authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=key\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=.+, Signature=[0-9a-f]{64}$/);
+    expect(await store.stat('7')).toEqual(meta);
+    expect(await readStream(await store.createReadStream('7', { start: 0, end: 5 }))).toBe('result');
+
+    await store.remove('7');
+    expect(await store.stat('7')).toBeNull();
+  });
+
+  test('streams uploads from a file with an unsigned payload', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'results-'));
+    const source = path.join(directory, 'source.xlsx');
+    await fs.writeFile(source, 'x'.repeat(100000));
+
+    try {
+      const meta = await store.put('9', { path: source }, { filename: 'out.xlsx' });
+
+      expect(meta.size).toBe(100000);
+      expect(objects.get('results/9').body.length).toBe(100000);
+      expect(requests[0].payloadHash).toBe('UNSIGNED-PAYLOAD');
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('treats expired objects as missing', async () => {
+    await store.put('8', Buffer.from('x'), { filename: 'x.txt', ttl: -1 });
+
+    expect(await store.stat('8')).toBeNull();
+    expect(objects.has('results/8')).toBe(false);
+  });
+
+  test('purges objects whose expiry has passed', async () => {
+    process.env.RESULT_TTL = '1000';
+    try {
+      await store.put('old', Buffer.from('a'), { filename: 'a.txt', ttl: -1 });
+      await store.put('kept', Buffer.from('b'), { filename: 'b.txt', ttl: 60000 });
+      await store.put('new', Buffer.from('c'), { filename: 'c.txt', ttl: -1 });
+      // Only objects older than the TTL are checked
+      objects.get('results/old').lastModified = new Date(Date.now() - 5000).toISOString();
+      objects.get('results/kept').lastModified = new Date(Date.now() - 5000).toISOString();
+
+      expect(await store.purgeExpired()).toBe(1);
+      expect([...objects.keys()].sort()).toEqual(['results/kept', 'results/new']);
+    } finally {
+      delete process.env.RESULT_TTL;
+    }
+  });
+});
@@ -0,0 +1,45 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { parseTableOptions, processTableConversion } = require('../../src/services/tableFormats');
+const { rowsToCsv } = require('../../src/services/dataConverter');
+
+describe('delimited table output', () => {
+  let directory;
+  let file;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'table-formats-'));
+    file = { path: path.join(directory, 'people.json'), filename: 'people.json', originalname: 'people.json' };
+    await fs.writeFile(file.path, JSON.stringify([
+      { name: 'Ada', note: 'says "hi", twice', score: 1, active: true, left: null },
+      { name: 'Bob', note: 'tab\there', score: 2.5, active: false }
+    ]));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const convert = async (to, options = {}) => {
+    const result = await processTableConversion(file, { ...parseTableOptions(options), from: 'json', to });
+    return result.buffer.toString('utf-8');
+  };
+
+  test('quotes CSV values only when they need it', async () => {
+    expect(await convert('csv')).toBe([
+      'name,note,score,active,left',
+      'Ada,"says ""hi"", twice",1,true,',
+      'Bob,tab\there,2.5,false,'
+    ].join('\n'));
+  });
+
+  test('quotes TSV values containing tabs', async () => {
+    expect((await convert('tsv')).split('\n')[2]).toBe('Bob\t"tab\there"\t2.5\tfalse\t');
+  });
+
+  test('uses the spreadsheet export writer, which writes dates as ISO text', () => {
+    expect(rowsToCsv([['Ada', 'says "hi", twice'], ['Bob', 'plain']])).toBe('Ada,"says ""hi"", twice"\nBob,plain');
+    expect(rowsToCsv([[new Date(Date.UTC(2024, 0, 5)), 1, undefined]], ';')).toBe('2024-01-05T00:00:00.000Z;1;');
+  });
+});
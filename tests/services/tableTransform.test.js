@@ -0,0 +1,149 @@
+const { ROW_STEPS, parseTransformSpec, applyTransform } = require('../../src/services/tableTransform');
+
+const orders = () => ({
+  name: 'orders',
+  headers: ['id', 'region', 'amount', 'day'],
+  rows: [
+    [1, 'north', 120, new Date(Date.UTC(2024, 0, 5))],
+    [2, 'south', 80, new Date(Date.UTC(2024, 0, 6))],
+    [3, 'north', null, new Date(Date.UTC(2024, 0, 5))],
+    [4, 'south', 200, null],
+    [5, 'north', 40, new Date(Date.UTC(2024, 0, 7))]
+  ],
+  numFmts: [null, null, '#,##0.00', 'yyyy-mm-dd']
+});
+
+// Apply a spec given as it arrives in a request
+const transform = (table, steps) => applyTransform(table, parseTransformSpec(JSON.stringify(steps)));
+
+describe('parseTransformSpec', () => {
+  test('returns null for no steps and fills in defaults', () => {
+    expect(parseTransformSpec(undefined)).toBeNull();
+    expect(parseTransformSpec('[]')).toBeNull();
+    expect(parseTransformSpec([
+      { op: 'sort', by: ['region', { column: 'amount' }] },
+      { op: 'groupBy', columns: ['region'] }
+    ])).toEqual([
+      { op: 'sort', by: ['region', { column: 'amount', order: 'asc' }] },
+      { op: 'groupBy', columns: ['region'], aggregates: [] }
+    ]);
+  });
+
+  test('rejects malformed JSON and non-arrays', () => {
+    expect(() => parseTransformSpec('[')).toThrow('Invalid transform. Must be valid JSON');
+    expect(() => parseTransformSpec('{"op":"sort"}')).toThrow('Must be a JSON array of steps');
+  });
+
+  test('lists every invalid step with its path', () => {
+    expect.assertions(1);
+    try {
+      parseTransformSpec([
+        { op: 'explode' },
+        { op: 'filter', where: 'amount >' },
+        { op: 'groupBy', columns: ['region'], aggregates: [{ fn: 'sum' }] }
+      ]);
+    } catch (error) {
+      expect(error.details.errors.map(item => item.path)).toEqual(['0.op', '1.where', '2.aggregates.0.column']);
+    }
+  });
+
+  test('rejects op names inherited from Object.prototype', () => {
+    ['constructor', 'toString', '__proto__'].forEach((op) => {
+      expect(() => parseTransformSpec([{ op }])).toThrow('Invalid transform');
+    });
+    expect(() => parseTransformSpec([{ op: 'derive', column: 'x', expression: 'constructor(1)' }]))
+      .toThrow('Invalid transform');
+  });
+});
+
+describe('applyTransform', () => {
+  test('returns the table unchanged without steps', () => {
+    const table = orders();
+    expect(applyTransform(table, null)).toBe(table);
+  });
+
+  test('selects and renames columns, carrying their number formats', () => {
+    const result = transform(orders(), [
+      { op: 'select', columns: ['amount', 'id'] },
+      { op: 'rename', columns: { amount: 'total' } }
+    ]);
+
+    expect(result.headers).toEqual(['total', 'id']);
+    expect(result.rows[0]).toEqual([120, 1]);
+    expect(result.numFmts).toEqual(['#,##0.00', null]);
+  });
+
+  test('filters rows and derives columns from expressions', () => {
+    const result = transform(orders(), [
+      { op: 'filter', where: 'region == "north" && amount != null' },
+      { op: 'derive', column: 'gross', expression: 'amount * 1.25' },
+      { op: 'derive', column: 'amount', expression: 'amount / 10' }
+    ]);
+
+    expect(result.headers).toEqual(['id', 'region', 'amount', 'day', 'gross']);
+    expect(result.rows.map(row => [row[0], row[2], row[4]])).toEqual([[1, 12, 150], [5, 4, 50]]);
+    // A replaced column loses its format; a new one has none
+    expect(result.numFmts).toEqual([null, null, null, 'yyyy-mm-dd', null]);
+  });
+
+  test('sorts stably by several keys with empty values last', () => {
+    const ascending = transform(orders(), [{ op: 'sort', by: ['region', { column: 'amount', order: 'desc' }] }]);
+    const byDay = transform(orders(), [{ op: 'sort', by: [{ column: 'day', order: 'desc' }] }]);
+
+    expect(ascending.rows.map(row => row[0])).toEqual([1, 5, 3, 4, 2]);
+    expect(byDay.rows.map(row => row[0])).toEqual([5, 2, 1, 3, 4]);
+  });
+
+  test('drops repeated rows, comparing dates by value', () => {
+    expect(transform(orders(), [{ op: 'dedupe', columns: ['region'] }]).rows.map(row => row[0])).toEqual([1, 2]);
+    expect(transform(orders(), [{ op: 'dedupe', columns: ['day'] }]).rows.map(row => row[0])).toEqual([1, 2, 4, 5]);
+    expect(transform(orders(), [{ op: 'dedupe' }]).rows).toHaveLength(5);
+  });
+
+  test('groups rows with aggregates', () => {
+    const result = transform(orders(), [{
+      op: 'groupBy',
+      columns: ['region'],
+      aggregates: [
+        { fn: 'count' },
+        { fn: 'count', column: 'amount' },
+        { fn: 'sum', column: 'amount', as: 'total' },
+        { fn: 'avg', column: 'amount' },
+        { fn: 'max', column: 'amount' },
+        { fn: 'countDistinct', column: 'day' },
+        { fn: 'last', column: 'id' }
+      ]
+    }]);
+
+    expect(result.headers).toEqual(['region', 'count', 'count_amount', 'total', 'avg_amount', 'max_amount', 'countDistinct_day', 'last_id']);
+    expect(result.rows).toEqual([
+      ['north', 3, 2, 160, 80, 120, 2, 5],
+      ['south', 2, 2, 280, 140, 200, 1, 4]
+    ]);
+    expect(result.numFmts).toEqual([null, null, null, '#,##0.00', '#,##0.00', '#,##0.00', null, null]);
+  });
+
+  test('rejects unknown and duplicate columns', () => {
+    expect(() => transform(orders(), [{ op: 'select', columns: ['price'] }])).toThrow('Unknown column "price" in select');
+    expect(() => transform(orders(), [{ op: 'filter', where: 'price > 1' }])).toThrow('Unknown column "price" in filter');
+    expect(() => transform(orders(), [{ op: 'rename', columns: { id: 'region' } }])).toThrow('Duplicate column "region" in rename');
+    expect(() => transform(orders(), [{
+      op: 'groupBy', columns: ['region'], aggregates: [{ fn: 'sum', column: 'amount', as: 'region' }]
+    }])).toThrow('Duplicate column "region" in groupBy');
+  });
+
+  test('row steps give the same result on batches as on the whole table', () => {
+    const steps = parseTransformSpec([
+      { op: 'filter', where: 'amount > 50' },
+      { op: 'derive', column: 'half', expression: 'amount / 2' },
+      { op: 'select', columns: ['id', 'half'] }
+    ]);
+    expect(steps.every(step => ROW_STEPS.includes(step.op))).toBe(true);
+
+    const table = orders();
+    const batches = [table.rows.slice(0, 2), table.rows.slice(2)]
+      .flatMap(rows => applyTransform({ ...table, rows }, steps).rows);
+
+    expect(batches).toEqual(applyTransform(table, steps).rows);
+  });
+});
@@ -0,0 +1,157 @@
+const { parseValidationOptions, validateTable, profileTable } = require('../../src/services/tabularValidator');
+const { createTable } = require('../../src/services/tableModel');
+
+const people = () => createTable('people', ['id', 'email', 'age', 'joined'], [
+  ['1', 'ann@example.com', '34', '2024-01-15'],
+  ['2', 'not an email', 'old', '2024-02-30'],
+  ['2', '', '51', '']
+]);
+
+describe('parseValidationOptions', () => {
+  test('parses JSON rules and maxErrors', () => {
+    const options = parseValidationOptions({ rules: '{"id":{"type":"integer","unique":true}}', maxErrors: '5' });
+
+    expect(options).toEqual({ columns: { id: { type: 'integer', unique: true } }, additionalColumns: true, maxErrors: 5 });
+  });
+
+  test('translates a JSON Schema and merges rules over it', () => {
+    const options = parseValidationOptions({
+      schema: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', minimum: 1 },
+            email: { type: ['string', 'null'], pattern: '^\\S+@\\S+$' },
+            joined: { type: 'string', format: 'date' }
+          },
+          required: ['id', 'email'],
+          additionalProperties: false
+        }
+      },
+      rules: { id: { unique: true } }
+    });
+
+    expect(options.columns).toEqual({
+      id: { required: true, type: 'integer', min: 1, unique: true },
+      email: { type: 'string', regex: '^\\S+@\\S+$' },
+      joined: { type: 'date' }
+    });
+    expect(options.additionalColumns).toBe(false);
+  });
+
+  test('rejects invalid rules with their paths', () => {
+    expect.assertions(2);
+    try {
+      parseValidationOptions({ rules: { age: { type: 'integer', regex: '\\d+' }, name: { type: 'text' } } });
+    } catch (error) {
+      expect(error.message).toBe('Invalid rules');
+      expect(error.details.errors.map(item => item.path)).toEqual(['age.regex', 'name.type']);
+    }
+  });
+
+  test('rejects regex rules that could backtrack catastrophically', () => {
+    expect(() => parseValidationOptions({ rules: { code: { regex: '(a+)+$' } } })).toThrow('Invalid rules');
+    expect(() => parseValidationOptions({ rules: { code: { regex: '(\\w)\\1' } } })).toThrow('Invalid rules');
+  });
+
+  test('rejects unsafe JSON Schema patterns', () => {
+    const schema = { properties: { code: { type: 'string', pattern: '^(a|aa)*$' } } };
+
+    expect(() => parseValidationOptions({ schema })).toThrow('Invalid rules');
+  });
+
+  test('rejects malformed JSON and maxErrors', () => {
+    expect(() => parseValidationOptions({ rules: '{' })).toThrow('Invalid rules. Must be valid JSON');
+    expect(() => parseValidationOptions({ rules: '[]' })).toThrow('Must be a JSON object of column rules');
+    expect(() => parseValidationOptions({ maxErrors: '0' })).toThrow('Invalid maxErrors');
+  });
+});
+
+describe('validateTable', () => {
+  test('reports each invalid cell with its row, rule and value', () => {
+    const validation = parseValidationOptions({
+      rules: {
+        id: { type: 'integer', unique: true },
+        email: { required: true, regex: '^[^@\\s]+@[^@\\s]+$' },
+        age: { type: 'integer', min: 18 },
+        joined: { type: 'date' }
+      }
+    });
+
+    const report = validateTable(people(), validation);
+
+    expect(report).toMatchObject({ valid: false, errorCount: 5, invalidRowCount: 2, columnErrors: [], truncated: false });
+    expect(report.errors[0].row).toBe(2);
+    expect(report.errors[0].cells.map(cell => [cell.column, cell.rule])).toEqual([
+      ['email', 'string.pattern.base'],
+      ['age', 'number.base'],
+      ['joined', 'date.base']
+    ]);
+    expect(report.errors[1].cells).toEqual([
+      { column: 'id', value: '2', rule: 'unique', message: '"id" duplicates row 2' },
+      { column: 'email', value: null, rule: 'required', message: '"email" is required' }
+    ]);
+  });
+
+  test('reports missing and unexpected columns', () => {
+    const validation = parseValidationOptions({
+      schema: { properties: { id: {}, name: {} }, required: ['name'], additionalProperties: false }
+    });
+
+    const report = validateTable(people(), validation);
+
+    expect(report.valid).toBe(false);
+    expect(report.columnErrors.map(error => [error.column, error.rule])).toEqual([
+      ['name', 'column.missing'],
+      ['email', 'column.unexpected'],
+      ['age', 'column.unexpected'],
+      ['joined', 'column.unexpected']
+    ]);
+  });
+
+  test('stops reporting cells at maxErrors but keeps counting', () => {
+    const validation = parseValidationOptions({ rules: { age: { type: 'integer' }, joined: { type: 'date' } }, maxErrors: 1 });
+
+    const report = validateTable(people(), validation);
+
+    expect(report.errorCount).toBe(2);
+    expect(report.errors).toHaveLength(1);
+    expect(report.errors[0].cells).toHaveLength(1);
+    expect(report.truncated).toBe(true);
+  });
+
+  test('does not run a regex against overlong text', () => {
+    const table = createTable('notes', ['note'], [['short'], ['x'.repeat(5000)]]);
+    const validation = parseValidationOptions({ rules: { note: { regex: '^[a-z]+$' } } });
+
+    const report = validateTable(table, validation);
+
+    expect(report.errorCount).toBe(1);
+    expect(report.errors[0]).toMatchObject({ row: 2, cells: [{ column: 'note', rule: 'regex' }] });
+  });
+
+  test('reads local numbers and dates with the given separators', () => {
+    const table = createTable('prices', ['price', 'day'], [['1.234,50', '03/04/2024']]);
+    const validation = parseValidationOptions({ rules: { price: { type: 'number', max: 2000 }, day: { type: 'date', min: '2024-04-01' } } });
+
+    expect(validateTable(table, validation, { decimalSeparator: ',', dateOrder: 'DMY' }).valid).toBe(true);
+    expect(validateTable(table, validation, { decimalSeparator: ',', dateOrder: 'MDY' }).valid).toBe(false);
+  });
+});
+
+describe('profileTable', () => {
+  test('infers column types with empty and distinct counts and bounds', () => {
+    const table = createTable('people', ['id', 'name', 'joined'], [
+      [1, 'Ann', '2024-01-15'],
+      [2, 'Bartholomew', '2023-06-01'],
+      [3, '', '2024-03-09']
+    ]);
+
+    expect(profileTable(table)).toEqual([
+      { column: 'id', type: 'integer', nullCount: 0, distinctCount: 3, min: 1, max: 3 },
+      { column: 'name', type: 'string', nullCount: 1, distinctCount: 2, minLength: 3, maxLength: 11 },
+      { column: 'joined', type: 'date', nullCount: 0, distinctCount: 3, min: '2023-06-01T00:00:00.000Z', max: '2024-03-09T00:00:00.000Z' }
+    ]);
+  });
+});
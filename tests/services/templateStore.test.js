@@ -0,0 +1,62 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { getTemplate, listTemplates, createTemplate, updateTemplate, deleteTemplate } = require('../../src/services/templateStore');
+const { TemplateNotFoundError, ValidationError } = require('../../src/middleware/errorHandler');
+
+const definition = (name, pattern) => ({
+  name,
+  fields: [{ name: 'total', rectangle: { left: 10, top: 10, width: 100, height: 20 }, type: 'currency', pattern }]
+});
+
+describe('template store', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'templates-'));
+    process.env.OCR_TEMPLATE_DIR = directory;
+  });
+
+  afterEach(async () => {
+    delete process.env.OCR_TEMPLATE_DIR;
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('keeps templates to the tenant that created them', async () => {
+    const template = await createTemplate(definition('Invoice'), 'alice');
+
+    expect(template.tenant).toBe('alice');
+    expect((await getTemplate(template.id, 'alice')).name).toBe('Invoice');
+    await expect(getTemplate(template.id, 'bob')).rejects.toThrow(TemplateNotFoundError);
+    expect(await listTemplates('bob')).toEqual([]);
+    expect((await listTemplates('alice')).map(item => item.id)).toEqual([template.id]);
+  });
+
+  test('only the owner can update or delete a template', async () => {
+    const template = await createTemplate(definition('Invoice'), 'alice');
+
+    await expect(updateTemplate(template.id, definition('Hijacked'), 'bob')).rejects.toThrow(TemplateNotFoundError);
+    await expect(deleteTemplate(template.id, 'bob')).rejects.toThrow(TemplateNotFoundError);
+
+    const updated = await updateTemplate(template.id, definition('Receipt'), 'alice');
+    expect(updated).toMatchObject({ id: template.id, tenant: 'alice', name: 'Receipt', createdAt: template.createdAt });
+
+    await deleteTemplate(template.id, 'alice');
+    await expect(getTemplate(template.id, 'alice')).rejects.toThrow(TemplateNotFoundError);
+  });
+
+  test('treats templates without an owner as the default tenant\'s', async () => {
+    const id = '0b7c8c52-9a1e-4f7e-8d36-2f1f4b9c6a10';
+    await fs.writeFile(path.join(directory, `${id}.json`), JSON.stringify({
+      id, ...definition('Legacy'), createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:00:00.000Z'
+    }));
+
+    expect((await getTemplate(id, 'default')).name).toBe('Legacy');
+    await expect(getTemplate(id, 'alice')).rejects.toThrow(TemplateNotFoundError);
+  });
+
+  test('rejects patterns prone to catastrophic backtracking', async () => {
+    await expect(createTemplate(definition('Invoice', '(\\d+)+$'), 'alice')).rejects.toThrow(ValidationError);
+    await expect(createTemplate(definition('Invoice', 'Total: ([\\d.,]+)'), 'alice')).resolves.toHaveProperty('id');
+  });
+});
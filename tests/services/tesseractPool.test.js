@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tessdata = fs.mkdtempSync(path.join(os.tmpdir(), 'tessdata-'));
+process.env.TESSDATA_PATH = tessdata;
+
+jest.mock('tesseract.js', () => ({
+  OEM: { LSTM_ONLY: 1 },
+  createWorker: jest.fn(async () => ({ terminate: async () => {} })),
+  createScheduler: () => {
+    const workers = [];
+    return {
+      addWorker: worker => workers.push(worker),
+      addJob: async () => ({ data: { text: 'ok' } }),
+      getNumWorkers: () => workers.length,
+      getQueueLen: () => 0,
+      terminate: async () => {}
+    };
+  }
+}));
+const { createWorker } = require('tesseract.js');
+const { recognize } = require('../../src/services/tesseractPool');
+
+describe('traineddata from TESSDATA_PATH', () => {
+  beforeAll(() => {
+    ['eng.traineddata', 'fra.traineddata', 'deu.traineddata.gz', 'spa.traineddata.gz', 'ita.traineddata', 'ita.traineddata.gz']
+      .forEach(file => fs.writeFileSync(path.join(tessdata, file), ''));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tessdata, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    createWorker.mockClear();
+  });
+
+  test('loads languages installed in the same format', async () => {
+    await recognize('eng+fra', 'image.png');
+    await recognize('deu+spa', 'image.png');
+    await recognize('ita+deu', 'image.png');
+
+    expect(createWorker.mock.calls.map(([languages, , options]) => [languages, options.gzip])).toEqual([
+      [['eng', 'fra'], false],
+      [['deu', 'spa'], true],
+      [['ita', 'deu'], true]
+    ]);
+  });
+
+  test('rejects languages installed in different formats, naming the one that cannot be loaded', async () => {
+    await expect(recognize('eng+deu', 'image.png')).rejects.toMatchObject({
+      name: 'ValidationError',
+      message: expect.stringContaining('OCR language deu cannot be loaded with eng: deu.traineddata.gz and eng.traineddata'),
+      details: { language: 'deu' }
+    });
+    await expect(recognize('spa+fra', 'image.png')).rejects.toThrow('OCR language fra cannot be loaded with spa');
+    expect(createWorker).not.toHaveBeenCalled();
+  });
+
+  test('rejects languages that are not installed', async () => {
+    await expect(recognize('eng+nld', 'image.png')).rejects.toThrow('OCR language not installed: nld');
+  });
+});
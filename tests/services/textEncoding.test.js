@@ -0,0 +1,103 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const iconv = require('iconv-lite');
+const {
+  UTF8_BOM,
+  normalizeEncoding,
+  detectEncoding,
+  detectFileEncoding,
+  readTextFile,
+  encodeText,
+  getCharset
+} = require('../../src/services/textEncoding');
+
+const SAMPLE = 'Straße;Café;Zürich\n';
+
+describe('detectEncoding', () => {
+  test('detects byte order marks', () => {
+    expect(detectEncoding(Buffer.from([0xef, 0xbb, 0xbf, 0x61]))).toEqual({ encoding: 'utf-8', bom: true });
+    expect(detectEncoding(iconv.encode('a,b', 'utf-16le', { addBOM: true }))).toEqual({ encoding: 'utf-16le', bom: true });
+    expect(detectEncoding(iconv.encode('a,b', 'utf-16be', { addBOM: true }))).toEqual({ encoding: 'utf-16be', bom: true });
+  });
+
+  test('detects UTF-16 without a byte order mark', () => {
+    expect(detectEncoding(iconv.encode('name,city', 'utf-16le')).encoding).toBe('utf-16le');
+    expect(detectEncoding(iconv.encode('name,city', 'utf-16be')).encoding).toBe('utf-16be');
+  });
+
+  test('detects UTF-8 and plain ASCII as UTF-8', () => {
+    expect(detectEncoding(Buffer.from(SAMPLE, 'utf-8'))).toEqual({ encoding: 'utf-8', bom: false });
+    expect(detectEncoding(Buffer.from('a,b\n1,2\n')).encoding).toBe('utf-8');
+  });
+
+  test('accepts a UTF-8 sequence cut off at the end of a sample only', () => {
+    const cut = Buffer.from('abc€', 'utf-8').subarray(0, 5);
+
+    expect(detectEncoding(cut, false).encoding).toBe('utf-8');
+    expect(detectEncoding(cut, true).encoding).toBe('windows-1252');
+  });
+
+  test('detects Japanese Shift_JIS', () => {
+    expect(detectEncoding(iconv.encode('名前,カタカナ,ひらがな\n', 'shift_jis')).encoding).toBe('shift_jis');
+  });
+
+  test('falls back to Windows-1252 for other single-byte text', () => {
+    expect(detectEncoding(iconv.encode(SAMPLE, 'windows-1252')).encoding).toBe('windows-1252');
+  });
+});
+
+describe('text files', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'encoding-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('reads a file in its detected encoding', async () => {
+    const filePath = path.join(directory, 'latin.csv');
+    await fs.writeFile(filePath, iconv.encode(SAMPLE, 'windows-1252'));
+
+    expect(await detectFileEncoding(filePath)).toBe('windows-1252');
+    expect(await readTextFile(filePath)).toEqual({ text: SAMPLE, encoding: 'windows-1252' });
+  });
+
+  test('drops the byte order mark and honours an explicit encoding', async () => {
+    const filePath = path.join(directory, 'bom.csv');
+    await fs.writeFile(filePath, encodeText(SAMPLE, UTF8_BOM));
+
+    expect(await readTextFile(filePath)).toEqual({ text: SAMPLE, encoding: 'utf-8' });
+    expect(await readTextFile(filePath, 'windows-1252')).toMatchObject({ text: expect.stringMatching(/^ï»¿StraÃŸe;/), encoding: 'windows-1252' });
+  });
+});
+
+describe('encodeText', () => {
+  test('adds a byte order mark for utf-8-bom and UTF-16 only', () => {
+    expect([...encodeText('a', UTF8_BOM)]).toEqual([0xef, 0xbb, 0xbf, 0x61]);
+    expect([...encodeText('a', 'utf-16le')]).toEqual([0xff, 0xfe, 0x61, 0x00]);
+    expect([...encodeText('a')]).toEqual([0x61]);
+    expect([...encodeText('é', 'windows-1252')]).toEqual([0xe9]);
+  });
+
+  test('reports utf-8-bom as the utf-8 charset', () => {
+    expect(getCharset(UTF8_BOM)).toBe('utf-8');
+    expect(getCharset('shift_jis')).toBe('shift_jis');
+  });
+});
+
+describe('normalizeEncoding', () => {
+  test('lower-cases known encodings and rejects unknown ones', () => {
+    expect(normalizeEncoding(' Shift_JIS ')).toBe('shift_jis');
+    expect(normalizeEncoding(undefined)).toBeUndefined();
+    expect(() => normalizeEncoding('klingon')).toThrow('Unsupported encoding: klingon');
+  });
+
+  test('accepts utf-8-bom for output only', () => {
+    expect(normalizeEncoding('UTF-8-BOM', { output: true })).toBe(UTF8_BOM);
+    expect(() => normalizeEncoding('utf-8-bom')).toThrow('Unsupported encoding');
+  });
+});
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const http = require('http');
+
+jest.mock('bull');
+const Queue = require('bull');
+const {
+  initWebhooks,
+  scheduleWebhook,
+  resolveCallbackAddress,
+  deliverWebhook,
+  signPayload,
+  getWebhookSecret
+} = require('../../src/services/webhookService');
+
+describe('webhook delivery', () => {
+  let server;
+  let received;
+  let statusCodes;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf-8') });
+        res.statusCode = statusCodes.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    statusCodes = [];
+    process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+  });
+
+  test('signs the timestamp and raw body with the secret', async () => {
+    const result = await deliverWebhook(`${baseUrl}/hook`, { event: 'job.completed', jobId: '1' }, 'secret');
+
+    expect(result.statusCode).toBe(200);
+    const [{ headers, body }] = received;
+    const expected = crypto.createHmac('sha256', 'secret').update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(headers['x-webhook-signature']).toBe(signPayload('secret', headers['x-webhook-timestamp'], body));
+    expect(headers['x-webhook-event']).toBe('job.completed');
+    expect(JSON.parse(body)).toEqual({ event: 'job.completed', jobId: '1' });
+  });
+
+  test('rejects non-2xx responses with the status code', async () => {
+    statusCodes.push(503);
+
+    await expect(deliverWebhook(`${baseUrl}/hook`, { event: 'job.failed' }, 'secret'))
+      .rejects.toMatchObject({ statusCode: 503, message: 'Receiver responded with status 503' });
+  });
+
+  test('refuses internal hosts that are not allowed', async () => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+    await expect(deliverWebhook(`${baseUrl}/hook`, { event: 'job.completed' }, 'secret'))
+      .rejects.toThrow('resolves to a private or reserved address');
+    expect(received).toHaveLength(0);
+  });
+
+  test.each([
+    'http://127.0.0.1/',
+    'http://10.0.0.5/',
+    'http://172.16.3.4/',
+    'http://192.168.1.1/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/',
+    'http://[fd12::1]/',
+    'http://[::ffff:10.0.0.1]/'
+  ])('blocks %s', async (url) => {
+    await expect(resolveCallbackAddress(url)).rejects.toThrow('private or reserved');
+  });
+
+  test('accepts public addresses', async () => {
+    await expect(resolveCallbackAddress('https://93.184.216.34/hook')).resolves.toEqual({ address: '93.184.216.34', family: 4 });
+  });
+});
+
+describe('webhook secrets', () => {
+  afterEach(() => {
+    delete process.env.WEBHOOK_SECRET;
+    delete process.env.WEBHOOK_SECRETS;
+  });
+
+  test('prefer the tenant secret over the fallback', () => {
+    process.env.WEBHOOK_SECRET = 'fallback';
+    process.env.WEBHOOK_SECRETS = JSON.stringify({ alice: 'alice-secret' });
+
+    expect(getWebhookSecret('alice')).toBe('alice-secret');
+    expect(getWebhookSecret('bob')).toBe('fallback');
+  });
+
+  test('are missing when not configured', () => {
+    expect(getWebhookSecret('alice')).toBeNull();
+  });
+});
+
+describe('webhook retries', () => {
+  let server;
+  let statusCodes;
+  let deliver;
+  let webhookQueue;
+  let job;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        res.statusCode = statusCodes.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.WEBHOOK_SECRET = 'secret';
+    process.env.WEBHOOK_MAX_ATTEMPTS = '4';
+    job = {
+      id: '9',
+      data: {
+        type: 'office-to-pdf',
+        file: { originalname: 'report.docx' },
+        callback: { url: `http://localhost:${server.address().port}/hook`, tenant: 'default', baseUrl: 'https://api.example.com' }
+      },
+      returnvalue: { filename: 'report.pdf', mimeType: 'application/pdf', size: 10 },
+      update: jest.fn(async (data) => {
+        job.data = data;
+      })
+    };
+    initWebhooks({ getJob: async id => (id === job.id ? job : null) });
+
+    webhookQueue = Queue.mock.instances[0];
+    deliver = webhookQueue.process.mock.calls[0][1];
+  });
+
+  afterAll(async () => {
+    delete process.env.WEBHOOK_SECRET;
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    statusCodes = [];
+    process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+  });
+
+  test('configures exponential backoff', () => {
+    expect(Queue.mock.calls[0][2].defaultJobOptions).toMatchObject({
+      attempts: 4,
+      backoff: { type: 'exponential', delay: 1000 }
+    });
+  });
+
+  test('queues a delivery for jobs with a callback', async () => {
+    await scheduleWebhook(job, 'job.completed');
+    expect(webhookQueue.add).toHaveBeenCalledWith('deliver', { jobId: '9', event: 'job.completed' });
+
+    webhookQueue.add.mockClear();
+    await scheduleWebhook({ id: '10', data: {} }, 'job.completed');
+    expect(webhookQueue.add).not.toHaveBeenCalled();
+  });
+
+  test('fails an attempt on an error response so the queue retries it, and records every attempt', async () => {
+    statusCodes.push(500);
+
+    await expect(deliver({ data: { jobId: '9', event: 'job.completed' }, attemptsMade: 0 }))
+      .rejects.toThrow('Receiver responded with status 500');
+    await deliver({ data: { jobId: '9', event: 'job.completed' }, attemptsMade: 1 });
+
+    expect(job.data.webhookDeliveries).toEqual([
+      expect.objectContaining({ attempt: 1, event: 'job.completed', success: false, statusCode: 500 }),
+      expect.objectContaining({ attempt: 2, event: 'job.completed', success: true, statusCode: 200 })
+    ]);
+  });
+
+  test('rechecks the callback host on every attempt', async () => {
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+    await expect(deliver({ data: { jobId: '9', event: 'job.completed' }, attemptsMade: 2 }))
+      .rejects.toThrow('private or reserved');
+  });
+});
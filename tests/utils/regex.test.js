@@ -0,0 +1,46 @@
+const { MAX_PATTERN_LENGTH, checkPattern, compilePattern } = require('../../src/utils/regex');
+const { ValidationError } = require('../../src/middleware/errorHandler');
+
+describe('checkPattern', () => {
+  test.each([
+    '^\\d+$',
+    '(INV-\\d+)',
+    '(\\d{3})-(\\d{4})',
+    '(?:foo|bar)',
+    '([a-z]+)?x',
+    '(?<year>\\d{4})-\\d{2}',
+    '[(+)]+',
+    '[\\]a+]+',
+    'a{2,}b'
+  ])('accepts %s', (pattern) => {
+    expect(checkPattern(pattern)).toBeNull();
+  });
+
+  test.each([
+    '(a+)+b',
+    '(\\w*)*$',
+    '(a|ab)*c',
+    '((a|b))+',
+    '((ab)+)+',
+    '(x{2}){2,}'
+  ])('rejects the backtracking shape %s', (pattern) => {
+    expect(checkPattern(pattern)).toMatch(/must not repeat a group/);
+  });
+
+  test('rejects backreferences, invalid and overlong patterns', () => {
+    expect(checkPattern('(\\w+)\\1')).toMatch(/backreferences/);
+    expect(checkPattern('(?<w>a)\\k<w>')).toMatch(/backreferences/);
+    expect(checkPattern('(')).toBe('is not a valid regular expression');
+    expect(checkPattern('a'.repeat(MAX_PATTERN_LENGTH + 1))).toMatch(/at most/);
+  });
+});
+
+describe('compilePattern', () => {
+  test('compiles safe patterns', () => {
+    expect(compilePattern('No\\. (\\d+)').exec('No. 42')[1]).toBe('42');
+  });
+
+  test('throws a ValidationError for unsafe patterns', () => {
+    expect(() => compilePattern('(a+)+$')).toThrow(ValidationError);
+  });
+});